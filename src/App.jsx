@@ -6,52 +6,229 @@
  * to child components.
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import Header from './components/Header';
 import RSVPDisplay from './components/RSVPDisplay';
 import ControlPanel from './components/ControlPanel';
 import TextInput from './components/TextInput';
 import Ambience from './components/Ambience';
+import Library from './components/Library';
+import ChapterPicker from './components/ChapterPicker';
+import ContextView from './components/ContextView';
+import StatsView from './components/StatsView';
+import CheckpointQuiz from './components/CheckpointQuiz';
+import TrainingPanel from './components/TrainingPanel';
+import UpdatePrompt from './components/UpdatePrompt';
+import SettingsPanel from './components/SettingsPanel';
+import ThemeEditor from './components/ThemeEditor';
+import Toasts from './components/Toasts';
 import { useReader } from './hooks/useReader';
-import { processFile } from './utils/fileProcessor';
+import { useLibrary } from './hooks/useLibrary';
+import { useSettings } from './hooks/useSettings';
+import { useToasts } from './hooks/useToasts';
+import { useThemes } from './hooks/useThemes';
+import { useMediaQuery } from './hooks/useMediaQuery';
+import { useReadingHistory } from './hooks/useReadingHistory';
+import { useCheckpoints } from './hooks/useCheckpoints';
+import { useTraining } from './hooks/useTraining';
+import { useSpeechVoices } from './hooks/useSpeechVoices';
+import { IMPORT_ERROR } from './utils/fileProcessor';
+import { importFile, tokenizeText } from './utils/documentLoader';
+import { titleFromText } from './utils/library';
+import { getTypographyVariables } from './utils/typography';
+import { speechEngine } from './utils/speech';
+import { AUTO_THEME, getTheme, applyTheme, resolveAutoThemeId } from './utils/themes';
 import logger from './utils/logger';
 import './styles/global.css';
 
+// Words between position saves while playing
+const POSITION_SAVE_INTERVAL = 25;
+
+// Imports running longer than this show their progress (ms)
+const PROGRESS_DELAY = 1000;
+
 function App() {
+    // Persisted reader preferences
+    const {
+        settings,
+        updateSetting,
+        resetSettings,
+        exportToJson,
+        importFromJson,
+    } = useSettings();
+    const { wpm, theme } = settings;
+
     // Initialize the reader hook with all state and controls
     const {
-        words,
+        tokens,
+        tokenCount,
+        chapters,
+        currentChapter,
         currentIndex,
+        currentChunk,
+        effectiveWpm,
         isPlaying,
         isReady,
         isFinished,
-        wpm,
-        theme,
         fileName,
-        setWpm,
-        setTheme,
+        documentVersion,
+        playbackOverride,
+        isNarrating,
+        rewindCount,
+        play,
+        pause,
         togglePlayPause,
         restart,
         back10,
-        loadText,
+        forward10,
+        prevSentence,
+        nextSentence,
+        prevParagraph,
+        nextParagraph,
+        goToChapter,
+        seek,
+        jumpTo,
+        startLoading,
+        appendTokens,
+        finishLoading,
+        openDocument,
         clearText,
         setLoadedFileName,
         markTextModified,
-    } = useReader();
+        setPlaybackOverride,
+    } = useReader({ ...settings, speechEngine });
+
+    // Voices offered for narration
+    const voices = useSpeechVoices(speechEngine);
+
+    // Persistent reading library
+    const {
+        documents,
+        activeId,
+        addDocument,
+        openDocument: openLibraryDocument,
+        restoreLastDocument,
+        savePosition,
+        renameDocument,
+        removeDocument,
+        closeDocument,
+    } = useLibrary();
+
+    // Reading sessions of the loaded document, for the statistics
+    const { sessions, recordCheckpoint, clearHistory, exportHistory } = useReadingHistory({
+        documentVersion,
+        documentId: activeId,
+        title: documents.find(doc => doc.id === activeId)?.title || fileName || 'untitled',
+        currentIndex,
+        totalWords: tokens.length,
+        isPlaying,
+        rewindCount,
+    });
+
+    // Adaptive speed training drills, setting the reader's speed while they run
+    const {
+        training,
+        drill,
+        stageIndex,
+        drillQuiz,
+        lastResult,
+        canStartDrill,
+        startDrill,
+        finishDrill,
+        completeDrill,
+        cancelDrill,
+        resetTraining,
+    } = useTraining({ tokens, currentIndex, isPlaying, rewindCount, documentVersion, pause, seek, setPlaybackOverride });
+
+    // Comprehension checkpoints, pausing playback for a quiz (drills end with their own)
+    const { quiz, closeQuiz } = useCheckpoints({
+        tokens,
+        tokenCount,
+        chapters,
+        currentIndex,
+        isPlaying,
+        pause,
+        every: drill ? 0 : settings.checkpointEvery,
+        atChapters: !drill && settings.checkpointChapters,
+    });
+
+    // Built-in and custom colour themes
+    const { themes, saveTheme, deleteTheme, exportThemeToJson, importThemeFromJson } = useThemes();
+
+    // System preferences followed by the auto theme, updated live
+    const prefersDark = useMediaQuery('(prefers-color-scheme: dark)');
+    const prefersContrast = useMediaQuery('(prefers-contrast: more)');
+    const isAutoTheme = theme === AUTO_THEME.id;
+    const activeTheme = useMemo(() => getTheme(
+        themes,
+        isAutoTheme ? resolveAutoThemeId({ prefersDark, prefersContrast }) : theme
+    ), [themes, theme, isAutoTheme, prefersDark, prefersContrast]);
+    const themeChoices = useMemo(() => [AUTO_THEME, ...themes], [themes]);
+
+    // Notifications for imports and other background work
+    const { toasts, showToast, updateToast, dismissToast } = useToasts();
 
     // Local state for textarea content
     const [textContent, setTextContent] = useState('');
 
+    // Import job currently streaming into the reader
+    const importJobRef = useRef(null);
+
+    // Whether the reader has played or moved since the current import began
+    const readerMovedRef = useRef(false);
+    useEffect(() => {
+        if (isPlaying || currentIndex > 0) readerMovedRef.current = true;
+    }, [isPlaying, currentIndex]);
+
+    // Whether the library list is shown
+    const [showLibrary, setShowLibrary] = useState(false);
+
+    // Whether the theme editor is shown, and the draft it is previewing
+    const [showThemeEditor, setShowThemeEditor] = useState(false);
+    const [previewVariables, setPreviewVariables] = useState(null);
+
+    // Whether the context view is shown
+    const [showContext, setShowContext] = useState(false);
+
+    // Whether the reading statistics are shown
+    const [showStats, setShowStats] = useState(false);
+
+    // Whether the training panel is shown
+    const [showTraining, setShowTraining] = useState(false);
+
+    // Whether the settings panel is shown
+    const [showSettings, setShowSettings] = useState(false);
+
+    /**
+     * Setting shortcuts for the controls that change them
+     */
+    const setWpm = useCallback((value) => updateSetting('wpm', value), [updateSetting]);
+    const setTheme = useCallback((value) => updateSetting('theme', value), [updateSetting]);
+
     /**
-     * Apply theme to document body
+     * Apply the selected theme, or the editor's draft while previewing
      */
     useEffect(() => {
-        logger.log('Changing theme to', theme);
-        document.body.removeAttribute('data-theme');
-        if (theme !== 'default') {
-            document.body.setAttribute('data-theme', theme);
+        if (previewVariables) {
+            applyTheme({ ...activeTheme, variables: previewVariables });
+            return;
         }
-    }, [theme]);
+        logger.log('Changing theme to', activeTheme.name);
+        applyTheme(activeTheme);
+    }, [activeTheme, previewVariables]);
+
+    /**
+     * Apply display typography through CSS variables on the body
+     */
+    useEffect(() => {
+        Object.entries(getTypographyVariables(settings)).forEach(([name, value]) => {
+            if (value === null) {
+                document.body.style.removeProperty(name);
+            } else {
+                document.body.style.setProperty(name, value);
+            }
+        });
+    }, [settings]);
 
     /**
      * Log initialization message on mount
@@ -60,21 +237,87 @@ function App() {
         logger.log('System Initialized. Version 1.0.8-react');
     }, []);
 
+    /**
+     * Reopen the most recently read document on startup
+     */
+    useEffect(() => {
+        restoreLastDocument().then((doc) => {
+            if (doc) {
+                logger.log('Resuming', `"${doc.title}"`, 'at index', doc.position);
+                setTextContent(doc.text);
+                openDocument(doc);
+            }
+        });
+    }, [restoreLastDocument, openDocument]);
+
+    /**
+     * Persist the reading position of the active library document
+     * Saved once playback has moved POSITION_SAVE_INTERVAL words past the
+     * last saved position (frames and narration can skip any given index),
+     * and shortly after any change while paused.
+     */
+    const lastSavedIndexRef = useRef(0);
+    useEffect(() => {
+        const save = () => {
+            lastSavedIndexRef.current = currentIndex;
+            savePosition(currentIndex, wpm);
+        };
+
+        if (isPlaying) {
+            if (Math.abs(currentIndex - lastSavedIndexRef.current) >= POSITION_SAVE_INTERVAL) {
+                save();
+            }
+            return undefined;
+        }
+
+        const timer = setTimeout(save, 500);
+        return () => clearTimeout(timer);
+    }, [currentIndex, isPlaying, wpm, savePosition]);
+
     /**
      * Handle keyboard shortcuts
      */
     useEffect(() => {
         const handleKeyDown = (e) => {
-            // Spacebar toggles play/pause when not in textarea
-            if (e.code === 'Space' && document.activeElement.tagName !== 'TEXTAREA') {
-                e.preventDefault();
-                togglePlayPause();
+            const active = document.activeElement;
+            const isTyping = active.tagName === 'TEXTAREA'
+                || (active.tagName === 'INPUT' && active.type !== 'range');
+
+            // Ignore shortcuts while typing, and leave arrows to the focused WPM slider
+            if (isTyping) return;
+            if (e.code.startsWith('Arrow') && active.tagName === 'INPUT') return;
+
+            switch (e.code) {
+                // Spacebar toggles play/pause
+                case 'Space':
+                    e.preventDefault();
+                    togglePlayPause();
+                    break;
+                // Arrows skip by sentence, shift+arrows by paragraph
+                case 'ArrowLeft':
+                    e.preventDefault();
+                    if (e.shiftKey) {
+                        prevParagraph();
+                    } else {
+                        prevSentence();
+                    }
+                    break;
+                case 'ArrowRight':
+                    e.preventDefault();
+                    if (e.shiftKey) {
+                        nextParagraph();
+                    } else {
+                        nextSentence();
+                    }
+                    break;
+                default:
+                    break;
             }
         };
 
         document.addEventListener('keydown', handleKeyDown);
         return () => document.removeEventListener('keydown', handleKeyDown);
-    }, [togglePlayPause]);
+    }, [togglePlayPause, prevSentence, nextSentence, prevParagraph, nextParagraph]);
 
     /**
      * Handle text area content changes
@@ -84,64 +327,357 @@ function App() {
         markTextModified();
     }, [markTextModified]);
 
+    /**
+     * Stream a document into the reader and save it to the library once complete
+     * Replaces any import still running. Slow imports (large files, OCR) show
+     * a progress toast with a Cancel action. Resumes at the saved position if
+     * the same document was read before, or offers to when the reader has
+     * already started on the part streamed so far.
+     * 
+     * @param {Function} startImport - Receives { onTokens, onProgress }, returns an import job
+     * @param {string} title - Library title
+     * @returns {Promise<string>} Full text of the document
+     * @throws {FileImportError} If the import fails or is cancelled
+     */
+    const streamDocument = useCallback(async (startImport, title) => {
+        importJobRef.current?.cancel();
+        closeDocument();
+        startLoading();
+        readerMovedRef.current = false;
+
+        const startedAt = Date.now();
+        let progressId = null;
+        let job = null;
+        const onProgress = (progress) => {
+            if (progressId) {
+                updateToast(progressId, { progress });
+            } else if (Date.now() - startedAt >= PROGRESS_DELAY) {
+                progressId = showToast({
+                    message: `importing ${title}`,
+                    progress,
+                    action: { label: 'Cancel', onClick: () => job.cancel() },
+                });
+            }
+        };
+
+        job = startImport({ onTokens: appendTokens, onProgress });
+        importJobRef.current = job;
+
+        try {
+            const { text, tokens, chapters } = await job.promise;
+            finishLoading(chapters);
+
+            const doc = await addDocument({ title, text, tokens, chapters, wpm });
+            if (doc && doc.position > 0) {
+                if (!readerMovedRef.current) {
+                    logger.log('Resuming', `"${title}"`, 'at index', doc.position);
+                    seek(doc.position);
+                } else {
+                    showToast({
+                        message: `${title} was read before`,
+                        action: { label: `Resume at word ${doc.position + 1}`, onClick: () => seek(doc.position) },
+                    });
+                }
+            }
+            return text;
+        } catch (error) {
+            // A newer import may already be streaming into the reader
+            if (importJobRef.current === job) clearText();
+            throw error;
+        } finally {
+            if (progressId) dismissToast(progressId);
+            if (importJobRef.current === job) importJobRef.current = null;
+        }
+    }, [closeDocument, startLoading, appendTokens, finishLoading, addDocument, wpm, seek, clearText, showToast, updateToast, dismissToast]);
+
     /**
      * Handle file selection and processing
+     * Failures show an error toast, with a Retry action when trying again may help.
      */
     const handleFileSelect = useCallback(async (file) => {
+        setLoadedFileName(file.name);
         try {
-            const text = await processFile(file);
+            const text = await streamDocument(
+                (callbacks) => importFile(file, { ...callbacks, ocr: settings.ocr }),
+                file.name
+            );
             setTextContent(text);
-            setLoadedFileName(file.name);
-            loadText(text);
         } catch (error) {
+            if (error.code === IMPORT_ERROR.CANCELLED) return;
+
             logger.error('File processing failed:', error.message);
+            showToast({
+                type: 'error',
+                title: error.title || 'Import failed',
+                message: error.message,
+                action: error.retryable ? { label: 'Retry', onClick: () => handleFileSelect(file) } : undefined,
+            });
         }
-    }, [loadText, setLoadedFileName]);
+    }, [streamDocument, setLoadedFileName, settings.ocr, showToast]);
 
     /**
      * Handle load text button click
      */
-    const handleLoadText = useCallback((text) => {
-        loadText(text);
-    }, [loadText]);
+    const handleLoadText = useCallback(async (text) => {
+        try {
+            await streamDocument((callbacks) => tokenizeText(text, [], callbacks), titleFromText(text));
+        } catch (error) {
+            if (error.code === IMPORT_ERROR.CANCELLED) return;
+
+            logger.error('Text loading failed:', error.message);
+            showToast({ type: 'error', title: error.title || 'Loading failed', message: error.message });
+        }
+    }, [streamDocument, showToast]);
 
     /**
      * Handle clear button click
      */
     const handleClear = useCallback(() => {
+        importJobRef.current?.cancel();
         setTextContent('');
         clearText();
-    }, [clearText]);
+        closeDocument();
+    }, [clearText, closeDocument]);
+
+    /**
+     * Reopen a library document at its saved position
+     */
+    const handleOpenDocument = useCallback(async (id) => {
+        importJobRef.current?.cancel();
+        const doc = await openLibraryDocument(id);
+        if (doc) {
+            setTextContent(doc.text);
+            openDocument(doc);
+            if (doc.wpm) setWpm(doc.wpm);
+        }
+    }, [openLibraryDocument, openDocument, setWpm]);
+
+    /**
+     * Rename a library document, updating the indicator if it is loaded
+     */
+    const handleRenameDocument = useCallback(async (id, title) => {
+        const renamed = await renameDocument(id, title);
+        if (renamed && id === activeId) {
+            setLoadedFileName(title);
+        }
+    }, [renameDocument, activeId, setLoadedFileName]);
+
+    /**
+     * Save the theme editor's draft and switch to it
+     * @param {Object} draft - { id, name, highContrast, variables } from the editor
+     */
+    const handleSaveTheme = useCallback((draft) => {
+        const saved = saveTheme(draft);
+        setPreviewVariables(null);
+        setTheme(saved.id);
+    }, [saveTheme, setTheme]);
 
-    // Get current word to display
-    const currentWord = words[currentIndex] || '';
+    /**
+     * Delete a custom theme, falling back to the default theme
+     * @param {string} id - Custom theme id
+     */
+    const handleDeleteTheme = useCallback((id) => {
+        deleteTheme(id);
+        setTheme('default');
+    }, [deleteTheme, setTheme]);
+
+    /**
+     * Add a theme from a JSON file and switch to it
+     * @param {string} json - Exported theme document
+     * @throws {Error} If the document is not a valid theme
+     */
+    const handleImportTheme = useCallback((json) => {
+        const imported = importThemeFromJson(json);
+        setTheme(imported.id);
+    }, [importThemeFromJson, setTheme]);
+
+    /**
+     * Record the checkpoint score and read on
+     * @param {{correct: number, total: number}} score - Quiz result
+     */
+    const handleQuizComplete = useCallback((score) => {
+        recordCheckpoint({ ...score, index: quiz.index, wpm });
+        closeQuiz();
+        play();
+    }, [recordCheckpoint, quiz, wpm, closeQuiz, play]);
+
+    /**
+     * Read on without answering the checkpoint quiz
+     */
+    const handleQuizSkip = useCallback(() => {
+        closeQuiz();
+        play();
+    }, [closeQuiz, play]);
+
+    /**
+     * Score the drill and report how the training speed changed
+     * @param {{correct: number, total: number}|null} score - Drill quiz result, null if skipped
+     */
+    const handleDrillComplete = useCallback((score) => {
+        const result = completeDrill(score);
+        if (!result) return;
+
+        const messages = {
+            up: `Training speed up to ${result.wpm} WPM.`,
+            hold: `Training speed stays at ${result.wpm} WPM.`,
+            down: `Training speed down to ${result.wpm} WPM.`,
+        };
+        showToast({
+            type: result.outcome === 'up' ? 'success' : 'info',
+            title: 'Drill complete',
+            message: messages[result.outcome],
+        });
+    }, [completeDrill, showToast]);
+
+    /**
+     * Set up a drill at the current sentence, ready to play
+     */
+    const handleStartDrill = useCallback(() => {
+        closeQuiz();
+        startDrill();
+    }, [closeQuiz, startDrill]);
 
     return (
         <div className="min-h-screen flex flex-col selection:bg-neutral-500 selection:text-white">
             {/* Background Ambience */}
-            <Ambience theme={theme} />
+            <Ambience />
+
+            {/* Offline Ready / New Version Prompt */}
+            <UpdatePrompt />
+
+            {/* Notifications */}
+            <Toasts toasts={toasts} onDismiss={dismissToast} />
 
             {/* Main Content Container */}
             <div className="container mx-auto px-6 py-8 max-w-2xl flex-grow flex flex-col relative z-10">
                 {/* Header with Logo and Theme Switcher */}
-                <Header theme={theme} onThemeChange={setTheme} />
+                <Header
+                    themes={themeChoices}
+                    theme={isAutoTheme ? AUTO_THEME.id : activeTheme.id}
+                    onThemeChange={setTheme}
+                    isThemeEditorOpen={showThemeEditor}
+                    onToggleThemeEditor={() => setShowThemeEditor(open => !open)}
+                    isContextOpen={showContext}
+                    onToggleContext={() => setShowContext(open => !open)}
+                    isStatsOpen={showStats}
+                    onToggleStats={() => setShowStats(open => !open)}
+                    isTrainingOpen={showTraining}
+                    onToggleTraining={() => setShowTraining(open => !open)}
+                    isSettingsOpen={showSettings}
+                    onToggleSettings={() => setShowSettings(open => !open)}
+                />
+
+                {/* Theme Editor */}
+                {showThemeEditor && (
+                    <ThemeEditor
+                        theme={activeTheme}
+                        onPreview={setPreviewVariables}
+                        onSave={handleSaveTheme}
+                        onDelete={handleDeleteTheme}
+                        onExport={exportThemeToJson}
+                        onImport={handleImportTheme}
+                    />
+                )}
+
+                {/* Reader Preferences */}
+                {showSettings && (
+                    <SettingsPanel
+                        settings={settings}
+                        onSettingChange={updateSetting}
+                        voices={voices}
+                        canNarrate={speechEngine.isSupported}
+                        onExport={exportToJson}
+                        onImport={importFromJson}
+                        onReset={resetSettings}
+                    />
+                )}
+
+                {/* Reading Statistics */}
+                {showStats && (
+                    <StatsView
+                        sessions={sessions}
+                        onExport={exportHistory}
+                        onClear={clearHistory}
+                    />
+                )}
+
+                {/* Speed Training */}
+                {showTraining && (
+                    <TrainingPanel
+                        training={training}
+                        drill={drill}
+                        stageIndex={stageIndex}
+                        lastResult={lastResult}
+                        canStartDrill={canStartDrill}
+                        onStart={handleStartDrill}
+                        onFinish={finishDrill}
+                        onCancel={cancelDrill}
+                        onReset={resetTraining}
+                    />
+                )}
+
+                {/* Training Drill Quiz */}
+                {drillQuiz && (
+                    <CheckpointQuiz
+                        title="Drill"
+                        questions={drillQuiz.questions}
+                        onComplete={handleDrillComplete}
+                        onSkip={() => handleDrillComplete(null)}
+                    />
+                )}
+
+                {/* Checkpoint Quiz */}
+                {quiz && (
+                    <CheckpointQuiz
+                        key={quiz.index}
+                        questions={quiz.questions}
+                        onComplete={handleQuizComplete}
+                        onSkip={handleQuizSkip}
+                    />
+                )}
 
                 {/* RSVP Word Display */}
                 <RSVPDisplay
-                    word={currentWord}
+                    chunk={currentChunk}
                     currentIndex={currentIndex}
-                    totalWords={words.length}
+                    totalWords={tokens.length}
                     isFinished={isFinished}
+                    pivotStrategy={settings.pivotStrategy}
+                />
+
+                {/* Current Chapter and Chapter Picker */}
+                <ChapterPicker
+                    chapters={chapters}
+                    currentChapter={currentChapter}
+                    onSelect={goToChapter}
                 />
 
+                {/* Surrounding Text with the Current Word Highlighted */}
+                {showContext && (
+                    <ContextView
+                        tokens={tokens}
+                        currentIndex={currentIndex}
+                        chunkLength={currentChunk.length}
+                        onSeek={jumpTo}
+                    />
+                )}
+
                 {/* Control Panel with WPM and Playback */}
                 <div className="panel rounded-[2rem] p-8 backdrop-blur-xl">
                     <ControlPanel
-                        wpm={wpm}
+                        wpm={playbackOverride?.wpm ?? wpm}
+                        effectiveWpm={effectiveWpm}
+                        isWpmLocked={Boolean(playbackOverride)}
+                        isNarrating={isNarrating}
                         isPlaying={isPlaying}
                         onWpmChange={setWpm}
                         onPlayPause={togglePlayPause}
                         onBack10={back10}
+                        onForward10={forward10}
+                        onPrevSentence={prevSentence}
+                        onNextSentence={nextSentence}
+                        onPrevParagraph={prevParagraph}
+                        onNextParagraph={nextParagraph}
                         onRestart={restart}
                     />
 
@@ -149,13 +685,25 @@ function App() {
                     <TextInput
                         text={textContent}
                         isReady={isReady}
-                        theme={theme}
                         fileName={fileName}
                         onTextChange={handleTextChange}
                         onLoadText={handleLoadText}
                         onFileSelect={handleFileSelect}
                         onClear={handleClear}
+                        isLibraryOpen={showLibrary}
+                        onToggleLibrary={() => setShowLibrary(open => !open)}
                     />
+
+                    {/* Saved Documents */}
+                    {showLibrary && (
+                        <Library
+                            documents={documents}
+                            activeId={activeId}
+                            onOpen={handleOpenDocument}
+                            onRename={handleRenameDocument}
+                            onRemove={removeDocument}
+                        />
+                    )}
                 </div>
             </div>
         </div>
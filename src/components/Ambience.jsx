@@ -2,22 +2,19 @@
  * Ambience Component
  * 
  * Renders decorative background blur effects that add visual depth to the app.
- * Automatically hidden when using the monochrome theme for a cleaner look.
- * 
- * Props:
- *   - theme: Current theme - hidden when 'mono'
+ * Its strength comes from the theme's --ambience-opacity, so themes such
+ * as Monochrome can turn it off for a cleaner look. Hidden entirely when the
+ * system asks for reduced motion.
  */
 
 import React from 'react';
 
-const Ambience = ({ theme }) => {
-    // Hide ambience for monochrome theme
-    if (theme === 'mono') {
-        return null;
-    }
-
+const Ambience = () => {
     return (
-        <div className="fixed top-0 left-0 w-full h-full pointer-events-none z-0 overflow-hidden opacity-30">
+        <div
+            className="fixed top-0 left-0 w-full h-full pointer-events-none z-0 overflow-hidden motion-reduce:hidden"
+            style={{ opacity: 'var(--ambience-opacity)' }}
+        >
             {/* Top-right purple glow */}
             <div className="absolute top-[-20%] right-[-10%] w-[500px] h-[500px] bg-purple-900/10 rounded-full blur-[100px]"></div>
 
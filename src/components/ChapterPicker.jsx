@@ -0,0 +1,43 @@
+/**
+ * ChapterPicker Component
+ * 
+ * Shows the name of the chapter being read and lets the user jump to any
+ * chapter from the document outline. Hidden when the document has no outline.
+ * 
+ * Props:
+ *   - chapters: Chapters in reading order ({ title, level, index })
+ *   - currentChapter: Index of the chapter being read (-1 before the first)
+ *   - onSelect: Callback with a chapter index to jump to
+ */
+
+import React from 'react';
+import '../styles/components/ChapterPicker.css';
+
+const ChapterPicker = ({ chapters, currentChapter, onSelect }) => {
+    if (chapters.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="chapter-picker flex items-center justify-center gap-2 -mt-6 mb-8 text-[10px] text-gray-500 font-mono uppercase tracking-widest">
+            <i className="fas fa-list-ul text-[var(--primary)]"></i>
+            <select
+                value={currentChapter}
+                onChange={(e) => onSelect(Number(e.target.value))}
+                className="chapter-select truncate max-w-[280px]"
+                title="Jump to chapter"
+            >
+                {currentChapter === -1 && (
+                    <option value={-1}>start</option>
+                )}
+                {chapters.map((chapter, i) => (
+                    <option key={`${chapter.index}-${i}`} value={i}>
+                        {'\u00A0\u00A0'.repeat(chapter.level - 1)}{chapter.title}
+                    </option>
+                ))}
+            </select>
+        </div>
+    );
+};
+
+export default ChapterPicker;
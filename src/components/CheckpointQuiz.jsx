@@ -0,0 +1,88 @@
+/**
+ * CheckpointQuiz Component
+ * 
+ * Recall prompt shown when playback stops at a checkpoint. Each question is
+ * a sentence just read with one word blanked out and a few words to choose
+ * from. After checking, the right answers are marked and the score can be
+ * kept before reading on. Training drills end with the same quiz.
+ * 
+ * Props:
+ *   - title: Heading, "Checkpoint" by default
+ *   - questions: Cloze questions ({ id, before, after, answer, options })
+ *   - onComplete: Callback with { correct, total } to record the score and continue
+ *   - onSkip: Callback to continue without answering
+ */
+
+import React, { useState } from 'react';
+import '../styles/components/CheckpointQuiz.css';
+
+const CheckpointQuiz = ({ title = 'Checkpoint', questions, onComplete, onSkip }) => {
+    const [answers, setAnswers] = useState({});
+    const [isChecked, setIsChecked] = useState(false);
+
+    const correct = questions.filter(q => answers[q.id] === q.answer).length;
+    const isComplete = questions.every(q => answers[q.id] !== undefined);
+
+    /**
+     * Get the class for an option button, coloured once the answers are checked
+     */
+    const getOptionClass = (question, option) => {
+        if (!isChecked) {
+            return answers[question.id] === option ? 'quiz-option is-selected' : 'quiz-option';
+        }
+        if (option === question.answer) return 'quiz-option is-correct';
+        return answers[question.id] === option ? 'quiz-option is-wrong' : 'quiz-option';
+    };
+
+    return (
+        <div className="checkpoint-quiz panel rounded-[2rem] p-6 mb-8 backdrop-blur-xl text-xs">
+            <div className="quiz-heading">
+                <span><i className="fas fa-brain"></i> {title}</span>
+                {isChecked && <span className="text-[var(--primary)]">{correct} / {questions.length}</span>}
+            </div>
+
+            {/* Questions */}
+            <ol>
+                {questions.map(question => (
+                    <li key={question.id} className="quiz-question">
+                        <p className="quiz-sentence">
+                            {question.before} <span className="quiz-blank">_____</span> {question.after}
+                        </p>
+                        <div className="flex flex-wrap gap-2">
+                            {question.options.map(option => (
+                                <button
+                                    key={option}
+                                    onClick={() => setAnswers(prev => ({ ...prev, [question.id]: option }))}
+                                    className={getOptionClass(question, option)}
+                                    disabled={isChecked}
+                                >
+                                    {option}
+                                </button>
+                            ))}
+                        </div>
+                    </li>
+                ))}
+            </ol>
+
+            {/* Check / Continue / Skip */}
+            <div className="flex gap-3 mt-6">
+                {isChecked ? (
+                    <button onClick={() => onComplete({ correct, total: questions.length })} className="quiz-btn util-btn">
+                        <i className="fas fa-play"></i> Continue
+                    </button>
+                ) : (
+                    <button onClick={() => setIsChecked(true)} className="quiz-btn util-btn" disabled={!isComplete}>
+                        <i className="fas fa-check"></i> Check
+                    </button>
+                )}
+                {!isChecked && (
+                    <button onClick={onSkip} className="quiz-btn util-btn">
+                        <i className="fas fa-forward"></i> Skip
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default CheckpointQuiz;
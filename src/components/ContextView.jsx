@@ -0,0 +1,134 @@
+/**
+ * ContextView Component
+ * 
+ * Scrollable pane showing the text around the reading position, with the
+ * words on screen highlighted. Follows playback by scrolling along, and
+ * clicking any word jumps the reader to it. Only a window of a few hundred
+ * words around the position is rendered, so long books stay fast.
+ * 
+ * Props:
+ *   - tokens: Full token sequence ({ text, paragraph, ... })
+ *   - currentIndex: Index of the first token on screen
+ *   - chunkLength: Number of tokens on screen (chunk mode shows several)
+ *   - onSeek: Callback with the token index of a clicked word
+ */
+
+import React, { useMemo, useRef, useLayoutEffect } from 'react';
+import { useMediaQuery } from '../hooks/useMediaQuery';
+import '../styles/components/ContextView.css';
+
+// The rendered window moves in blocks of this many tokens
+const CONTEXT_BLOCK = 250;
+
+// Blocks rendered before the current one; as many plus two more follow it
+const CONTEXT_BLOCKS_BEFORE = 2;
+
+/**
+ * One paragraph of the window
+ * Memoised so only the paragraphs holding the highlight re-render per word.
+ */
+const ContextParagraph = React.memo(({ tokens, firstIndex, highlightStart, highlightEnd }) => (
+    <p className="context-paragraph">
+        {tokens.map((token, i) => {
+            const index = firstIndex + i;
+            const isCurrent = index >= highlightStart && index < highlightEnd;
+            return (
+                <React.Fragment key={index}>
+                    <span data-index={index} className={`context-word ${isCurrent ? 'is-current' : ''}`}>
+                        {token.text}
+                    </span>{' '}
+                </React.Fragment>
+            );
+        })}
+    </p>
+));
+
+const ContextView = ({ tokens, currentIndex, chunkLength, onSeek }) => {
+    const containerRef = useRef(null);
+    const windowStartRef = useRef(-1);
+    const reducedMotion = useMediaQuery('(prefers-reduced-motion: reduce)');
+
+    // Rendered window, moving only when the position crosses a block
+    const windowStart = Math.max(0, (Math.floor(currentIndex / CONTEXT_BLOCK) - CONTEXT_BLOCKS_BEFORE) * CONTEXT_BLOCK);
+    const windowEnd = Math.min(tokens.length, windowStart + CONTEXT_BLOCK * (CONTEXT_BLOCKS_BEFORE * 2 + 1));
+
+    /**
+     * Split the window into paragraphs
+     */
+    const paragraphs = useMemo(() => {
+        const result = [];
+        for (let i = windowStart; i < windowEnd; i++) {
+            const last = result[result.length - 1];
+            if (last && tokens[i].paragraph === tokens[last.firstIndex].paragraph) {
+                last.tokens.push(tokens[i]);
+            } else {
+                result.push({ firstIndex: i, tokens: [tokens[i]] });
+            }
+        }
+        return result;
+    }, [tokens, windowStart, windowEnd]);
+
+    /**
+     * Keep the current word in view, a third of the way down the pane
+     * Jumps instantly when the window moved or motion is reduced, scrolls
+     * smoothly otherwise.
+     */
+    useLayoutEffect(() => {
+        const container = containerRef.current;
+        const word = container?.querySelector(`[data-index="${currentIndex}"]`);
+        if (!word) return;
+
+        const windowMoved = windowStartRef.current !== windowStart;
+        windowStartRef.current = windowStart;
+
+        const { scrollTop, clientHeight } = container;
+        const outOfView = word.offsetTop < scrollTop + clientHeight * 0.15
+            || word.offsetTop + word.offsetHeight > scrollTop + clientHeight * 0.7;
+
+        if (windowMoved || outOfView) {
+            container.scrollTo({
+                top: word.offsetTop - clientHeight * 0.3,
+                behavior: windowMoved || reducedMotion ? 'auto' : 'smooth',
+            });
+        }
+    }, [currentIndex, windowStart, paragraphs, reducedMotion]);
+
+    /**
+     * Seek to the clicked word
+     */
+    const handleClick = (e) => {
+        const index = e.target.dataset?.index;
+        if (index !== undefined) {
+            onSeek(Number(index));
+        }
+    };
+
+    const highlightEnd = currentIndex + Math.max(chunkLength, 1);
+
+    return (
+        <div
+            ref={containerRef}
+            onClick={handleClick}
+            className="context-view panel rounded-[2rem] px-8 py-6 mb-8 backdrop-blur-xl"
+            title="Click a word to jump to it"
+        >
+            {windowStart > 0 && <div className="context-more">…</div>}
+            {paragraphs.map(paragraph => {
+                const paragraphEnd = paragraph.firstIndex + paragraph.tokens.length;
+                const hasHighlight = currentIndex < paragraphEnd && highlightEnd > paragraph.firstIndex;
+                return (
+                    <ContextParagraph
+                        key={paragraph.firstIndex}
+                        tokens={paragraph.tokens}
+                        firstIndex={paragraph.firstIndex}
+                        highlightStart={hasHighlight ? currentIndex : -1}
+                        highlightEnd={hasHighlight ? highlightEnd : -1}
+                    />
+                );
+            })}
+            {windowEnd < tokens.length && <div className="context-more">…</div>}
+        </div>
+    );
+};
+
+export default ContextView;
@@ -2,14 +2,23 @@
  * ControlPanel Component
  * 
  * Contains the WPM speed slider and playback control buttons.
- * Provides play/pause, back 10 words, and full restart functionality.
+ * Provides play/pause, back/forward 10 words, sentence and paragraph
+ * navigation, and full restart functionality.
  * 
  * Props:
  *   - wpm: Current words per minute setting
+ *   - effectiveWpm: Speed currently played at, lower than wpm while warming up
+ *   - isWpmLocked: Whether the speed is set by a training drill and cannot be changed
+ *   - isNarrating: Whether the text is read aloud, the voice setting the pace
  *   - isPlaying: Whether playback is active
  *   - onWpmChange: Callback when WPM slider changes
  *   - onPlayPause: Callback to toggle play/pause
  *   - onBack10: Callback to go back 10 words
+ *   - onForward10: Callback to go forward 10 words
+ *   - onPrevSentence: Callback to rewind to the current/previous sentence start
+ *   - onNextSentence: Callback to skip to the next sentence
+ *   - onPrevParagraph: Callback to rewind to the current/previous paragraph start
+ *   - onNextParagraph: Callback to skip to the next paragraph
  *   - onRestart: Callback to restart from beginning
  */
 
@@ -18,10 +27,18 @@ import '../styles/components/ControlPanel.css';
 
 const ControlPanel = ({
     wpm,
+    effectiveWpm = wpm,
+    isWpmLocked = false,
+    isNarrating = false,
     isPlaying,
     onWpmChange,
     onPlayPause,
     onBack10,
+    onForward10,
+    onPrevSentence,
+    onNextSentence,
+    onPrevParagraph,
+    onNextParagraph,
     onRestart
 }) => {
     return (
@@ -30,7 +47,25 @@ const ControlPanel = ({
             <div className="mb-8">
                 <div className="flex justify-between text-xs text-gray-500 mb-4 font-mono uppercase tracking-wider">
                     <span>Speed</span>
-                    <span className="text-[var(--primary)] font-bold">{wpm} WPM</span>
+                    <span>
+                        {/* Warm-up speed, shown until the target is reached */}
+                        {Math.round(effectiveWpm) < wpm && (
+                            <span className="mr-2" title="Warming up">
+                                <i className="fas fa-arrow-trend-up"></i> {Math.round(effectiveWpm)} /
+                            </span>
+                        )}
+                        {isNarrating && (
+                            <span className="mr-2" title="Paced by the narration voice">
+                                <i className="fas fa-volume-high"></i>
+                            </span>
+                        )}
+                        {isWpmLocked && (
+                            <span className="mr-2" title="Set by the training drill">
+                                <i className="fas fa-dumbbell"></i>
+                            </span>
+                        )}
+                        <span className="text-[var(--primary)] font-bold">{wpm} WPM</span>
+                    </span>
                 </div>
                 <input
                     type="range"
@@ -39,12 +74,13 @@ const ControlPanel = ({
                     step="50"
                     value={wpm}
                     onChange={(e) => onWpmChange(Number(e.target.value))}
+                    disabled={isWpmLocked || isNarrating}
                     className="w-full wpm-slider"
                 />
             </div>
 
             {/* Playback Controls */}
-            <div className="flex items-center justify-center gap-8 mb-8">
+            <div className="flex items-center justify-center gap-8 mb-4">
                 {/* Back 10 Words Button */}
                 <button
                     onClick={onBack10}
@@ -62,13 +98,55 @@ const ControlPanel = ({
                     <i className={`fas ${isPlaying ? 'fa-pause' : 'fa-play pl-1'} text-2xl`}></i>
                 </button>
 
+                {/* Forward 10 Words Button */}
+                <button
+                    onClick={onForward10}
+                    className="text-gray-500 hover:text-[var(--text-main)] transition transform hover:rotate-12 active:scale-90"
+                    title="Forward 10 words"
+                >
+                    <i className="fas fa-forward text-xl"></i>
+                </button>
+            </div>
+
+            {/* Sentence / Paragraph Navigation */}
+            <div className="flex items-center justify-center gap-6 mb-8 text-sm">
+                <button
+                    onClick={onPrevParagraph}
+                    className="nav-btn"
+                    title="Previous paragraph (Shift+Left)"
+                >
+                    <i className="fas fa-angles-left"></i>
+                </button>
+                <button
+                    onClick={onPrevSentence}
+                    className="nav-btn"
+                    title="Sentence start (Left)"
+                >
+                    <i className="fas fa-angle-left"></i>
+                </button>
+
                 {/* Full Restart Button */}
                 <button
                     onClick={onRestart}
-                    className="text-gray-500 hover:text-[var(--text-main)] transition transform hover:rotate-12 active:scale-90"
+                    className="nav-btn transform hover:-rotate-12"
                     title="Full Restart"
                 >
-                    <i className="fas fa-undo text-xl"></i>
+                    <i className="fas fa-undo"></i>
+                </button>
+
+                <button
+                    onClick={onNextSentence}
+                    className="nav-btn"
+                    title="Next sentence (Right)"
+                >
+                    <i className="fas fa-angle-right"></i>
+                </button>
+                <button
+                    onClick={onNextParagraph}
+                    className="nav-btn"
+                    title="Next paragraph (Shift+Right)"
+                >
+                    <i className="fas fa-angles-right"></i>
                 </button>
             </div>
         </>
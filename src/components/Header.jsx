@@ -1,38 +1,52 @@
 /**
  * Header Component
  * 
- * Displays the Warp logo with glitch effect, theme switcher buttons,
- * and version badge. Controls the visual theme of the entire application.
+ * Displays the Warp logo with glitch effect, a button for every theme in
+ * the registry, toggles for the theme editor, context view, statistics,
+ * training and settings, and version badge. Controls the visual theme of the entire application.
  * 
  * Props:
- *   - theme: Current theme ('default', 'cyber', 'mono')
- *   - onThemeChange: Callback when theme is changed
+ *   - themes: Available themes ({ id, name, icon })
+ *   - theme: Id of the current theme
+ *   - onThemeChange: Callback with a theme id when theme is changed
+ *   - isThemeEditorOpen: Whether the theme editor is shown
+ *   - onToggleThemeEditor: Callback to show/hide the theme editor
+ *   - isContextOpen: Whether the context view is shown
+ *   - onToggleContext: Callback to show/hide the context view
+ *   - isStatsOpen: Whether the reading statistics are shown
+ *   - onToggleStats: Callback to show/hide the reading statistics
+ *   - isTrainingOpen: Whether the training panel is shown
+ *   - onToggleTraining: Callback to show/hide the training panel
+ *   - isSettingsOpen: Whether the settings panel is shown
+ *   - onToggleSettings: Callback to show/hide the settings panel
  */
 
 import React from 'react';
 import '../styles/components/Header.css';
 
-const Header = ({ theme, onThemeChange }) => {
+const Header = ({
+    themes,
+    theme,
+    onThemeChange,
+    isThemeEditorOpen,
+    onToggleThemeEditor,
+    isContextOpen,
+    onToggleContext,
+    isStatsOpen,
+    onToggleStats,
+    isTrainingOpen,
+    onToggleTraining,
+    isSettingsOpen,
+    onToggleSettings,
+}) => {
     /**
-     * Get the active state class for theme buttons
+     * Get the class for a toggle button, highlighted in the theme colour when active
      */
-    const getThemeButtonClass = (buttonTheme) => {
+    const getToggleButtonClass = (isActive) => {
         const baseClass = 'w-8 h-8 rounded-full flex items-center justify-center text-xs transition active:scale-95';
-
-        if (theme === buttonTheme) {
-            switch (buttonTheme) {
-                case 'default':
-                    return `${baseClass} text-lime-400`;
-                case 'cyber':
-                    return `${baseClass} text-cyan-400`;
-                case 'mono':
-                    return `${baseClass} text-black`;
-                default:
-                    return `${baseClass} text-gray-500`;
-            }
-        }
-
-        return `${baseClass} text-gray-500 hover:text-gray-300`;
+        return isActive
+            ? `${baseClass} text-[var(--primary)]`
+            : `${baseClass} text-gray-500 hover:text-gray-300`;
     };
 
     return (
@@ -47,28 +61,52 @@ const Header = ({ theme, onThemeChange }) => {
 
             {/* Theme Switcher and Version */}
             <div className="flex flex-col items-end gap-3">
-                {/* Theme Toggle Buttons */}
+                {/* Theme and Panel Toggle Buttons */}
                 <div className="flex items-center bg-white/5 p-1 rounded-full border border-white/5 panel">
+                    {themes.map(item => (
+                        <button
+                            key={item.id}
+                            onClick={() => onThemeChange(item.id)}
+                            className={getToggleButtonClass(theme === item.id)}
+                            title={item.name}
+                        >
+                            <i className={`fas ${item.icon}`}></i>
+                        </button>
+                    ))}
+                    <button
+                        onClick={onToggleThemeEditor}
+                        className={getToggleButtonClass(isThemeEditorOpen)}
+                        title="Theme Editor"
+                    >
+                        <i className="fas fa-sliders"></i>
+                    </button>
+                    <button
+                        onClick={onToggleContext}
+                        className={getToggleButtonClass(isContextOpen)}
+                        title="Context View"
+                    >
+                        <i className="fas fa-align-left"></i>
+                    </button>
                     <button
-                        onClick={() => onThemeChange('default')}
-                        className={getThemeButtonClass('default')}
-                        title="Vapor (Default)"
+                        onClick={onToggleStats}
+                        className={getToggleButtonClass(isStatsOpen)}
+                        title="Reading Statistics"
                     >
-                        <i className="fas fa-bolt"></i>
+                        <i className="fas fa-chart-line"></i>
                     </button>
                     <button
-                        onClick={() => onThemeChange('cyber')}
-                        className={getThemeButtonClass('cyber')}
-                        title="Cyber Blue"
+                        onClick={onToggleTraining}
+                        className={getToggleButtonClass(isTrainingOpen)}
+                        title="Speed Training"
                     >
-                        <i className="fas fa-microchip"></i>
+                        <i className="fas fa-dumbbell"></i>
                     </button>
                     <button
-                        onClick={() => onThemeChange('mono')}
-                        className={getThemeButtonClass('mono')}
-                        title="Monochrome"
+                        onClick={onToggleSettings}
+                        className={getToggleButtonClass(isSettingsOpen)}
+                        title="Settings"
                     >
-                        <i className="fas fa-layer-group"></i>
+                        <i className="fas fa-gear"></i>
                     </button>
                 </div>
 
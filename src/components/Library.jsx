@@ -0,0 +1,129 @@
+/**
+ * Library Component
+ * 
+ * Lists documents saved in the local reading library with their progress.
+ * Each entry can be reopened at its last position, renamed inline, or removed.
+ * 
+ * Props:
+ *   - documents: Saved document metadata, most recently opened first
+ *   - activeId: Id of the document currently loaded in the reader
+ *   - onOpen: Callback with a document id to reopen it
+ *   - onRename: Callback with (id, title) to rename a document
+ *   - onRemove: Callback with a document id to remove it
+ */
+
+import React, { useState } from 'react';
+import '../styles/components/Library.css';
+
+const Library = ({ documents, activeId, onOpen, onRename, onRemove }) => {
+    const [editingId, setEditingId] = useState(null);
+    const [draftTitle, setDraftTitle] = useState('');
+
+    /**
+     * Start inline editing of a document title
+     */
+    const startRename = (doc) => {
+        setEditingId(doc.id);
+        setDraftTitle(doc.title);
+    };
+
+    /**
+     * Commit the inline title edit (ignores empty titles)
+     */
+    const commitRename = () => {
+        const title = draftTitle.trim();
+        if (editingId && title) {
+            onRename(editingId, title);
+        }
+        setEditingId(null);
+    };
+
+    /**
+     * Handle Enter/Escape while editing a title
+     */
+    const handleRenameKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            commitRename();
+        } else if (e.key === 'Escape') {
+            setEditingId(null);
+        }
+    };
+
+    /**
+     * Calculate reading progress percentage for a document
+     */
+    const getProgress = (doc) => {
+        if (doc.totalTokens <= 1) return 0;
+        return Math.round((doc.position / (doc.totalTokens - 1)) * 100);
+    };
+
+    if (documents.length === 0) {
+        return (
+            <div className="library mt-6 text-center text-[10px] text-gray-500 font-mono uppercase tracking-widest">
+                library empty
+            </div>
+        );
+    }
+
+    return (
+        <ul className="library mt-6 max-h-64 overflow-y-auto custom-scrollbar space-y-2">
+            {documents.map((doc) => (
+                <li
+                    key={doc.id}
+                    className={`library-item flex items-center gap-3 rounded-xl px-4 py-3 ${doc.id === activeId ? 'active' : ''}`}
+                >
+                    {/* Title (click to open) or inline rename input */}
+                    <div className="flex-grow min-w-0">
+                        {editingId === doc.id ? (
+                            <input
+                                autoFocus
+                                value={draftTitle}
+                                onChange={(e) => setDraftTitle(e.target.value)}
+                                onKeyDown={handleRenameKeyDown}
+                                onBlur={commitRename}
+                                className="w-full bg-black/10 rounded px-2 py-1 text-xs outline-none"
+                            />
+                        ) : (
+                            <button
+                                onClick={() => onOpen(doc.id)}
+                                className="block w-full text-left text-xs truncate hover:text-[var(--primary)] transition"
+                                title={`Resume "${doc.title}"`}
+                            >
+                                {doc.title}
+                            </button>
+                        )}
+                        <div className="text-[9px] text-gray-500 font-mono uppercase tracking-wider mt-1">
+                            {getProgress(doc)}% · {doc.totalTokens} words · {doc.wpm} wpm · {new Date(doc.lastOpenedAt).toLocaleDateString()}
+                        </div>
+                    </div>
+
+                    {/* Progress Bar */}
+                    <div className="w-12 h-1 bg-neutral-500/10 rounded-full overflow-hidden shrink-0">
+                        <div
+                            className="h-full bg-[var(--primary)]"
+                            style={{ width: `${getProgress(doc)}%` }}
+                        ></div>
+                    </div>
+
+                    {/* Actions */}
+                    <button
+                        onClick={() => startRename(doc)}
+                        className="text-gray-500 hover:text-[var(--text-main)] transition text-xs"
+                        title="Rename"
+                    >
+                        <i className="fas fa-pen"></i>
+                    </button>
+                    <button
+                        onClick={() => onRemove(doc.id)}
+                        className="text-gray-500 hover:text-red-500 transition text-xs"
+                        title="Remove from library"
+                    >
+                        <i className="fas fa-trash"></i>
+                    </button>
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+export default Library;
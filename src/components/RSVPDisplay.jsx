@@ -3,21 +3,27 @@
  * 
  * The core display area showing words in RSVP (Rapid Serial Visual Presentation) format.
  * Splits each word into left, pivot (highlighted), and right sections for
- * optimal focus during speed reading.
+ * optimal focus during speed reading. In chunk mode a short phrase is shown
+ * instead, with one pivot for the whole chunk.
  * 
  * Props:
- *   - word: Current word to display
- *   - currentIndex: Current position in word array
+ *   - chunk: Tokens shown in this frame ({ text, paragraph, sentence, ... }),
+ *     a single token unless chunk mode is on
+ *   - currentIndex: Position of the first token of the chunk
  *   - totalWords: Total number of words
  *   - isFinished: Whether reading is complete
+ *   - pivotStrategy: Pivot strategy from the settings (see PIVOT_STRATEGIES)
  */
 
 import React, { useMemo } from 'react';
-import { getPivotIndex } from '../utils/tokenizer';
+import { getChunkPivotIndex } from '../utils/tokenizer';
 import logger from '../utils/logger';
 import '../styles/components/RSVPDisplay.css';
 
-const RSVPDisplay = ({ word, currentIndex, totalWords, isFinished }) => {
+const RSVPDisplay = ({ chunk, currentIndex, totalWords, isFinished, pivotStrategy }) => {
+    const word = chunk.map(token => token.text).join(' ');
+    const lastIndex = currentIndex + Math.max(chunk.length, 1) - 1;
+
     /**
      * Split the word into left, pivot, and right sections
      * Memoized for performance during rapid updates
@@ -27,29 +33,35 @@ const RSVPDisplay = ({ word, currentIndex, totalWords, isFinished }) => {
             return { left: '', pivot: '', right: '' };
         }
 
-        const pivotIdx = getPivotIndex(word);
+        const pivotIdx = getChunkPivotIndex(word, pivotStrategy);
 
         logger.logRender(currentIndex, word);
 
+        // No pivot: split in the middle so the text stays centred
+        if (pivotIdx < 0) {
+            const middle = Math.ceil(word.length / 2);
+            return { left: word.substring(0, middle), pivot: '', right: word.substring(middle) };
+        }
+
         return {
             left: word.substring(0, pivotIdx),
             pivot: word.substring(pivotIdx, pivotIdx + 1),
             right: word.substring(pivotIdx + 1),
         };
-    }, [word, currentIndex]);
+    }, [word, currentIndex, pivotStrategy]);
 
     /**
      * Calculate progress percentage
      */
     const progressPercent = totalWords > 0
-        ? ((currentIndex + 1) / totalWords) * 100
+        ? ((lastIndex + 1) / totalWords) * 100
         : 0;
 
     return (
         <div className="mb-10 relative h-64 flex flex-col justify-center items-center">
             {/* Word Display Area */}
             <div className="rsvp-display w-full">
-                <div className="word-container">
+                <div className={`word-container ${chunk.length > 1 ? 'is-chunk' : ''}`}>
                     {/* Left part of word (before pivot) */}
                     <span className="word-left">{left}</span>
 
@@ -68,7 +80,7 @@ const RSVPDisplay = ({ word, currentIndex, totalWords, isFinished }) => {
             {/* Progress Bar */}
             <div className="absolute bottom-8 w-32 h-1 bg-neutral-500/10 rounded-full overflow-hidden">
                 <div
-                    className={`h-full bg-[var(--primary)] transition-[width] duration-300 ease-out ${(isFinished || currentIndex >= totalWords - 1) ? 'progress-finished' : ''}`}
+                    className={`h-full bg-[var(--primary)] transition-[width] duration-300 ease-out motion-reduce:transition-none ${(isFinished || lastIndex >= totalWords - 1) ? 'progress-finished' : ''}`}
                     style={{ width: `${progressPercent}%` }}
                 ></div>
             </div>
@@ -0,0 +1,297 @@
+/**
+ * SettingsPanel Component
+ * 
+ * Collapsible panel for reader preferences that are not on the main controls,
+ * plus export/import of the whole configuration as a JSON file so settings
+ * can be shared between devices and team members.
+ * 
+ * Props:
+ *   - settings: Current settings object from useSettings
+ *   - onSettingChange: Callback with (key, value) when a setting changes
+ *   - voices: Speech voices for narration ({ id, name, lang })
+ *   - canNarrate: Whether the browser can read the text aloud
+ *   - onExport: Returns the settings as a JSON string
+ *   - onImport: Receives a JSON string, throws if it is not valid settings
+ *   - onReset: Callback to restore all defaults
+ */
+
+import React, { useRef, useState } from 'react';
+import { PIVOT_STRATEGIES } from '../utils/tokenizer';
+import { FONT_FAMILIES } from '../utils/typography';
+import logger from '../utils/logger';
+import '../styles/components/SettingsPanel.css';
+
+// Words per frame offered for chunk mode
+const CHUNK_SIZES = [1, 2, 3, 4];
+
+// Warm-up lengths in words, 0 plays at full speed straight away
+const RAMP_LENGTHS = [0, 25, 50, 100, 200];
+
+// Paragraphs between comprehension checkpoints, 0 for none
+const CHECKPOINT_INTERVALS = [0, 3, 5, 10, 20];
+
+// Labels for the pivot strategies (see PIVOT_STRATEGIES)
+const PIVOT_LABELS = {
+    table: 'Length table',
+    percentage: 'Percentage',
+    vowel: 'Vowel-aware',
+    none: 'None',
+};
+
+// Labels for the display fonts (see FONT_FAMILIES)
+const FONT_LABELS = {
+    mono: 'Roboto Mono',
+    sans: 'Space Grotesk',
+    serif: 'Serif',
+    system: 'System',
+};
+
+const SettingsPanel = ({ settings, onSettingChange, voices = [], canNarrate = false, onExport, onImport, onReset }) => {
+    const importInputRef = useRef(null);
+    const [status, setStatus] = useState('');
+
+    /**
+     * Download the current settings as warp-settings.json
+     */
+    const handleExport = () => {
+        const blob = new Blob([onExport()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'warp-settings.json';
+        link.click();
+        URL.revokeObjectURL(url);
+        setStatus('settings exported');
+    };
+
+    /**
+     * Read a selected JSON file and apply it
+     */
+    const handleImportFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            onImport(await file.text());
+            setStatus('settings imported');
+        } catch (err) {
+            logger.warn('Settings import failed:', err.message);
+            setStatus(err.message);
+        }
+    };
+
+    return (
+        <div className="settings-panel panel rounded-[2rem] p-6 mb-8 backdrop-blur-xl text-xs">
+            {/* Reading Preferences */}
+            <label className="settings-row">
+                <span>Variable word timing</span>
+                <input
+                    type="checkbox"
+                    checked={settings.variableTiming}
+                    onChange={(e) => onSettingChange('variableTiming', e.target.checked)}
+                />
+            </label>
+            <label className="settings-row">
+                <span>Recognise text in images and scans (OCR)</span>
+                <input
+                    type="checkbox"
+                    checked={settings.ocr}
+                    onChange={(e) => onSettingChange('ocr', e.target.checked)}
+                />
+            </label>
+
+            <label className="settings-row">
+                <span>Words per frame</span>
+                <select
+                    value={settings.chunkSize}
+                    onChange={(e) => onSettingChange('chunkSize', Number(e.target.value))}
+                >
+                    {CHUNK_SIZES.map(size => (
+                        <option key={size} value={size}>{size === 1 ? '1 (single word)' : size}</option>
+                    ))}
+                </select>
+            </label>
+            <label className="settings-row">
+                <span>Warm-up after play</span>
+                <select
+                    value={settings.rampWords}
+                    onChange={(e) => onSettingChange('rampWords', Number(e.target.value))}
+                >
+                    {RAMP_LENGTHS.map(length => (
+                        <option key={length} value={length}>{length === 0 ? 'Off' : `${length} words`}</option>
+                    ))}
+                </select>
+            </label>
+
+            {/* Comprehension Checkpoints */}
+            <label className="settings-row">
+                <span>Checkpoint quiz</span>
+                <select
+                    value={settings.checkpointEvery}
+                    onChange={(e) => onSettingChange('checkpointEvery', Number(e.target.value))}
+                >
+                    {CHECKPOINT_INTERVALS.map(every => (
+                        <option key={every} value={every}>{every === 0 ? 'Off' : `Every ${every} paragraphs`}</option>
+                    ))}
+                </select>
+            </label>
+            <label className="settings-row">
+                <span>Checkpoint at chapter ends</span>
+                <input
+                    type="checkbox"
+                    checked={settings.checkpointChapters}
+                    onChange={(e) => onSettingChange('checkpointChapters', e.target.checked)}
+                />
+            </label>
+
+            {/* Narration */}
+            <label className="settings-row" title={canNarrate ? undefined : 'Speech is not supported in this browser'}>
+                <span>Read aloud</span>
+                <input
+                    type="checkbox"
+                    checked={settings.narration}
+                    onChange={(e) => onSettingChange('narration', e.target.checked)}
+                    disabled={!canNarrate}
+                />
+            </label>
+            {settings.narration && canNarrate && (
+                <>
+                    <label className="settings-row">
+                        <span>Voice</span>
+                        <select
+                            value={settings.narrationVoice}
+                            onChange={(e) => onSettingChange('narrationVoice', e.target.value)}
+                        >
+                            <option value="">System default</option>
+                            {voices.map(voice => (
+                                <option key={voice.id} value={voice.id}>{voice.name} ({voice.lang})</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="settings-row">
+                        <span>Speech rate</span>
+                        <input
+                            type="range"
+                            min="0.5"
+                            max="3"
+                            step="0.1"
+                            value={settings.narrationRate}
+                            onChange={(e) => onSettingChange('narrationRate', Number(e.target.value))}
+                        />
+                    </label>
+                    <label className="settings-row">
+                        <span>Speech pitch</span>
+                        <input
+                            type="range"
+                            min="0"
+                            max="2"
+                            step="0.1"
+                            value={settings.narrationPitch}
+                            onChange={(e) => onSettingChange('narrationPitch', Number(e.target.value))}
+                        />
+                    </label>
+                </>
+            )}
+
+            {/* Pivot and Typography */}
+            <label className="settings-row">
+                <span>Pivot letter</span>
+                <select
+                    value={settings.pivotStrategy}
+                    onChange={(e) => onSettingChange('pivotStrategy', e.target.value)}
+                >
+                    {PIVOT_STRATEGIES.map(strategy => (
+                        <option key={strategy} value={strategy}>{PIVOT_LABELS[strategy]}</option>
+                    ))}
+                </select>
+            </label>
+            <label className="settings-row">
+                <span>Font</span>
+                <select
+                    value={settings.fontFamily}
+                    onChange={(e) => onSettingChange('fontFamily', e.target.value)}
+                >
+                    {Object.keys(FONT_FAMILIES).map(family => (
+                        <option key={family} value={family}>{FONT_LABELS[family]}</option>
+                    ))}
+                </select>
+            </label>
+            <label className="settings-row">
+                <span>Font size</span>
+                <input
+                    type="range"
+                    min="2"
+                    max="6"
+                    step="0.25"
+                    value={settings.fontSize}
+                    onChange={(e) => onSettingChange('fontSize', Number(e.target.value))}
+                />
+            </label>
+            <label className="settings-row">
+                <span>Letter spacing</span>
+                <input
+                    type="range"
+                    min="-0.1"
+                    max="0.3"
+                    step="0.01"
+                    value={settings.letterSpacing}
+                    onChange={(e) => onSettingChange('letterSpacing', Number(e.target.value))}
+                />
+            </label>
+            <div className="settings-row">
+                <span>Pivot colour</span>
+                <div className="flex items-center gap-2">
+                    {settings.pivotColor && (
+                        <button onClick={() => onSettingChange('pivotColor', '')} className="hover:text-[var(--primary)]">
+                            theme
+                        </button>
+                    )}
+                    <input
+                        type="color"
+                        value={settings.pivotColor || '#ff003c'}
+                        onChange={(e) => onSettingChange('pivotColor', e.target.value)}
+                        title="Pivot colour"
+                    />
+                </div>
+            </div>
+            <label className="settings-row">
+                <span>Pivot markers</span>
+                <input
+                    type="checkbox"
+                    checked={settings.showMarkers}
+                    onChange={(e) => onSettingChange('showMarkers', e.target.checked)}
+                />
+            </label>
+
+            {/* Export / Import / Reset */}
+            <div className="flex gap-3 mt-6">
+                <button onClick={handleExport} className="settings-btn util-btn">
+                    <i className="fas fa-file-export"></i> Export
+                </button>
+                <button onClick={() => importInputRef.current?.click()} className="settings-btn util-btn">
+                    <i className="fas fa-file-import"></i> Import
+                </button>
+                <button onClick={onReset} className="settings-btn util-btn">
+                    <i className="fas fa-rotate-left"></i> Reset
+                </button>
+                <input
+                    ref={importInputRef}
+                    type="file"
+                    accept=".json,application/json"
+                    onChange={handleImportFile}
+                    className="hidden"
+                />
+            </div>
+
+            {/* Status Message */}
+            {status && (
+                <div className="mt-3 text-[10px] text-gray-500 font-mono uppercase tracking-widest text-center">
+                    {status}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SettingsPanel;
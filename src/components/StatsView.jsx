@@ -0,0 +1,215 @@
+/**
+ * StatsView Component
+ * 
+ * Reading statistics from the recorded sessions: totals, streaks, checkpoint
+ * comprehension, words per day over the last two weeks, the speed trend and
+ * progress per document.
+ * The history can be downloaded as CSV or JSON, or cleared.
+ * 
+ * Props:
+ *   - sessions: Recorded reading sessions, oldest first
+ *   - onExport: Returns the history as a string in the given format ('csv' or 'json')
+ *   - onClear: Callback to delete the history
+ */
+
+import React, { useMemo, useState } from 'react';
+import {
+    getDayKey,
+    getDailyTotals,
+    getStreaks,
+    getDocumentProgress,
+    getComprehension,
+    calculateAverageWpm,
+} from '../utils/history';
+import '../styles/components/StatsView.css';
+
+// Days shown in the words per day chart
+const CHART_DAYS = 14;
+
+// Reading days shown in the speed trend
+const TREND_DAYS = 30;
+
+// Documents listed under progress
+const MAX_DOCUMENTS = 6;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a duration as hours and minutes
+ * @param {number} time - Milliseconds
+ * @returns {string} e.g. "1h 05m" or "12m"
+ */
+const formatDuration = (time) => {
+    const minutes = Math.round(time / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+};
+
+const StatsView = ({ sessions, onExport, onClear }) => {
+    const [confirmClear, setConfirmClear] = useState(false);
+
+    const stats = useMemo(() => {
+        const daily = getDailyTotals(sessions);
+        const words = daily.reduce((sum, day) => sum + day.words, 0);
+        const readingTime = daily.reduce((sum, day) => sum + day.readingTime, 0);
+
+        // Last CHART_DAYS calendar days, including days without reading
+        const byDay = new Map(daily.map(day => [day.day, day]));
+        const now = Date.now();
+        const chart = Array.from({ length: CHART_DAYS }, (_, i) => {
+            const day = getDayKey(now - (CHART_DAYS - 1 - i) * DAY_MS);
+            return { day, words: byDay.get(day)?.words || 0 };
+        });
+
+        return {
+            words,
+            readingTime,
+            averageWpm: calculateAverageWpm(words, readingTime),
+            streaks: getStreaks(daily, now),
+            comprehension: getComprehension(sessions),
+            chart,
+            chartMax: Math.max(1, ...chart.map(day => day.words)),
+            trend: daily.filter(day => day.averageWpm > 0).slice(-TREND_DAYS),
+            documents: getDocumentProgress(sessions).slice(0, MAX_DOCUMENTS),
+        };
+    }, [sessions]);
+
+    /**
+     * Speed trend as SVG polyline points in a 100 x 30 box
+     */
+    const trendPoints = useMemo(() => {
+        const speeds = stats.trend.map(day => day.averageWpm);
+        const min = Math.min(...speeds);
+        const range = Math.max(1, Math.max(...speeds) - min);
+        const step = speeds.length > 1 ? 100 / (speeds.length - 1) : 0;
+
+        return speeds
+            .map((wpm, i) => `${(i * step).toFixed(1)},${(28 - ((wpm - min) / range) * 26).toFixed(1)}`)
+            .join(' ');
+    }, [stats.trend]);
+
+    /**
+     * Download the history as reading-history.csv or .json
+     * @param {'csv'|'json'} format - Export format
+     */
+    const handleExport = (format) => {
+        const type = format === 'csv' ? 'text/csv' : 'application/json';
+        const blob = new Blob([onExport(format)], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `warp-reading-history.${format}`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    /**
+     * Clear on the second click
+     */
+    const handleClear = () => {
+        if (!confirmClear) {
+            setConfirmClear(true);
+            return;
+        }
+        setConfirmClear(false);
+        onClear();
+    };
+
+    return (
+        <div className="stats-view panel rounded-[2rem] p-6 mb-8 backdrop-blur-xl text-xs">
+            {sessions.length === 0 ? (
+                <div className="text-[10px] text-gray-500 font-mono uppercase tracking-widest text-center py-4">
+                    no reading recorded yet
+                </div>
+            ) : (
+                <>
+                    {/* Totals */}
+                    <div className="flex gap-3 mb-6">
+                        <div className="stats-tile">
+                            <span className="stats-value">{stats.words.toLocaleString()}</span>
+                            <span className="stats-label">words</span>
+                        </div>
+                        <div className="stats-tile">
+                            <span className="stats-value">{formatDuration(stats.readingTime)}</span>
+                            <span className="stats-label">reading</span>
+                        </div>
+                        <div className="stats-tile">
+                            <span className="stats-value">{stats.averageWpm}</span>
+                            <span className="stats-label">avg wpm</span>
+                        </div>
+                        <div className="stats-tile" title={`Longest streak: ${stats.streaks.longest} days`}>
+                            <span className="stats-value">{stats.streaks.current}</span>
+                            <span className="stats-label">day streak</span>
+                        </div>
+                        {stats.comprehension !== null && (
+                            <div className="stats-tile" title="Checkpoint questions answered right">
+                                <span className="stats-value">{stats.comprehension}%</span>
+                                <span className="stats-label">recall</span>
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Words Per Day */}
+                    <div className="stats-heading">Last {CHART_DAYS} days</div>
+                    <div className="stats-chart mb-6">
+                        {stats.chart.map(({ day, words }) => (
+                            <div key={day} className="stats-bar-slot" title={`${day}: ${words} words`}>
+                                <div
+                                    className="stats-bar"
+                                    style={{ height: `${(words / stats.chartMax) * 100}%` }}
+                                ></div>
+                            </div>
+                        ))}
+                    </div>
+
+                    {/* Speed Trend */}
+                    {stats.trend.length > 1 && (
+                        <>
+                            <div className="stats-heading">
+                                Speed trend
+                                <span>{stats.trend[0].averageWpm} → {stats.trend[stats.trend.length - 1].averageWpm} wpm</span>
+                            </div>
+                            <svg className="stats-trend mb-6" viewBox="0 0 100 30" preserveAspectRatio="none">
+                                <polyline points={trendPoints} />
+                            </svg>
+                        </>
+                    )}
+
+                    {/* Per-Document Progress */}
+                    <div className="stats-heading">Documents</div>
+                    <ul className="mb-2">
+                        {stats.documents.map(doc => {
+                            const progress = doc.totalWords > 1
+                                ? Math.round((doc.position / (doc.totalWords - 1)) * 100)
+                                : 100;
+                            return (
+                                <li key={doc.key} className="stats-document">
+                                    <span className="truncate">{doc.title}</span>
+                                    <span className="stats-label shrink-0">{doc.words.toLocaleString()} words · {progress}%</span>
+                                    <div className="w-12 h-1 bg-neutral-500/10 rounded-full overflow-hidden shrink-0">
+                                        <div className="h-full bg-[var(--primary)]" style={{ width: `${progress}%` }}></div>
+                                    </div>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                </>
+            )}
+
+            {/* Export / Clear */}
+            <div className="flex gap-3 mt-6">
+                <button onClick={() => handleExport('csv')} className="stats-btn util-btn" disabled={sessions.length === 0}>
+                    <i className="fas fa-file-csv"></i> CSV
+                </button>
+                <button onClick={() => handleExport('json')} className="stats-btn util-btn" disabled={sessions.length === 0}>
+                    <i className="fas fa-file-export"></i> JSON
+                </button>
+                <button onClick={handleClear} onBlur={() => setConfirmClear(false)} className="stats-btn util-btn">
+                    <i className="fas fa-trash"></i> {confirmClear ? 'Confirm' : 'Clear'}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default StatsView;
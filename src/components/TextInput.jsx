@@ -1,43 +1,71 @@
 /**
  * TextInput Component
  * 
- * Provides the text input area, paste button, file upload, and initialization.
- * Handles file selection for PDF, DOCX, and TXT formats.
+ * Provides the text input area, paste button, file upload, library toggle,
+ * and initialization.
+ * Handles file selection for PDF, DOCX, EPUB, HTML, Markdown, RTF, and TXT formats.
+ * Pasted HTML is cleaned to readable text before it reaches the textarea.
  * 
  * Props:
  *   - text: Current text in the textarea
  *   - isReady: Whether text has been initialized
- *   - theme: Current theme for button styling
  *   - fileName: Name of loaded file (if any)
  *   - onTextChange: Callback when textarea content changes
  *   - onLoadText: Callback to initialize/load the text
  *   - onFileSelect: Callback when a file is selected
  *   - onClear: Callback to clear all input
+ *   - isLibraryOpen: Whether the saved document library is shown
+ *   - onToggleLibrary: Callback to show/hide the library
  */
 
 import React, { useRef } from 'react';
+import { htmlToText } from '../utils/fileProcessor';
 import logger from '../utils/logger';
 import '../styles/components/TextInput.css';
 
+// File types offered by the upload picker
+const ACCEPTED_FILES = '.txt,.pdf,.docx,.epub,.html,.htm,.md,.markdown,.rtf,.png,.jpg,.jpeg';
+
 const TextInput = ({
     text,
     isReady,
-    theme,
     fileName,
     onTextChange,
     onLoadText,
     onFileSelect,
     onClear,
+    isLibraryOpen,
+    onToggleLibrary,
 }) => {
     const fileInputRef = useRef(null);
     const textareaRef = useRef(null);
 
+    /**
+     * Read clipboard contents, preferring HTML so it can be cleaned up
+     * @returns {Promise<string>} Readable clipboard text
+     */
+    const readClipboard = async () => {
+        if (navigator.clipboard.read) {
+            try {
+                for (const item of await navigator.clipboard.read()) {
+                    if (item.types.includes('text/html')) {
+                        const blob = await item.getType('text/html');
+                        return htmlToText(await blob.text());
+                    }
+                }
+            } catch (err) {
+                // Rich clipboard access denied, fall back to plain text
+            }
+        }
+        return navigator.clipboard.readText();
+    };
+
     /**
      * Handle paste from clipboard
      */
     const handlePaste = async () => {
         try {
-            const clipboardText = await navigator.clipboard.readText();
+            const clipboardText = await readClipboard();
             if (clipboardText) {
                 logger.log('Clipboard text pasted.');
                 onTextChange(clipboardText);
@@ -48,6 +76,21 @@ const TextInput = ({
         }
     };
 
+    /**
+     * Clean HTML pasted directly into the textarea (Ctrl+V)
+     * Plain text pastes are left to the browser.
+     */
+    const handleTextareaPaste = (e) => {
+        const html = e.clipboardData.getData('text/html');
+        if (!html) return;
+
+        e.preventDefault();
+        const { selectionStart, selectionEnd } = e.target;
+        const cleaned = htmlToText(html);
+        logger.log('Clipboard HTML cleaned.');
+        onTextChange(text.slice(0, selectionStart) + cleaned + text.slice(selectionEnd));
+    };
+
     /**
      * Handle file input change
      */
@@ -59,22 +102,14 @@ const TextInput = ({
     };
 
     /**
-     * Get the appropriate class for the init button based on state and theme
+     * Get the appropriate class for the init button based on state
+     * The ready colours come from the theme's --ready-* variables.
      */
     const getInitButtonClass = () => {
         const baseClass = 'util-btn flex-grow border border-white/5 text-xs font-bold uppercase tracking-widest rounded-xl transition flex items-center justify-center gap-2';
 
         if (isReady) {
-            switch (theme) {
-                case 'default':
-                    return `${baseClass} btn-ready-default`;
-                case 'cyber':
-                    return `${baseClass} btn-ready-cyber`;
-                case 'mono':
-                    return `${baseClass} btn-ready-mono`;
-                default:
-                    return `${baseClass} btn-ready-default`;
-            }
+            return `${baseClass} btn-ready`;
         }
 
         return `${baseClass} text-gray-400 bg-[var(--btn-inactive)] hover:bg-[var(--primary)] hover:text-[var(--bg-dark)] hover:border-[var(--primary)]`;
@@ -88,6 +123,7 @@ const TextInput = ({
                     ref={textareaRef}
                     value={text}
                     onChange={(e) => onTextChange(e.target.value)}
+                    onPaste={handleTextareaPaste}
                     className="w-full h-32 bg-black/5 border border-black/5 rounded-xl p-4 text-xs focus:border-[var(--primary)] focus:ring-0 outline-none resize-none transition placeholder-gray-500 leading-relaxed custom-scrollbar"
                     placeholder="paste text here..."
                 />
@@ -117,7 +153,7 @@ const TextInput = ({
                     <input
                         ref={fileInputRef}
                         type="file"
-                        accept=".txt,.pdf,.docx"
+                        accept={ACCEPTED_FILES}
                         onChange={handleFileChange}
                         className="hidden"
                     />
@@ -128,6 +164,15 @@ const TextInput = ({
                         <i className="fas fa-upload text-lg"></i>
                     </label>
                 </div>
+
+                {/* Library Toggle Button */}
+                <button
+                    onClick={onToggleLibrary}
+                    className={`util-btn w-14 h-full shrink-0 flex items-center justify-center bg-black/5 hover:bg-black/10 border border-black/5 rounded-xl transition hover:text-[var(--primary)] ${isLibraryOpen ? 'text-[var(--primary)]' : 'text-gray-500'}`}
+                    title="Library"
+                >
+                    <i className="fas fa-book text-lg"></i>
+                </button>
             </div>
 
             {/* File Indicator */}
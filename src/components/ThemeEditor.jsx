@@ -0,0 +1,148 @@
+/**
+ * ThemeEditor Component
+ * 
+ * Panel for tweaking every CSS variable of the current theme with a live
+ * preview. Built-in themes are saved as a new custom theme, custom themes
+ * are updated in place. Themes can be exported and imported as JSON files.
+ * 
+ * Props:
+ *   - theme: Theme being edited ({ id, name, builtIn, highContrast, variables })
+ *   - onPreview: Callback with draft variables to show, or null to stop previewing
+ *   - onSave: Callback with { id, name, highContrast, variables } to save the draft
+ *   - onDelete: Callback with a custom theme id to delete it
+ *   - onExport: Returns a theme ({ name, variables }) as a JSON string
+ *   - onImport: Receives a JSON string, throws if it is not a valid theme
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { THEME_VARIABLES } from '../utils/themes';
+import logger from '../utils/logger';
+import '../styles/components/ThemeEditor.css';
+
+const ThemeEditor = ({ theme, onPreview, onSave, onDelete, onExport, onImport }) => {
+    const importInputRef = useRef(null);
+    const [name, setName] = useState(theme.name);
+    const [variables, setVariables] = useState(theme.variables);
+    const [status, setStatus] = useState('');
+
+    // Start over from the theme whenever another one is selected
+    useEffect(() => {
+        setName(theme.builtIn ? `${theme.name} copy` : theme.name);
+        setVariables(theme.variables);
+        onPreview(null);
+    }, [theme, onPreview]);
+
+    // Stop previewing when the editor closes
+    useEffect(() => () => onPreview(null), [onPreview]);
+
+    /**
+     * Change one variable and preview the result
+     */
+    const handleVariableChange = (variable, value) => {
+        const next = { ...variables, [variable]: value };
+        setVariables(next);
+        onPreview(next);
+    };
+
+    /**
+     * Save the draft
+     */
+    const handleSave = () => {
+        onSave({ id: theme.builtIn ? undefined : theme.id, name, highContrast: theme.highContrast, variables });
+        setStatus('theme saved');
+    };
+
+    /**
+     * Download the draft as a .json theme file
+     */
+    const handleExport = () => {
+        const blob = new Blob([onExport({ name, highContrast: theme.highContrast, variables })], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'theme'}.warp-theme.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        setStatus('theme exported');
+    };
+
+    /**
+     * Read a selected theme file and add it
+     */
+    const handleImportFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            onImport(await file.text());
+            setStatus('theme imported');
+        } catch (err) {
+            logger.warn('Theme import failed:', err.message);
+            setStatus(err.message);
+        }
+    };
+
+    return (
+        <div className="theme-editor panel rounded-[2rem] p-6 mb-8 backdrop-blur-xl text-xs">
+            {/* Theme Name */}
+            <label className="theme-row">
+                <span>Name</span>
+                <input
+                    type="text"
+                    value={name}
+                    maxLength={40}
+                    onChange={(e) => setName(e.target.value)}
+                    className="theme-text-input"
+                />
+            </label>
+
+            {/* Variables */}
+            {THEME_VARIABLES.map(({ name: variable, label, type }) => (
+                <label key={variable} className="theme-row" title={variable}>
+                    <span>{label}</span>
+                    <input
+                        type={type === 'color' ? 'color' : 'text'}
+                        value={variables[variable]}
+                        onChange={(e) => handleVariableChange(variable, e.target.value)}
+                        className={type === 'color' ? 'theme-color-input' : 'theme-text-input'}
+                    />
+                </label>
+            ))}
+
+            {/* Save / Delete / Export / Import */}
+            <div className="flex gap-3 mt-6">
+                <button onClick={handleSave} className="theme-btn util-btn">
+                    <i className="fas fa-floppy-disk"></i> {theme.builtIn ? 'Save new' : 'Save'}
+                </button>
+                {!theme.builtIn && (
+                    <button onClick={() => onDelete(theme.id)} className="theme-btn util-btn">
+                        <i className="fas fa-trash"></i> Delete
+                    </button>
+                )}
+                <button onClick={handleExport} className="theme-btn util-btn">
+                    <i className="fas fa-file-export"></i> Export
+                </button>
+                <button onClick={() => importInputRef.current?.click()} className="theme-btn util-btn">
+                    <i className="fas fa-file-import"></i> Import
+                </button>
+                <input
+                    ref={importInputRef}
+                    type="file"
+                    accept=".json,application/json"
+                    onChange={handleImportFile}
+                    className="hidden"
+                />
+            </div>
+
+            {/* Status Message */}
+            {status && (
+                <div className="mt-3 text-[10px] text-gray-500 font-mono uppercase tracking-widest text-center">
+                    {status}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ThemeEditor;
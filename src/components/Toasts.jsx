@@ -0,0 +1,84 @@
+/**
+ * Toasts Component
+ * 
+ * Renders the notification stack from useToasts in the top-right corner.
+ * Toasts can show a progress bar and an action button such as Retry.
+ * 
+ * Props:
+ *   - toasts: Toast objects from useToasts
+ *   - onDismiss: Callback with a toast id to close it
+ */
+
+import React from 'react';
+import '../styles/components/Toasts.css';
+
+// Icon for each toast type
+const TOAST_ICONS = {
+    info: 'fa-circle-info',
+    success: 'fa-circle-check',
+    error: 'fa-triangle-exclamation',
+};
+
+const Toasts = ({ toasts, onDismiss }) => {
+    if (toasts.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="toasts fixed top-6 right-6 z-50 flex flex-col gap-3 w-80 max-w-[calc(100vw-3rem)]" aria-live="polite">
+            {toasts.map((toast) => (
+                <div
+                    key={toast.id}
+                    className={`toast toast-${toast.type} panel rounded-2xl px-5 py-4 text-xs shadow-xl`}
+                    role={toast.type === 'error' ? 'alert' : 'status'}
+                >
+                    <div className="flex items-start gap-3">
+                        <i className={`fas ${TOAST_ICONS[toast.type]} toast-icon mt-0.5`}></i>
+
+                        <div className="flex-grow min-w-0">
+                            {toast.title && (
+                                <div className="font-bold uppercase tracking-widest text-[10px] mb-1">
+                                    {toast.title}
+                                </div>
+                            )}
+                            <div className="text-[var(--text-dim)] break-words">{toast.message}</div>
+
+                            {/* Progress Bar */}
+                            {toast.progress !== undefined && (
+                                <div className="h-1 bg-neutral-500/10 rounded-full overflow-hidden mt-3">
+                                    <div
+                                        className="toast-progress h-full bg-[var(--primary)]"
+                                        style={{ width: `${Math.round(toast.progress * 100)}%` }}
+                                    ></div>
+                                </div>
+                            )}
+
+                            {/* Action Button */}
+                            {toast.action && (
+                                <button
+                                    onClick={() => {
+                                        onDismiss(toast.id);
+                                        toast.action.onClick();
+                                    }}
+                                    className="mt-3 text-[10px] font-mono font-bold uppercase tracking-widest text-[var(--primary)] hover:opacity-80 transition"
+                                >
+                                    {toast.action.label}
+                                </button>
+                            )}
+                        </div>
+
+                        <button
+                            onClick={() => onDismiss(toast.id)}
+                            className="text-gray-500 hover:text-[var(--text-main)] transition"
+                            title="Dismiss"
+                        >
+                            <i className="fas fa-times"></i>
+                        </button>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default Toasts;
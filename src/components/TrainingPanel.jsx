@@ -0,0 +1,192 @@
+/**
+ * TrainingPanel Component
+ * 
+ * Adaptive speed training. Shows the learner's level, training speed and
+ * words per frame, the drills done per day and the latest results. Starts
+ * a drill on the loaded document, and shows its stages while it runs.
+ * 
+ * Props:
+ *   - training: Training progress ({ wpm, results })
+ *   - drill: Running drill, or null
+ *   - stageIndex: Stage of the running drill the reader is in
+ *   - lastResult: Outcome of the latest drill, or null
+ *   - canStartDrill: Whether enough of the document is left for a drill
+ *   - onStart: Callback to set up a drill at the current position
+ *   - onFinish: Callback to end the running drill early and score it
+ *   - onCancel: Callback to abandon the running drill
+ *   - onReset: Callback to start training over
+ */
+
+import React, { useMemo, useState } from 'react';
+import { DRILL_WORDS, getLevel, getTrainingChunkSize, getTrainingDays } from '../utils/training';
+import { getDayKey } from '../utils/history';
+import '../styles/components/TrainingPanel.css';
+
+// Training days shown in the level history
+const HISTORY_DAYS = 14;
+
+// Recent drills listed
+const RECENT_DRILLS = 5;
+
+// Icon per drill outcome
+const OUTCOME_ICONS = {
+    up: 'fa-arrow-up',
+    hold: 'fa-equals',
+    down: 'fa-arrow-down',
+};
+
+const TrainingPanel = ({
+    training,
+    drill,
+    stageIndex,
+    lastResult,
+    canStartDrill,
+    onStart,
+    onFinish,
+    onCancel,
+    onReset,
+}) => {
+    const [confirmReset, setConfirmReset] = useState(false);
+
+    const days = useMemo(() => getTrainingDays(training.results).slice(-HISTORY_DAYS), [training.results]);
+    const today = getDayKey(Date.now());
+    const drillsToday = days.find(day => day.day === today)?.drills || 0;
+    const recent = training.results.slice(-RECENT_DRILLS).reverse();
+    const maxLevel = Math.max(1, ...days.map(day => day.level));
+
+    /**
+     * Reset on the second click
+     */
+    const handleReset = () => {
+        if (!confirmReset) {
+            setConfirmReset(true);
+            return;
+        }
+        setConfirmReset(false);
+        onReset();
+    };
+
+    return (
+        <div className="training-panel panel rounded-[2rem] p-6 mb-8 backdrop-blur-xl text-xs">
+            {/* Level */}
+            <div className="flex gap-3 mb-6">
+                <div className="training-tile">
+                    <span className="training-value">{getLevel(training.wpm)}</span>
+                    <span className="training-label">level</span>
+                </div>
+                <div className="training-tile">
+                    <span className="training-value">{training.wpm}</span>
+                    <span className="training-label">training wpm</span>
+                </div>
+                <div className="training-tile">
+                    <span className="training-value">{getTrainingChunkSize(training.wpm)}</span>
+                    <span className="training-label">words / frame</span>
+                </div>
+                <div className="training-tile">
+                    <span className="training-value">{drillsToday}</span>
+                    <span className="training-label">drills today</span>
+                </div>
+            </div>
+
+            {/* Running Drill Stages */}
+            {drill ? (
+                <>
+                    <div className="training-heading">
+                        Drill
+                        <span>{drill.end - drill.start} words</span>
+                    </div>
+                    <div className="flex gap-2 mb-6">
+                        {drill.stages.map((stage, i) => (
+                            <div
+                                key={stage.from}
+                                className={`training-stage ${i === stageIndex ? 'is-current' : ''} ${i < stageIndex ? 'is-done' : ''}`}
+                            >
+                                {stage.wpm} wpm
+                            </div>
+                        ))}
+                    </div>
+                </>
+            ) : (
+                <p className="training-hint mb-6">
+                    A drill reads the next {DRILL_WORDS} words in three stages around your training speed,
+                    then asks a few questions. Reading it through without jumping back raises the speed.
+                </p>
+            )}
+
+            {/* Outcome of the Latest Drill */}
+            {lastResult && !drill && (
+                <div className="training-result mb-6">
+                    <i className={`fas ${OUTCOME_ICONS[lastResult.outcome]}`}></i>
+                    <span>
+                        {Math.round(lastResult.completion * 100)}% read, {lastResult.rewinds} rewinds
+                        {lastResult.accuracy !== null && `, ${Math.round(lastResult.accuracy * 100)}% recall`}
+                    </span>
+                    <span className="training-label">{lastResult.previousWpm} → {lastResult.wpm} wpm</span>
+                </div>
+            )}
+
+            {/* Level Per Day */}
+            {days.length > 0 && (
+                <>
+                    <div className="training-heading">Level by day</div>
+                    <div className="training-chart mb-6">
+                        {days.map(day => (
+                            <div key={day.day} className="training-bar-slot" title={`${day.day}: level ${day.level}, ${day.drills} drills`}>
+                                <div className="training-bar" style={{ height: `${(day.level / maxLevel) * 100}%` }}></div>
+                            </div>
+                        ))}
+                    </div>
+                </>
+            )}
+
+            {/* Recent Drills */}
+            {recent.length > 0 && (
+                <>
+                    <div className="training-heading">Recent drills</div>
+                    <ul className="mb-2">
+                        {recent.map(result => (
+                            <li key={result.at} className="training-drill">
+                                <i className={`fas ${OUTCOME_ICONS[result.outcome]}`}></i>
+                                <span className="flex-1">{result.day}</span>
+                                <span className="training-label">
+                                    {result.wpm} wpm · {Math.round(result.completion * 100)}%
+                                    {result.accuracy !== null && ` · ${Math.round(result.accuracy * 100)}% recall`}
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+
+            {/* Start / Finish / Cancel / Reset */}
+            <div className="flex gap-3 mt-6">
+                {drill ? (
+                    <>
+                        <button onClick={onFinish} className="training-btn util-btn">
+                            <i className="fas fa-flag-checkered"></i> Finish
+                        </button>
+                        <button onClick={onCancel} className="training-btn util-btn">
+                            <i className="fas fa-xmark"></i> Cancel
+                        </button>
+                    </>
+                ) : (
+                    <>
+                        <button
+                            onClick={onStart}
+                            className="training-btn util-btn"
+                            disabled={!canStartDrill}
+                            title={canStartDrill ? 'Start a drill at the current sentence' : 'Not enough text left for a drill'}
+                        >
+                            <i className="fas fa-dumbbell"></i> Start drill
+                        </button>
+                        <button onClick={handleReset} onBlur={() => setConfirmReset(false)} className="training-btn util-btn">
+                            <i className="fas fa-rotate-left"></i> {confirmReset ? 'Confirm' : 'Reset'}
+                        </button>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default TrainingPanel;
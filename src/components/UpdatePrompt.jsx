@@ -0,0 +1,64 @@
+/**
+ * UpdatePrompt Component
+ * 
+ * Registers the service worker and tells the user when Warp is ready to work
+ * offline, or when a newly deployed version is waiting to be activated.
+ * The new version is only applied when the user chooses to reload.
+ */
+
+import React from 'react';
+import { useRegisterSW } from 'virtual:pwa-register/react';
+import logger from '../utils/logger';
+
+const UpdatePrompt = () => {
+    const {
+        offlineReady: [offlineReady, setOfflineReady],
+        needRefresh: [needRefresh, setNeedRefresh],
+        updateServiceWorker,
+    } = useRegisterSW({
+        onRegisteredSW(swUrl) {
+            logger.log('Service worker registered:', swUrl);
+        },
+        onRegisterError(error) {
+            logger.warn('Service worker registration failed:', error);
+        },
+    });
+
+    /**
+     * Hide the prompt without updating
+     */
+    const dismiss = () => {
+        setOfflineReady(false);
+        setNeedRefresh(false);
+    };
+
+    if (!offlineReady && !needRefresh) {
+        return null;
+    }
+
+    return (
+        <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 panel rounded-2xl px-5 py-3 flex items-center gap-4 text-[10px] font-mono uppercase tracking-widest shadow-xl">
+            <i className={`fas ${needRefresh ? 'fa-rotate' : 'fa-plane'} text-[var(--primary)]`}></i>
+            <span className="text-[var(--text-dim)]">
+                {needRefresh ? 'new version available' : 'ready to read offline'}
+            </span>
+            {needRefresh && (
+                <button
+                    onClick={() => updateServiceWorker(true)}
+                    className="text-[var(--primary)] font-bold hover:opacity-80 transition"
+                >
+                    Reload
+                </button>
+            )}
+            <button
+                onClick={dismiss}
+                className="text-gray-500 hover:text-[var(--text-main)] transition"
+                title="Dismiss"
+            >
+                <i className="fas fa-times"></i>
+            </button>
+        </div>
+    );
+};
+
+export default UpdatePrompt;
@@ -0,0 +1,84 @@
+/**
+ * useCheckpoints Hook
+ * 
+ * Custom React hook for comprehension checkpoints. Watches playback and,
+ * when it reaches a checkpoint, pauses the reader and prepares a quiz on the
+ * passage read since the previous checkpoint. Starting playback again
+ * without answering dismisses the quiz.
+ * 
+ * Usage:
+ *   const { quiz, closeQuiz } = useCheckpoints({
+ *       tokens, tokenCount, chapters, currentIndex, isPlaying, pause, every: 5, atChapters: true,
+ *   });
+ */
+
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import { findCheckpoints, createClozeQuestions } from '../utils/checkpoints';
+import logger from '../utils/logger';
+
+/**
+ * Checkpoints hook
+ * 
+ * @param {Object} options
+ * @param {Object[]} options.tokens - Token sequence
+ * @param {number} options.tokenCount - Tokens loaded, which grows while a document streams in
+ * @param {Object[]} options.chapters - Chapters mapped to token indices
+ * @param {number} options.currentIndex - Current token index
+ * @param {boolean} options.isPlaying - Whether playback is running
+ * @param {Function} options.pause - Pauses the reader
+ * @param {number} options.every - Paragraphs between checkpoints, 0 for none
+ * @param {boolean} options.atChapters - Also stop at chapter ends
+ * @returns {Object} Quiz state and actions
+ */
+export const useCheckpoints = ({ tokens, tokenCount, chapters, currentIndex, isPlaying, pause, every, atChapters }) => {
+    // Open quiz: { index, questions }
+    const [quiz, setQuiz] = useState(null);
+
+    const checkpoints = useMemo(
+        () => findCheckpoints(tokens, chapters, { every, atChapters }),
+        [tokens, tokenCount, chapters, every, atChapters]
+    );
+
+    // Position the quiz check last ran at
+    const lastIndexRef = useRef(currentIndex);
+
+    // Stop at a checkpoint reached by playback (seeking past one does not count)
+    useEffect(() => {
+        const previous = lastIndexRef.current;
+        lastIndexRef.current = currentIndex;
+        if (!isPlaying || currentIndex <= previous) return;
+
+        const reached = checkpoints.findIndex(index => index > previous && index <= currentIndex);
+        if (reached === -1) return;
+
+        const checkpoint = checkpoints[reached];
+        const questions = createClozeQuestions(tokens, reached > 0 ? checkpoints[reached - 1] : 0, checkpoint);
+        if (questions.length === 0) return;
+
+        logger.log('Checkpoint reached at index', checkpoint);
+        pause();
+        setQuiz({ index: checkpoint, questions });
+    }, [currentIndex, isPlaying, checkpoints, tokens, pause]);
+
+    // Playing on skips the open quiz
+    useEffect(() => {
+        if (isPlaying) setQuiz(null);
+    }, [isPlaying]);
+
+    /**
+     * Close the open quiz
+     */
+    const closeQuiz = useCallback(() => {
+        setQuiz(null);
+    }, []);
+
+    return {
+        // State
+        quiz,
+
+        // Actions
+        closeQuiz,
+    };
+};
+
+export default useCheckpoints;
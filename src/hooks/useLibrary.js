@@ -0,0 +1,182 @@
+/**
+ * useLibrary Hook
+ * 
+ * Custom React hook that manages the persistent reading library.
+ * Tracks the saved document list and the currently active document,
+ * and records the reading position so documents resume where they were left.
+ * 
+ * Usage:
+ *   const { documents, activeId, addDocument, openDocument, ... } = useLibrary();
+ */
+
+import { useState, useCallback, useEffect } from 'react';
+import {
+    hashText,
+    saveDocument,
+    listDocuments,
+    findDocumentByContent,
+    getDocument,
+    updateDocument,
+    renameDocument as renameStoredDocument,
+    removeDocument as removeStoredDocument,
+} from '../utils/library';
+import logger from '../utils/logger';
+
+/**
+ * Library hook providing the document list and persistence actions
+ * All actions resolve to null/false instead of throwing when IndexedDB is
+ * unavailable, so the reader keeps working without a library.
+ * 
+ * @returns {Object} Library state and actions
+ */
+export const useLibrary = () => {
+    const [documents, setDocuments] = useState([]);
+    const [activeId, setActiveId] = useState(null);
+
+    /**
+     * Reload the document list from storage
+     */
+    const refresh = useCallback(async () => {
+        try {
+            setDocuments(await listDocuments());
+        } catch (err) {
+            logger.warn('Library unavailable:', err.message);
+        }
+    }, []);
+
+    /**
+     * Add a loaded document, or reuse a matching saved one so it resumes
+     * A document matches when its text is the same, whatever it is called,
+     * so renamed documents still resume and different texts never merge.
+     * 
+     * @param {Object} doc - { title, text, tokens, chapters, wpm }
+     * @returns {Promise<Object|null>} Stored document metadata
+     */
+    const addDocument = useCallback(async (doc) => {
+        try {
+            const contentHash = hashText(doc.text);
+            const existing = await findDocumentByContent(contentHash, doc.tokens.length);
+
+            const stored = existing
+                ? await updateDocument(existing.id, { lastOpenedAt: Date.now() })
+                : await saveDocument({ ...doc, contentHash });
+
+            setActiveId(stored.id);
+            await refresh();
+            return stored;
+        } catch (err) {
+            logger.warn('Library save failed:', err.message);
+            return null;
+        }
+    }, [refresh]);
+
+    /**
+     * Load a saved document with its content and make it active
+     * @param {string} id - Document id
+     * @returns {Promise<Object|null>} Document with text and tokens
+     */
+    const openDocument = useCallback(async (id) => {
+        try {
+            const doc = await getDocument(id);
+            if (doc) {
+                setActiveId(id);
+                await refresh();
+            }
+            return doc;
+        } catch (err) {
+            logger.warn('Library open failed:', err.message);
+            return null;
+        }
+    }, [refresh]);
+
+    /**
+     * Load the most recently opened document, if any
+     * @returns {Promise<Object|null>} Document with text and tokens
+     */
+    const restoreLastDocument = useCallback(async () => {
+        try {
+            const [latest] = await listDocuments();
+            return latest ? await openDocument(latest.id) : null;
+        } catch (err) {
+            logger.warn('Library restore failed:', err.message);
+            return null;
+        }
+    }, [openDocument]);
+
+    /**
+     * Record the reading position and WPM of the active document
+     * @param {number} position - Current token index
+     * @param {number} wpm - Current words per minute
+     */
+    const savePosition = useCallback((position, wpm) => {
+        if (!activeId) return;
+
+        updateDocument(activeId, { position, wpm })
+            .then((updated) => {
+                if (!updated) return;
+                setDocuments(docs => docs.map(d => (d.id === updated.id ? updated : d)));
+            })
+            .catch((err) => logger.warn('Library position save failed:', err.message));
+    }, [activeId]);
+
+    /**
+     * Rename a saved document
+     * @param {string} id - Document id
+     * @param {string} title - New title
+     */
+    const renameDocument = useCallback(async (id, title) => {
+        try {
+            await renameStoredDocument(id, title);
+            await refresh();
+            return true;
+        } catch (err) {
+            logger.warn('Library rename failed:', err.message);
+            return false;
+        }
+    }, [refresh]);
+
+    /**
+     * Remove a saved document, detaching it if it is active
+     * @param {string} id - Document id
+     */
+    const removeDocument = useCallback(async (id) => {
+        try {
+            await removeStoredDocument(id);
+            setActiveId(current => (current === id ? null : current));
+            await refresh();
+            return true;
+        } catch (err) {
+            logger.warn('Library remove failed:', err.message);
+            return false;
+        }
+    }, [refresh]);
+
+    /**
+     * Stop tracking the active document (it stays in the library)
+     */
+    const closeDocument = useCallback(() => {
+        setActiveId(null);
+    }, []);
+
+    // Load the document list on mount
+    useEffect(() => {
+        refresh();
+    }, [refresh]);
+
+    return {
+        // State
+        documents,
+        activeId,
+
+        // Actions
+        addDocument,
+        openDocument,
+        restoreLastDocument,
+        savePosition,
+        renameDocument,
+        removeDocument,
+        closeDocument,
+    };
+};
+
+export default useLibrary;
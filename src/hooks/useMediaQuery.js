@@ -0,0 +1,48 @@
+/**
+ * useMediaQuery Hook
+ * 
+ * Custom React hook tracking whether a CSS media query matches. Updates live
+ * when the system preference changes, e.g. switching the OS to dark mode.
+ * 
+ * Usage:
+ *   const prefersDark = useMediaQuery('(prefers-color-scheme: dark)');
+ */
+
+import { useState, useEffect } from 'react';
+
+/**
+ * Evaluate a media query, false where matchMedia is unavailable
+ * @param {string} query - Media query
+ * @returns {boolean}
+ */
+const getMatches = (query) => (
+    typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+        ? window.matchMedia(query).matches
+        : false
+);
+
+/**
+ * Media query hook
+ * 
+ * @param {string} query - Media query, e.g. '(prefers-reduced-motion: reduce)'
+ * @returns {boolean} Whether the query currently matches
+ */
+export const useMediaQuery = (query) => {
+    const [matches, setMatches] = useState(() => getMatches(query));
+
+    useEffect(() => {
+        if (typeof window.matchMedia !== 'function') return;
+
+        const list = window.matchMedia(query);
+        const handleChange = () => setMatches(list.matches);
+
+        // The query may have changed since the initial render
+        handleChange();
+        list.addEventListener('change', handleChange);
+        return () => list.removeEventListener('change', handleChange);
+    }, [query]);
+
+    return matches;
+};
+
+export default useMediaQuery;
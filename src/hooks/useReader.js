@@ -2,42 +2,254 @@
  * useReader Hook
  * 
  * Custom React hook that manages all state and logic for the RSVP speed reader.
- * Encapsulates word display, playback controls, WPM settings, and theme management.
+ * Encapsulates word display and playback controls. Reading speed and timing
+ * preferences come from the settings hook. Documents are streamed in: tokens
+ * can be appended while playback is already running. In chunk mode several
+ * words are shown per frame, each frame lasting as long as its words would.
+ * With warm-up enabled, every start of playback eases in from a lower speed.
+ * Training drills can temporarily override the speed options.
+ * Frames are timed by the drift-free playback scheduler, or, with narration
+ * on, follow the words as the speech engine speaks them.
  * 
  * Usage:
- *   const { words, currentIndex, isPlaying, play, pause, ... } = useReader();
+ *   const { tokens, currentIndex, isPlaying, play, pause, ... } = useReader({ wpm });
+ *   startLoading(); appendTokens(batch); finishLoading(chapters);
  */
 
-import { useState, useCallback, useRef, useEffect } from 'react';
-import { cleanAndTokenize, calculateInterval } from '../utils/tokenizer';
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
+import {
+    tokensFromWords,
+    findPreviousSegment,
+    findNextSegment,
+    findChapterAt,
+    calculateInterval,
+    getTokenMultiplier,
+    calculateRampWpm,
+    findChunkEnd,
+} from '../utils/tokenizer';
+import { createScheduler } from '../utils/scheduler';
+import { speechEngine as defaultSpeechEngine, findNarrationEnd, buildNarration, findTokenAtChar } from '../utils/speech';
 import { requestWakeLock, releaseWakeLock } from '../utils/wakeLock';
 import logger from '../utils/logger';
 
-// Default welcome words shown on initial load
-const DEFAULT_WORDS = ['welcome', 'to', 'warp.', 'velocity', 'reading', 'system.', 'ready?'];
+// Default welcome tokens shown on initial load
+const DEFAULT_TOKENS = tokensFromWords(['welcome', 'to', 'warp.', 'velocity', 'reading', 'system.', 'ready?']);
+
+// Placeholder tokens when loaded text contains no words
+const EMPTY_TOKENS = tokensFromWords(['ready', 'to', 'warp']);
+
+/**
+ * Time the tokens from an index on, after they were added to the sequence
+ * The token before them is timed again, as it may now end a paragraph.
+ * 
+ * @param {{multipliers: number[], total: number}} timing - Duration multipliers and their sum, updated in place
+ * @param {Object[]} tokens - Token sequence
+ * @param {number} from - First new token
+ */
+const extendTiming = (timing, tokens, from) => {
+    for (let i = Math.max(0, from - 1); i < tokens.length; i++) {
+        const multiplier = getTokenMultiplier(tokens, i);
+        timing.total += multiplier - (timing.multipliers[i] || 0);
+        timing.multipliers[i] = multiplier;
+    }
+};
+
+/**
+ * Time a whole token sequence
+ * @param {Object[]} tokens - Token sequence
+ * @returns {{multipliers: number[], total: number}} Duration multipliers and their sum
+ */
+const createTiming = (tokens) => {
+    const timing = { multipliers: [], total: 0 };
+    extendTiming(timing, tokens, 0);
+    return timing;
+};
 
 /**
  * Main reader hook providing all state and controls for the speed reader
  * 
+ * @param {Object} options
+ * @param {number} options.wpm - Target words per minute
+ * @param {boolean} [options.variableTiming=true] - Use the per-word timing model
+ * @param {number} [options.chunkSize=1] - Maximum words shown per frame
+ * @param {number} [options.rampWords=0] - Words to ramp up to full speed over after play
+ * @param {boolean} [options.narration=false] - Read the text aloud, the voice setting the pace
+ * @param {string} [options.narrationVoice=''] - Voice id, empty for the system default
+ * @param {number} [options.narrationRate=1] - Speech rate (1 is normal)
+ * @param {number} [options.narrationPitch=1] - Speech pitch (1 is normal)
+ * @param {Object} [options.speechEngine] - Speech engine, the browser's by default (see createSpeechEngine)
  * @returns {Object} Reader state and control functions
  */
-export const useReader = () => {
+export const useReader = ({
+    variableTiming = true,
+    narration = false,
+    narrationVoice = '',
+    narrationRate = 1,
+    narrationPitch = 1,
+    speechEngine = defaultSpeechEngine,
+    ...options
+}) => {
+    // Speed options set by a training drill in place of the settings
+    const [playbackOverride, setPlaybackOverride] = useState(null);
+    const { wpm, chunkSize = 1, rampWords = 0 } = { ...options, ...playbackOverride };
+
+    // Token sequence, held in a ref so streamed batches are appended in place
+    // instead of copying the document; tokenCount changes as it grows
+    const tokensRef = useRef(DEFAULT_TOKENS);
+    const [tokenCount, setTokenCount] = useState(DEFAULT_TOKENS.length);
+    const tokens = tokensRef.current;
+
+    // Duration multipliers of the tokens, kept up to date as they arrive
+    const timingRef = useRef(null);
+    if (timingRef.current === null) timingRef.current = createTiming(DEFAULT_TOKENS);
+
     // Core reading state
-    const [words, setWords] = useState(DEFAULT_WORDS);
+    const [chapters, setChapters] = useState([]);
     const [currentIndex, setCurrentIndex] = useState(0);
     const [isPlaying, setIsPlaying] = useState(false);
     const [isReady, setIsReady] = useState(false);
     const [isFinished, setIsFinished] = useState(false);
+    const [isLoading, setIsLoading] = useState(false);
 
-    // Settings
-    const [wpm, setWpm] = useState(300);
-    const [theme, setTheme] = useState('default');
+    // Index playback last started from, where warm-up counts from
+    const [rampStart, setRampStart] = useState(0);
 
-    // File state
+    // Jumps back the reader asked for (see jumpTo), for reading statistics
+    const [rewindCount, setRewindCount] = useState(0);
+
+    // File state, and a counter bumped whenever another document replaces it
     const [fileName, setFileName] = useState('');
+    const [documentVersion, setDocumentVersion] = useState(0);
+
+    // Chapter containing the current token (-1 before the first chapter)
+    const currentChapter = useMemo(() => findChapterAt(chapters, currentIndex), [chapters, currentIndex]);
+
+    // Playback scheduler, created on mount
+    const schedulerRef = useRef(null);
+
+    // Whether speech drives playback instead of the scheduler; a drill's
+    // speed override (see setPlaybackOverride) cannot be kept by a voice,
+    // so drills are always shown silently
+    const isNarrating = narration && speechEngine.isSupported && !playbackOverride;
+
+    // Current utterance id (bumped to ignore stale speech events), and the
+    // index narration is waiting at for a loading document to catch up
+    const narrationRef = useRef({ id: 0, waitingAt: null });
+
+    // Words shown in the current frame, starting at currentIndex
+    const chunkEnd = useMemo(
+        () => findChunkEnd(tokens, currentIndex, chunkSize),
+        [tokens, tokenCount, currentIndex, chunkSize],
+    );
+    const currentChunk = useMemo(() => tokens.slice(currentIndex, chunkEnd), [tokens, currentIndex, chunkEnd]);
+
+    // Speed actually played at, below the target while warming up
+    const effectiveWpm = isPlaying ? calculateRampWpm(wpm, currentIndex - rampStart, rampWords) : wpm;
+
+    // Latest values for the scheduler, which runs outside of renders
+    const indexRef = useRef(currentIndex);
+    indexRef.current = currentIndex;
+    const playbackRef = useRef(null);
+    playbackRef.current = {
+        tokens, chunkSize, wpm, variableTiming, rampWords, rampStart, isLoading, narrationVoice, narrationRate, narrationPitch,
+    };
 
-    // Timeout reference for cleanup
-    const timeoutRef = useRef(null);
+    /**
+     * Build the frame starting at a token index
+     * A chunk stays up as long as its words would one by one, keeping the
+     * WPM, and is stretched while warming up. Word durations are scaled so
+     * they average out to the selected WPM over the tokens loaded so far.
+     * 
+     * @param {number} index - First token of the frame
+     * @returns {{duration: number, words: number}} Frame for the scheduler
+     */
+    const getFrame = useCallback((index) => {
+        const { tokens, chunkSize, wpm, variableTiming, rampWords, rampStart } = playbackRef.current;
+        const { multipliers, total } = timingRef.current;
+        const end = findChunkEnd(tokens, index, chunkSize);
+        const interval = calculateInterval(wpm);
+        const scale = variableTiming && total > 0 ? (interval * tokens.length) / total : null;
+
+        let duration = 0;
+        for (let i = index; i < end; i++) duration += scale === null ? interval : multipliers[i] * scale;
+
+        return {
+            duration: duration * wpm / calculateRampWpm(wpm, index - rampStart, rampWords),
+            words: end - index,
+        };
+    }, []);
+
+    /**
+     * Show the frame containing a token, moving forward only
+     * Keeps chunk mode frames where playback would have put them.
+     * 
+     * @param {number} index - Token being spoken
+     */
+    const showSpokenToken = useCallback((index) => {
+        const { tokens, chunkSize } = playbackRef.current;
+        let frameStart = indexRef.current;
+        let frameEnd = findChunkEnd(tokens, frameStart, chunkSize);
+
+        while (index >= frameEnd && frameEnd < tokens.length) {
+            frameStart = frameEnd;
+            frameEnd = findChunkEnd(tokens, frameStart, chunkSize);
+        }
+
+        if (frameStart !== indexRef.current) {
+            indexRef.current = frameStart;
+            setCurrentIndex(frameStart);
+        }
+    }, []);
+
+    /**
+     * Narrate from a token index, one sentence per utterance
+     * Word boundaries move the display along with the voice, and the next
+     * sentence is spoken when one ends. Voices without boundary events
+     * move it a sentence at a time.
+     * 
+     * @param {number} start - First token to speak
+     */
+    const speakFrom = useCallback((start) => {
+        const { tokens, isLoading, narrationVoice, narrationRate, narrationPitch } = playbackRef.current;
+        const narrating = narrationRef.current;
+        narrating.id += 1;
+        narrating.waitingAt = null;
+        const id = narrating.id;
+
+        // Caught up with a document still loading: resumes when tokens arrive
+        if (start >= tokens.length && isLoading) {
+            narrating.waitingAt = start;
+            return;
+        }
+
+        if (start >= tokens.length) {
+            logger.log('Sequence finished.');
+            setIsPlaying(false);
+            setIsFinished(true);
+            releaseWakeLock();
+            return;
+        }
+
+        showSpokenToken(start);
+        const utterance = buildNarration(tokens, start, findNarrationEnd(tokens, start));
+        speechEngine.speak({
+            text: utterance.text,
+            voice: narrationVoice,
+            rate: narrationRate,
+            pitch: narrationPitch,
+            onBoundary: (charIndex) => {
+                if (narrating.id === id) showSpokenToken(findTokenAtChar(utterance, charIndex));
+            },
+            onEnd: () => {
+                if (narrating.id === id) speakFrom(utterance.end);
+            },
+            onError: () => {
+                if (narrating.id !== id) return;
+                setIsPlaying(false);
+                releaseWakeLock();
+            },
+        });
+    }, [speechEngine, showSpokenToken]);
 
     /**
      * Start playback of the word sequence
@@ -45,15 +257,18 @@ export const useReader = () => {
     const play = useCallback(async () => {
         logger.log('Start requested.');
 
-        // If at the end, restart from beginning
-        if (currentIndex >= words.length - 1) {
+        // If at the end, restart from beginning (unless more words are coming)
+        const restarting = !isLoading && (isFinished || currentIndex >= tokenCount - 1);
+        if (restarting) {
             setCurrentIndex(0);
             setIsFinished(false);
         }
 
+        // Warm up again from here after every pause or jump
+        setRampStart(restarting ? 0 : currentIndex);
         setIsPlaying(true);
         await requestWakeLock();
-    }, [currentIndex, words.length]);
+    }, [isLoading, isFinished, currentIndex, tokenCount]);
 
     /**
      * Pause playback
@@ -61,12 +276,7 @@ export const useReader = () => {
     const pause = useCallback(() => {
         logger.log('Pause requested.');
         setIsPlaying(false);
-
-        if (timeoutRef.current) {
-            clearTimeout(timeoutRef.current);
-            timeoutRef.current = null;
-        }
-
+        schedulerRef.current?.stop();
         releaseWakeLock();
     }, []);
 
@@ -92,48 +302,173 @@ export const useReader = () => {
     }, [pause]);
 
     /**
-     * Go back 10 words
+     * Jump to a specific token index and pause
+     * @param {number} index - Target token index (clamped to the sequence)
      */
-    const back10 = useCallback(() => {
-        const newIndex = Math.max(0, currentIndex - 10);
-        logger.log('Jumped back to index', newIndex);
+    const seek = useCallback((index) => {
+        const newIndex = Math.max(0, Math.min(index, tokensRef.current.length - 1));
+        logger.log('Jumped to index', newIndex);
         setCurrentIndex(newIndex);
         setIsFinished(false);
         pause();
-    }, [currentIndex, pause]);
+    }, [pause]);
 
     /**
-     * Load text and tokenize it into words
-     * @param {string} text - Raw text to load
+     * Jump to a token index on the reader's request and pause
+     * Unlike seek, which is also used for restarts, chapter and drill jumps,
+     * a jump backwards is counted as a rewind.
+     * 
+     * @param {number} index - Target token index (clamped to the sequence)
      */
-    const loadText = useCallback((text) => {
-        logger.log('Loading text from input...');
-        const tokenized = cleanAndTokenize(text);
+    const jumpTo = useCallback((index) => {
+        if (Math.max(0, Math.min(index, tokensRef.current.length - 1)) < indexRef.current) {
+            setRewindCount(count => count + 1);
+        }
+        seek(index);
+    }, [seek]);
 
-        if (tokenized.length === 0) {
-            setWords(['ready', 'to', 'warp']);
-        } else {
-            setWords(tokenized);
+    /**
+     * Go back 10 words
+     */
+    const back10 = useCallback(() => {
+        jumpTo(currentIndex - 10);
+    }, [currentIndex, jumpTo]);
+
+    /**
+     * Go forward 10 words
+     */
+    const forward10 = useCallback(() => {
+        jumpTo(currentIndex + 10);
+    }, [currentIndex, jumpTo]);
+
+    /**
+     * Rewind to the start of the current sentence (or the previous one if already there)
+     */
+    const prevSentence = useCallback(() => {
+        jumpTo(findPreviousSegment(tokens, currentIndex, 'sentence'));
+    }, [tokens, currentIndex, jumpTo]);
+
+    /**
+     * Skip to the start of the next sentence
+     */
+    const nextSentence = useCallback(() => {
+        jumpTo(findNextSegment(tokens, currentIndex, 'sentence'));
+    }, [tokens, currentIndex, jumpTo]);
+
+    /**
+     * Rewind to the start of the current paragraph (or the previous one if already there)
+     */
+    const prevParagraph = useCallback(() => {
+        jumpTo(findPreviousSegment(tokens, currentIndex, 'paragraph'));
+    }, [tokens, currentIndex, jumpTo]);
+
+    /**
+     * Skip to the start of the next paragraph
+     */
+    const nextParagraph = useCallback(() => {
+        jumpTo(findNextSegment(tokens, currentIndex, 'paragraph'));
+    }, [tokens, currentIndex, jumpTo]);
+
+    /**
+     * Jump to the start of a chapter
+     * @param {number} chapterIndex - Index into chapters
+     */
+    const goToChapter = useCallback((chapterIndex) => {
+        const chapter = chapters[chapterIndex];
+        if (chapter) {
+            logger.log('Jumping to chapter', `"${chapter.title}"`);
+            seek(chapter.index);
         }
+    }, [chapters, seek]);
+
+    /**
+     * Replace the token sequence
+     * @param {Object[]} next - Tokens of another document
+     */
+    const replaceTokens = useCallback((next) => {
+        tokensRef.current = next;
+        timingRef.current = createTiming(next);
+        setTokenCount(next.length);
+    }, []);
 
+    /**
+     * Start streaming in a new document
+     * Clears the current one; tokens arrive through appendTokens.
+     */
+    const startLoading = useCallback(() => {
+        logger.log('Loading document...');
+        setDocumentVersion(v => v + 1);
+        replaceTokens([]);
+        setChapters([]);
         setCurrentIndex(0);
         setIsFinished(false);
+        setIsReady(false);
+        setIsLoading(true);
+        pause();
+    }, [pause, replaceTokens]);
+
+    /**
+     * Add the next batch of tokens of the document being loaded
+     * The reader becomes playable as soon as the first batch arrives.
+     * 
+     * @param {Object[]} batch - Tokens from the document worker
+     */
+    const appendTokens = useCallback((batch) => {
+        if (batch.length === 0) return;
+        const list = tokensRef.current;
+        const from = list.length;
+        for (const token of batch) list.push(token);
+        extendTiming(timingRef.current, list, from);
+        setTokenCount(list.length);
+        setIsReady(true);
+    }, []);
+
+    /**
+     * Finish loading the streamed document
+     * @param {Object[]} [loadedChapters=[]] - Chapters mapped to token indices
+     */
+    const finishLoading = useCallback((loadedChapters = []) => {
+        logger.log('Document loaded,', tokensRef.current.length, 'tokens.');
+        if (tokensRef.current.length === 0) replaceTokens(EMPTY_TOKENS);
+        setChapters(loadedChapters);
+        setIsLoading(false);
+        setIsReady(true);
+    }, [replaceTokens]);
+
+    /**
+     * Open a saved library document at its last reading position
+     * @param {Object} doc - Document with tokens, chapters, title and position
+     */
+    const openDocument = useCallback((doc) => {
+        logger.log('Opening saved document at index', doc.position);
+        const loaded = doc.tokens.length === 0 ? EMPTY_TOKENS : doc.tokens;
+
+        setDocumentVersion(v => v + 1);
+        replaceTokens(loaded);
+        setChapters(doc.chapters || []);
+        setCurrentIndex(Math.min(doc.position || 0, loaded.length - 1));
+        setFileName(doc.title.toLowerCase());
+        setIsFinished(false);
+        setIsLoading(false);
         setIsReady(true);
         pause();
-    }, [pause]);
+    }, [pause, replaceTokens]);
 
     /**
      * Clear all text and reset state
      */
     const clearText = useCallback(() => {
         logger.log('Clearing file/text input.');
-        setWords(DEFAULT_WORDS);
+        setDocumentVersion(v => v + 1);
+        replaceTokens(DEFAULT_TOKENS);
+        setChapters([]);
         setCurrentIndex(0);
         setIsReady(false);
         setIsFinished(false);
+        setIsLoading(false);
         setFileName('');
         pause();
-    }, [pause]);
+    }, [pause, replaceTokens]);
 
     /**
      * Set the loaded file name for display
@@ -150,70 +485,130 @@ export const useReader = () => {
         setIsReady(false);
     }, []);
 
-    // Playback loop effect
+    // Playback scheduler, advancing to the next frame whenever one is due
     useEffect(() => {
-        if (!isPlaying) return;
-
-        const runLoop = () => {
-            setCurrentIndex((prevIndex) => {
-                const nextIndex = prevIndex + 1;
+        const scheduler = createScheduler({
+            onFrameEnd: () => {
+                const { tokens, chunkSize, isLoading } = playbackRef.current;
+                const nextIndex = findChunkEnd(tokens, indexRef.current, chunkSize);
+
+                // Caught up with a document still loading: resumes when tokens arrive
+                if (nextIndex >= tokens.length && isLoading) {
+                    return null;
+                }
 
-                if (nextIndex >= words.length) {
+                if (nextIndex >= tokens.length) {
                     logger.log('Sequence finished.');
                     setIsPlaying(false);
                     setIsFinished(true);
                     releaseWakeLock();
-                    return words.length - 1;
+                    return null;
                 }
 
-                return nextIndex;
-            });
+                indexRef.current = nextIndex;
+                setCurrentIndex(nextIndex);
+                return getFrame(nextIndex);
+            },
+        });
+        schedulerRef.current = scheduler;
+
+        return () => {
+            scheduler.stop();
+            releaseWakeLock();
         };
+    }, [getFrame]);
+
+    // Start the scheduler on play, report the speed reached on pause
+    useEffect(() => {
+        if (!isPlaying || isNarrating) return;
 
-        timeoutRef.current = setTimeout(runLoop, calculateInterval(wpm));
+        const scheduler = schedulerRef.current;
+        scheduler.start(getFrame(indexRef.current));
 
         return () => {
-            if (timeoutRef.current) {
-                clearTimeout(timeoutRef.current);
+            scheduler.stop();
+            const { words, measuredWpm, targetWpm } = scheduler.getStats();
+            if (words > 0) {
+                logger.log(`Played ${words} words at ${Math.round(measuredWpm)} WPM (target ${Math.round(targetWpm)}).`);
             }
         };
-    }, [isPlaying, currentIndex, wpm, words.length]);
+    }, [isPlaying, isNarrating, getFrame]);
 
-    // Cleanup on unmount
+    // Apply speed and timing changes to the frame on screen, or resume
+    // once a document still loading has more tokens
     useEffect(() => {
+        const scheduler = schedulerRef.current;
+        if (!isPlaying || isNarrating) return;
+
+        if (scheduler.isRunning()) {
+            scheduler.updateDuration(getFrame(indexRef.current).duration);
+        } else {
+            scheduler.resume(getFrame(indexRef.current));
+        }
+    }, [isPlaying, isNarrating, isLoading, tokenCount, variableTiming, chunkSize, wpm, rampWords, getFrame]);
+
+    // Narrate on play and stop speaking on pause or seek; voice changes
+    // restart the utterance at the word on screen
+    useEffect(() => {
+        if (!isPlaying || !isNarrating) return;
+
+        const narrating = narrationRef.current;
+        speakFrom(indexRef.current);
+
         return () => {
-            if (timeoutRef.current) {
-                clearTimeout(timeoutRef.current);
-            }
-            releaseWakeLock();
+            narrating.id += 1;
+            narrating.waitingAt = null;
+            speechEngine.cancel();
         };
-    }, []);
+    }, [isPlaying, isNarrating, narrationVoice, narrationRate, narrationPitch, speakFrom, speechEngine]);
+
+    // Resume narration once a document still loading has more tokens
+    useEffect(() => {
+        const { waitingAt } = narrationRef.current;
+        if (isPlaying && isNarrating && waitingAt !== null) speakFrom(waitingAt);
+    }, [tokenCount, isLoading, isPlaying, isNarrating, speakFrom]);
 
     return {
         // State
-        words,
+        tokens,
+        tokenCount,
+        chapters,
+        currentChapter,
         currentIndex,
+        currentChunk,
+        effectiveWpm,
         isPlaying,
         isReady,
         isFinished,
-        wpm,
-        theme,
+        isLoading,
         fileName,
-
-        // Setters
-        setWpm,
-        setTheme,
+        documentVersion,
+        playbackOverride,
+        isNarrating,
+        rewindCount,
 
         // Controls
         play,
         pause,
         togglePlayPause,
         restart,
+        seek,
+        jumpTo,
         back10,
-        loadText,
+        forward10,
+        prevSentence,
+        nextSentence,
+        prevParagraph,
+        nextParagraph,
+        goToChapter,
+        startLoading,
+        appendTokens,
+        finishLoading,
+        openDocument,
         clearText,
         setLoadedFileName,
         markTextModified,
+        setPlaybackOverride,
     };
 };
 
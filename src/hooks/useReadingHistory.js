@@ -0,0 +1,272 @@
+/**
+ * useReadingHistory Hook
+ * 
+ * Custom React hook that records reading sessions from the reader state and
+ * keeps the stored history. A session runs from the first play on a document
+ * until the reader switches documents or playback stays paused for a long
+ * time. Open sessions are saved on every pause and when the page is hidden;
+ * sessions in which nothing was read are not kept. Checkpoint quiz scores
+ * are recorded with the session they were taken in.
+ * 
+ * Usage:
+ *   const { sessions, recordCheckpoint, clearHistory, exportHistory } = useReadingHistory({
+ *       documentVersion, documentId, title, currentIndex, totalWords, isPlaying, rewindCount,
+ *   });
+ */
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+import {
+    HISTORY_STORAGE_KEY,
+    createSessionId,
+    calculateAverageWpm,
+    loadHistory,
+    saveHistory,
+    upsertSession,
+    exportHistoryCsv,
+    exportHistoryJson,
+} from '../utils/history';
+import logger from '../utils/logger';
+
+// A pause longer than this starts a new session on the next play
+const SESSION_GAP = 30 * 60 * 1000;
+
+/**
+ * Reading history hook
+ * 
+ * @param {Object} reader - Reader state to record
+ * @param {number} reader.documentVersion - Changes whenever another document is loaded
+ * @param {string|null} reader.documentId - Library id of the document, if saved
+ * @param {string} reader.title - Document title
+ * @param {number} reader.currentIndex - Current token index
+ * @param {number} reader.totalWords - Number of tokens in the document
+ * @param {boolean} reader.isPlaying - Whether playback is running
+ * @param {number} reader.rewindCount - Jumps back the reader asked for so far; restarts,
+ *   chapter and drill jumps are not rewinds
+ * @returns {Object} History state and actions
+ */
+export const useReadingHistory = ({ documentVersion, documentId, title, currentIndex, totalWords, isPlaying, rewindCount }) => {
+    const [sessions, setSessions] = useState(loadHistory);
+
+    // Session being recorded, and when its current stretch of playback began
+    const sessionRef = useRef(null);
+    const playingSinceRef = useRef(null);
+
+    // Reader state the session was last updated from
+    const lastIndexRef = useRef(currentIndex);
+    const lastRewindCountRef = useRef(rewindCount);
+    const versionRef = useRef(documentVersion);
+    const readerRef = useRef(null);
+    readerRef.current = { documentId, title, currentIndex, totalWords };
+
+    /**
+     * Open session as it would be stored now, counting playback still running
+     * @returns {Object} Session record
+     */
+    const snapshot = useCallback(() => {
+        const session = sessionRef.current;
+        const running = playingSinceRef.current === null ? 0 : Date.now() - playingSinceRef.current;
+        const readingTime = session.readingTime + running;
+        return { ...session, readingTime, averageWpm: calculateAverageWpm(session.wordsRead, readingTime) };
+    }, []);
+
+    /**
+     * Store the open session, if anything was read
+     */
+    const commit = useCallback(() => {
+        if (!sessionRef.current || sessionRef.current.wordsRead === 0) return;
+        const session = snapshot();
+        setSessions(prev => upsertSession(prev, session));
+    }, [snapshot]);
+
+    /**
+     * Start recording a new session at the current position
+     */
+    const openSession = useCallback(() => {
+        const { documentId, title, currentIndex, totalWords } = readerRef.current;
+        const now = Date.now();
+
+        sessionRef.current = {
+            id: createSessionId(),
+            documentId,
+            title,
+            startedAt: now,
+            endedAt: now,
+            wordsRead: 0,
+            readingTime: 0,
+            averageWpm: 0,
+            pauses: 0,
+            rewinds: 0,
+            position: currentIndex,
+            totalWords,
+            quizCorrect: 0,
+            quizTotal: 0,
+            checkpoints: [],
+        };
+        playingSinceRef.current = now;
+    }, []);
+
+    /**
+     * Store and close the open session
+     */
+    const endSession = useCallback(() => {
+        if (!sessionRef.current) return;
+        commit();
+        logger.log('Reading session ended:', sessionRef.current.wordsRead, 'words.');
+        sessionRef.current = null;
+        playingSinceRef.current = null;
+    }, [commit]);
+
+    // Every document gets its own sessions
+    useEffect(() => endSession, [documentVersion, endSession]);
+
+    // Time playback, count pauses and save on every pause
+    useEffect(() => {
+        const now = Date.now();
+
+        if (isPlaying) {
+            if (sessionRef.current && now - sessionRef.current.endedAt > SESSION_GAP) {
+                endSession();
+            }
+            if (sessionRef.current) {
+                playingSinceRef.current = now;
+            } else {
+                openSession();
+            }
+            return;
+        }
+
+        const session = sessionRef.current;
+        if (!session || playingSinceRef.current === null) return;
+
+        session.readingTime += now - playingSinceRef.current;
+        session.endedAt = now;
+        playingSinceRef.current = null;
+
+        // Reaching the end is not a pause
+        const { currentIndex, totalWords } = readerRef.current;
+        if (currentIndex < totalWords - 1) session.pauses += 1;
+        commit();
+    }, [isPlaying, openSession, endSession, commit]);
+
+    // Count words shown during playback
+    useEffect(() => {
+        const previous = lastIndexRef.current;
+        lastIndexRef.current = currentIndex;
+
+        // A new document starts over at its own position
+        if (versionRef.current !== documentVersion) {
+            versionRef.current = documentVersion;
+            return;
+        }
+        if (currentIndex === previous) return;
+
+        if (isPlaying && !sessionRef.current) openSession();
+        const session = sessionRef.current;
+        if (!session) return;
+
+        if (isPlaying && currentIndex > previous) {
+            session.wordsRead += currentIndex - previous;
+        }
+        session.position = currentIndex;
+        session.endedAt = Date.now();
+    }, [currentIndex, documentVersion, isPlaying, openSession]);
+
+    // Count the reader's jumps backwards
+    useEffect(() => {
+        const added = rewindCount - lastRewindCountRef.current;
+        lastRewindCountRef.current = rewindCount;
+        if (sessionRef.current && added > 0) sessionRef.current.rewinds += added;
+    }, [rewindCount]);
+
+    // The library id and title of a new document arrive after it loads
+    useEffect(() => {
+        const session = sessionRef.current;
+        if (!session) return;
+        session.documentId = documentId || session.documentId;
+        session.title = title;
+        session.totalWords = totalWords;
+    }, [documentId, title, totalWords]);
+
+    // Save right away when the page is hidden, it may never come back
+    useEffect(() => {
+        const handleVisibilityChange = () => {
+            if (document.visibilityState !== 'hidden') return;
+            if (!sessionRef.current || sessionRef.current.wordsRead === 0) return;
+
+            const session = snapshot();
+            saveHistory(upsertSession(loadHistory(), session));
+            setSessions(prev => upsertSession(prev, session));
+        };
+
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+    }, [snapshot]);
+
+    // Persist on every change
+    useEffect(() => {
+        saveHistory(sessions);
+    }, [sessions]);
+
+    // Pick up sessions recorded in other tabs
+    useEffect(() => {
+        const handleStorage = (e) => {
+            if (e.key === HISTORY_STORAGE_KEY) {
+                setSessions(loadHistory());
+            }
+        };
+
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    }, []);
+
+    /**
+     * Record a checkpoint quiz score in the open session
+     * 
+     * @param {Object} score
+     * @param {number} score.index - Token index of the checkpoint
+     * @param {number} score.wpm - Speed read at before the checkpoint
+     * @param {number} score.correct - Questions answered right
+     * @param {number} score.total - Questions asked
+     */
+    const recordCheckpoint = useCallback(({ index, wpm, correct, total }) => {
+        const session = sessionRef.current;
+        if (!session) return;
+
+        session.quizCorrect += correct;
+        session.quizTotal += total;
+        session.checkpoints = [...session.checkpoints, { at: Date.now(), index, wpm: Math.round(wpm), correct, total }];
+        logger.log(`Checkpoint score ${correct}/${total} at ${Math.round(wpm)} WPM.`);
+        commit();
+    }, [commit]);
+
+    /**
+     * Delete all recorded sessions
+     * Reading continues in a fresh session.
+     */
+    const clearHistory = useCallback(() => {
+        sessionRef.current = null;
+        setSessions([]);
+        logger.log('Reading history cleared.');
+    }, []);
+
+    /**
+     * Serialize the history for download
+     * @param {'csv'|'json'} format - Export format
+     * @returns {string} CSV or JSON document
+     */
+    const exportHistory = useCallback((format) => (
+        format === 'csv' ? exportHistoryCsv(sessions) : exportHistoryJson(sessions)
+    ), [sessions]);
+
+    return {
+        // State
+        sessions,
+
+        // Actions
+        recordCheckpoint,
+        clearHistory,
+        exportHistory,
+    };
+};
+
+export default useReadingHistory;
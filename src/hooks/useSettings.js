@@ -0,0 +1,105 @@
+/**
+ * useSettings Hook
+ * 
+ * Custom React hook exposing the persisted reader preferences as a single
+ * settings object. Every change is validated, saved to localStorage and
+ * synchronised across open tabs.
+ * 
+ * Usage:
+ *   const { settings, updateSetting, exportToJson, importFromJson } = useSettings();
+ *   updateSetting('wpm', 450);
+ */
+
+import { useState, useCallback, useEffect } from 'react';
+import {
+    STORAGE_KEY,
+    DEFAULT_SETTINGS,
+    loadSettings,
+    saveSettings,
+    normalizeSettings,
+    exportSettings,
+    importSettings,
+} from '../utils/settings';
+import logger from '../utils/logger';
+
+/**
+ * Settings hook providing the current preferences and update actions
+ * 
+ * @returns {Object} Settings state and actions
+ */
+export const useSettings = () => {
+    const [settings, setSettings] = useState(loadSettings);
+
+    /**
+     * Change a single setting
+     * @param {string} key - Setting name from SETTINGS_SCHEMA
+     * @param {any} value - New value (invalid values fall back to the default)
+     */
+    const updateSetting = useCallback((key, value) => {
+        setSettings(prev => normalizeSettings({ ...prev, [key]: value }));
+    }, []);
+
+    /**
+     * Change several settings at once
+     * @param {Object} changes - Partial settings object
+     */
+    const updateSettings = useCallback((changes) => {
+        setSettings(prev => normalizeSettings({ ...prev, ...changes }));
+    }, []);
+
+    /**
+     * Restore every setting to its default
+     */
+    const resetSettings = useCallback(() => {
+        logger.log('Settings reset to defaults.');
+        setSettings({ ...DEFAULT_SETTINGS });
+    }, []);
+
+    /**
+     * Serialize the current settings for sharing
+     * @returns {string} JSON document
+     */
+    const exportToJson = useCallback(() => exportSettings(settings), [settings]);
+
+    /**
+     * Replace the current settings with an exported JSON document
+     * @param {string} json - JSON produced by exportToJson
+     * @throws {Error} If the document is not valid Warp settings
+     */
+    const importFromJson = useCallback((json) => {
+        const imported = importSettings(json);
+        logger.log('Settings imported.');
+        setSettings(imported);
+    }, []);
+
+    // Persist on every change
+    useEffect(() => {
+        saveSettings(settings);
+    }, [settings]);
+
+    // Pick up changes made in other tabs
+    useEffect(() => {
+        const handleStorage = (e) => {
+            if (e.key === STORAGE_KEY) {
+                setSettings(loadSettings());
+            }
+        };
+
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    }, []);
+
+    return {
+        // State
+        settings,
+
+        // Actions
+        updateSetting,
+        updateSettings,
+        resetSettings,
+        exportToJson,
+        importFromJson,
+    };
+};
+
+export default useSettings;
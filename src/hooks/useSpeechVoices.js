@@ -0,0 +1,35 @@
+/**
+ * useSpeechVoices Hook
+ * 
+ * Custom React hook listing the voices of a speech engine. Browsers load
+ * their voices asynchronously, so the list fills in after the first render
+ * and updates when voices are added or removed.
+ * 
+ * Usage:
+ *   const voices = useSpeechVoices();
+ */
+
+import { useState, useEffect } from 'react';
+import { speechEngine } from '../utils/speech';
+
+/**
+ * Speech voices hook
+ * 
+ * @param {Object} [engine=speechEngine] - Speech engine (see createSpeechEngine)
+ * @returns {Object[]} Voices ({ id, name, lang, isDefault })
+ */
+export const useSpeechVoices = (engine = speechEngine) => {
+    const [voices, setVoices] = useState(() => engine.getVoices());
+
+    useEffect(() => {
+        const handleChange = () => setVoices(engine.getVoices());
+
+        // Voices may have loaded since the initial render
+        handleChange();
+        return engine.onVoicesChanged(handleChange);
+    }, [engine]);
+
+    return voices;
+};
+
+export default useSpeechVoices;
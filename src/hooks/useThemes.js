@@ -0,0 +1,116 @@
+/**
+ * useThemes Hook
+ * 
+ * Custom React hook exposing the theme registry: the built-in themes plus
+ * the custom themes saved locally. Custom themes are persisted to
+ * localStorage and synchronised across open tabs.
+ * 
+ * Usage:
+ *   const { themes, saveTheme, deleteTheme, importThemeFromJson } = useThemes();
+ *   const saved = saveTheme({ name: 'Dusk', variables });
+ */
+
+import { useState, useCallback, useEffect, useMemo } from 'react';
+import {
+    THEMES_STORAGE_KEY,
+    BUILT_IN_THEMES,
+    createThemeId,
+    normalizeTheme,
+    loadCustomThemes,
+    saveCustomThemes,
+    exportTheme,
+    importTheme,
+} from '../utils/themes';
+import logger from '../utils/logger';
+
+/**
+ * Themes hook providing the available themes and actions on custom themes
+ * 
+ * @returns {Object} Themes state and actions
+ */
+export const useThemes = () => {
+    const [customThemes, setCustomThemes] = useState(loadCustomThemes);
+
+    // Built-in themes first, then custom themes in creation order
+    const themes = useMemo(() => [...BUILT_IN_THEMES, ...customThemes], [customThemes]);
+
+    /**
+     * Save a custom theme
+     * Themes without an id, or with a built-in id, are saved as a new theme.
+     * 
+     * @param {{id?: string, name: string, highContrast?: boolean, variables: Object}} theme - Theme to save
+     * @returns {Object} The saved theme, with its id
+     */
+    const saveTheme = useCallback((theme) => {
+        const isCustom = typeof theme.id === 'string' && theme.id.startsWith('custom-');
+        const saved = normalizeTheme({ ...theme, id: isCustom ? theme.id : createThemeId() });
+
+        setCustomThemes(prev => (
+            prev.some(t => t.id === saved.id)
+                ? prev.map(t => (t.id === saved.id ? saved : t))
+                : [...prev, saved]
+        ));
+        logger.log('Theme saved:', saved.name);
+        return saved;
+    }, []);
+
+    /**
+     * Delete a custom theme (built-in themes are ignored)
+     * @param {string} id - Theme id
+     */
+    const deleteTheme = useCallback((id) => {
+        setCustomThemes(prev => prev.filter(t => t.id !== id));
+        logger.log('Theme deleted:', id);
+    }, []);
+
+    /**
+     * Serialize a theme for sharing
+     * @param {{name: string, variables: Object}} theme - Theme to export
+     * @returns {string} JSON document
+     */
+    const exportThemeToJson = useCallback((theme) => exportTheme(theme), []);
+
+    /**
+     * Add a theme from an exported JSON document
+     * 
+     * @param {string} json - JSON produced by exportThemeToJson
+     * @returns {Object} The imported theme
+     * @throws {Error} If the document is not a valid Warp theme
+     */
+    const importThemeFromJson = useCallback((json) => {
+        const imported = importTheme(json);
+        setCustomThemes(prev => [...prev, imported]);
+        logger.log('Theme imported:', imported.name);
+        return imported;
+    }, []);
+
+    // Persist on every change
+    useEffect(() => {
+        saveCustomThemes(customThemes);
+    }, [customThemes]);
+
+    // Pick up themes saved in other tabs
+    useEffect(() => {
+        const handleStorage = (e) => {
+            if (e.key === THEMES_STORAGE_KEY) {
+                setCustomThemes(loadCustomThemes());
+            }
+        };
+
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    }, []);
+
+    return {
+        // State
+        themes,
+
+        // Actions
+        saveTheme,
+        deleteTheme,
+        exportThemeToJson,
+        importThemeFromJson,
+    };
+};
+
+export default useThemes;
@@ -0,0 +1,109 @@
+/**
+ * useToasts Hook
+ * 
+ * Custom React hook managing a stack of transient notifications. Info and
+ * success toasts dismiss themselves after a few seconds; errors and toasts
+ * showing progress stay until they are updated or dismissed.
+ * 
+ * Usage:
+ *   const { toasts, showToast, updateToast, dismissToast } = useToasts();
+ *   const id = showToast({ type: 'info', message: 'importing', progress: 0 });
+ *   updateToast(id, { progress: 0.5 });
+ */
+
+import { useState, useCallback, useRef, useEffect } from 'react';
+
+// Time before info and success toasts disappear (ms)
+const AUTO_DISMISS_DELAY = 4000;
+
+/**
+ * @typedef {Object} Toast
+ * @property {number} id - Unique toast id
+ * @property {'info'|'success'|'error'} type - Visual style
+ * @property {string} [title] - Short bold summary
+ * @property {string} message - Body text
+ * @property {number} [progress] - 0-1 fraction, shows a progress bar when set
+ * @property {{label: string, onClick: Function}} [action] - Optional action button
+ */
+
+/**
+ * Toast hook providing the visible toasts and actions to manage them
+ * 
+ * @returns {Object} Toast state and actions
+ */
+export const useToasts = () => {
+    const [toasts, setToasts] = useState([]);
+    const nextId = useRef(1);
+    const timers = useRef(new Map());
+
+    /**
+     * Remove a toast
+     * @param {number} id - Toast id
+     */
+    const dismissToast = useCallback((id) => {
+        clearTimeout(timers.current.get(id));
+        timers.current.delete(id);
+        setToasts(prev => prev.filter(toast => toast.id !== id));
+    }, []);
+
+    /**
+     * Restart the auto-dismiss timer of a toast if its type allows it
+     * @param {Toast} toast - Toast to schedule
+     */
+    const scheduleDismiss = useCallback((toast) => {
+        clearTimeout(timers.current.get(toast.id));
+        timers.current.delete(toast.id);
+
+        if (toast.type !== 'error' && toast.progress === undefined) {
+            timers.current.set(toast.id, setTimeout(() => dismissToast(toast.id), AUTO_DISMISS_DELAY));
+        }
+    }, [dismissToast]);
+
+    /**
+     * Show a new toast
+     * @param {Omit<Toast, 'id'>} toast - Toast content
+     * @returns {number} Id for later updates
+     */
+    const showToast = useCallback((toast) => {
+        const created = { type: 'info', ...toast, id: nextId.current++ };
+        setToasts(prev => [...prev, created]);
+        scheduleDismiss(created);
+        return created.id;
+    }, [scheduleDismiss]);
+
+    /**
+     * Change the content of an existing toast
+     * Set progress to undefined to turn a progress toast into a regular one.
+     * 
+     * @param {number} id - Toast id
+     * @param {Partial<Toast>} changes - Fields to replace
+     */
+    const updateToast = useCallback((id, changes) => {
+        setToasts(prev => prev.map(toast => {
+            if (toast.id !== id) return toast;
+            const updated = { ...toast, ...changes };
+            if ('type' in changes || 'progress' in changes) {
+                scheduleDismiss(updated);
+            }
+            return updated;
+        }));
+    }, [scheduleDismiss]);
+
+    // Clear pending timers on unmount
+    useEffect(() => {
+        const pending = timers.current;
+        return () => pending.forEach(timer => clearTimeout(timer));
+    }, []);
+
+    return {
+        // State
+        toasts,
+
+        // Actions
+        showToast,
+        updateToast,
+        dismissToast,
+    };
+};
+
+export default useToasts;
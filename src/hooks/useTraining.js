@@ -0,0 +1,229 @@
+/**
+ * useTraining Hook
+ * 
+ * Custom React hook running adaptive speed training drills on the loaded
+ * document. A drill starts at the current sentence, sets the reader's speed
+ * and words per frame for each stage, counts the reader's jumps back, and ends with
+ * a cloze quiz on the passage. The outcome moves the training WPM, which is
+ * stored so the level carries over between days.
+ * 
+ * Usage:
+ *   const { training, drill, startDrill, completeDrill, ... } = useTraining({
+ *       tokens, currentIndex, isPlaying, rewindCount, documentVersion, pause, seek, setPlaybackOverride,
+ *   });
+ */
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+import {
+    TRAINING_STORAGE_KEY,
+    MIN_DRILL_WORDS,
+    loadTraining,
+    saveTraining,
+    createDrill,
+    advanceDrillProgress,
+    getDrillCompletion,
+    evaluateDrill,
+    applyDrillResult,
+} from '../utils/training';
+import { findSegmentStart } from '../utils/tokenizer';
+import { createClozeQuestions } from '../utils/checkpoints';
+import logger from '../utils/logger';
+
+/**
+ * Training hook
+ * 
+ * @param {Object} reader - Reader state and controls
+ * @param {Object[]} reader.tokens - Token sequence
+ * @param {number} reader.currentIndex - Current token index
+ * @param {boolean} reader.isPlaying - Whether playback is running
+ * @param {number} reader.rewindCount - Jumps back the reader asked for so far
+ * @param {number} reader.documentVersion - Changes whenever another document is loaded
+ * @param {Function} reader.pause - Pauses the reader
+ * @param {Function} reader.seek - Jumps to a token index
+ * @param {Function} reader.setPlaybackOverride - Sets or clears the drill speed options
+ * @returns {Object} Training state and actions
+ */
+export const useTraining = ({ tokens, currentIndex, isPlaying, rewindCount, documentVersion, pause, seek, setPlaybackOverride }) => {
+    const [training, setTraining] = useState(loadTraining);
+
+    // Running drill (see createDrill), its end-of-drill quiz, and the last outcome
+    const [drill, setDrill] = useState(null);
+    const [drillQuiz, setDrillQuiz] = useState(null);
+    const [lastResult, setLastResult] = useState(null);
+
+    // Furthest token read through and jumps back in the running drill
+    const progressRef = useRef({ furthest: 0, rewinds: 0 });
+    const lastIndexRef = useRef(currentIndex);
+    const lastRewindCountRef = useRef(rewindCount);
+
+    // Stage the reader is in, by position
+    const stageIndex = drill ? drill.stages.filter(stage => currentIndex >= stage.from).length - 1 : -1;
+    const drillWpm = drill ? drill.stages[Math.max(0, stageIndex)].wpm : null;
+    const drillChunkSize = drill ? drill.chunkSize : null;
+
+    // Enough of the document left for a drill
+    const canStartDrill = tokens.length - currentIndex >= MIN_DRILL_WORDS;
+
+    /**
+     * Start a drill at the beginning of the current sentence
+     * The reader jumps there paused; playing starts the drill.
+     * 
+     * @returns {boolean} Whether the drill was set up
+     */
+    const startDrill = useCallback(() => {
+        const start = findSegmentStart(tokens, Math.min(currentIndex, tokens.length - 1), 'sentence');
+        if (tokens.length - start < MIN_DRILL_WORDS) return false;
+
+        const next = createDrill(training, start, tokens.length);
+        progressRef.current = { furthest: start, rewinds: 0 };
+
+        setDrill(next);
+        setDrillQuiz(null);
+        setLastResult(null);
+        seek(start);
+        logger.log(`Drill ready: ${next.end - next.start} words from index ${start} at ${next.wpm} WPM.`);
+        return true;
+    }, [tokens, currentIndex, training, seek]);
+
+    /**
+     * Score the drill and adjust the training WPM
+     * @param {{correct: number, total: number}|null} score - Quiz result, null if skipped
+     * @returns {Object|null} Outcome with the new training WPM
+     */
+    const completeDrill = useCallback((score) => {
+        if (!drill) return null;
+
+        const { furthest, rewinds } = progressRef.current;
+        const words = drill.end - drill.start;
+        const completion = getDrillCompletion(drill, furthest);
+        const accuracy = score && score.total > 0 ? score.correct / score.total : null;
+        const outcome = evaluateDrill({ completion, rewinds, words, accuracy });
+        const next = applyDrillResult(training, outcome, { completion, rewinds, accuracy });
+
+        const result = { outcome, completion, rewinds, accuracy, wpm: next.wpm, previousWpm: training.wpm };
+        logger.log(`Drill ${outcome}: ${Math.round(completion * 100)}% read, ${rewinds} rewinds, training WPM ${next.wpm}.`);
+
+        setTraining(next);
+        setLastResult(result);
+        setDrill(null);
+        setDrillQuiz(null);
+        return result;
+    }, [drill, training]);
+
+    /**
+     * Stop reading and quiz on the part of the drill that was read
+     * @param {number} end - Token after the passage read
+     */
+    const endDrill = useCallback((end) => {
+        pause();
+        const questions = drill ? createClozeQuestions(tokens, drill.start, end) : [];
+        if (questions.length === 0) {
+            completeDrill(null);
+            return;
+        }
+        setDrillQuiz({ questions });
+    }, [drill, tokens, pause, completeDrill]);
+
+    /**
+     * Finish the drill early, scoring what was read
+     */
+    const finishDrill = useCallback(() => {
+        endDrill(progressRef.current.furthest + 1);
+    }, [endDrill]);
+
+    /**
+     * Abandon the drill without recording it
+     */
+    const cancelDrill = useCallback(() => {
+        pause();
+        setDrill(null);
+        setDrillQuiz(null);
+        logger.log('Drill cancelled.');
+    }, [pause]);
+
+    /**
+     * Start training over from the initial speed
+     */
+    const resetTraining = useCallback(() => {
+        localStorage.removeItem(TRAINING_STORAGE_KEY);
+        setTraining(loadTraining());
+        setLastResult(null);
+    }, []);
+
+    // Drill speed and words per frame for the current stage
+    useEffect(() => {
+        setPlaybackOverride(drillWpm === null ? null : { wpm: drillWpm, chunkSize: drillChunkSize, rampWords: 0 });
+    }, [drillWpm, drillChunkSize, setPlaybackOverride]);
+
+    // Track the drill as it is read, quiz when the passage is done
+    useEffect(() => {
+        const previous = lastIndexRef.current;
+        lastIndexRef.current = currentIndex;
+        if (!drill || drillQuiz) return;
+
+        const progress = progressRef.current;
+        progress.furthest = advanceDrillProgress(progress.furthest, previous, currentIndex, isPlaying);
+
+        if (isPlaying && currentIndex >= drill.end - 1) {
+            endDrill(drill.end);
+        }
+    }, [currentIndex, isPlaying, drill, drillQuiz, endDrill]);
+
+    // Count the reader's jumps back during the drill
+    useEffect(() => {
+        const added = rewindCount - lastRewindCountRef.current;
+        lastRewindCountRef.current = rewindCount;
+        if (drill && !drillQuiz && added > 0) progressRef.current.rewinds += added;
+    }, [rewindCount, drill, drillQuiz]);
+
+    // Playing on skips the drill quiz
+    useEffect(() => {
+        if (isPlaying && drillQuiz) completeDrill(null);
+    }, [isPlaying, drillQuiz, completeDrill]);
+
+    // A drill belongs to the document it was started on
+    const versionRef = useRef(documentVersion);
+    useEffect(() => {
+        if (versionRef.current === documentVersion) return;
+        versionRef.current = documentVersion;
+        setDrill(null);
+        setDrillQuiz(null);
+    }, [documentVersion]);
+
+    // Persist on every change
+    useEffect(() => {
+        saveTraining(training);
+    }, [training]);
+
+    // Pick up progress made in other tabs
+    useEffect(() => {
+        const handleStorage = (e) => {
+            if (e.key === TRAINING_STORAGE_KEY) {
+                setTraining(loadTraining());
+            }
+        };
+
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    }, []);
+
+    return {
+        // State
+        training,
+        drill,
+        drillWpm,
+        stageIndex,
+        drillQuiz,
+        lastResult,
+        canStartDrill,
+
+        // Actions
+        startDrill,
+        finishDrill,
+        completeDrill,
+        cancelDrill,
+        resetTraining,
+    };
+};
+
+export default useTraining;
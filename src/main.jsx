@@ -3,10 +3,17 @@
  * 
  * Mounts the React application to the DOM.
  * This is the first file executed by Vite when the app loads.
+ * Fonts and icons are bundled from npm so the app works offline.
  */
 
 import React from 'react';
 import ReactDOM from 'react-dom/client';
+import '@fontsource/space-grotesk/300.css';
+import '@fontsource/space-grotesk/500.css';
+import '@fontsource/space-grotesk/700.css';
+import '@fontsource/roboto-mono/400.css';
+import '@fontsource/roboto-mono/500.css';
+import '@fortawesome/fontawesome-free/css/all.min.css';
 import App from './App';
 
 // Mount the app to the root element
@@ -0,0 +1,189 @@
+/**
+ * Checkpoints Utility
+ * 
+ * Comprehension checkpoints: where playback stops for a recall prompt, and
+ * the cloze questions asked there. Questions are generated locally from the
+ * sentences just read by blanking a key word, with other words from the
+ * same passage offered as alternatives.
+ * 
+ * Usage:
+ *   import { findCheckpoints, createClozeQuestions } from './utils/checkpoints';
+ *   const checkpoints = findCheckpoints(tokens, chapters, { every: 5, atChapters: true });
+ *   const questions = createClozeQuestions(tokens, previousCheckpoint, checkpoint);
+ */
+
+import { isCommonWord } from './tokenizer';
+
+// Questions asked per checkpoint
+const QUESTIONS_PER_CHECKPOINT = 3;
+
+// Answer options per question, including the right one
+const OPTIONS_PER_QUESTION = 4;
+
+// Only the most recent sentences of a passage are asked about
+const RECENT_SENTENCES = 12;
+
+// Sentences shorter than this give too little context to recall from
+const MIN_SENTENCE_WORDS = 6;
+
+// Shortest word worth asking about (numbers always qualify)
+const MIN_KEY_LENGTH = 5;
+
+// Punctuation before and after the word itself
+const WORD_PARTS = /^([^\p{L}\p{N}]*)(.*?)([^\p{L}\p{N}]*)$/u;
+
+/**
+ * @typedef {Object} ClozeQuestion
+ * @property {string} id - Stable id within the checkpoint
+ * @property {string} before - Sentence text before the blank
+ * @property {string} after - Sentence text after the blank
+ * @property {string} answer - Blanked word
+ * @property {string[]} options - Answer choices, including the answer
+ */
+
+/**
+ * Token indices where playback stops for a checkpoint
+ * A checkpoint sits on the first word after the passage it asks about, so
+ * it is reached as soon as that passage has been read.
+ * 
+ * @param {Token[]} tokens - Token sequence
+ * @param {{index: number}[]} chapters - Chapters mapped to token indices
+ * @param {Object} options
+ * @param {number} options.every - Paragraphs between checkpoints, 0 for none
+ * @param {boolean} options.atChapters - Also stop where each chapter ends
+ * @returns {number[]} Sorted token indices
+ */
+export const findCheckpoints = (tokens, chapters, { every, atChapters }) => {
+    const checkpoints = new Set();
+
+    if (every > 0) {
+        let paragraphs = 0;
+        for (let i = 1; i < tokens.length; i++) {
+            if (tokens[i].paragraph !== tokens[i - 1].paragraph) {
+                paragraphs++;
+                if (paragraphs % every === 0) checkpoints.add(i);
+            }
+        }
+    }
+
+    // A chapter ends where the next one starts
+    if (atChapters) {
+        chapters.forEach(({ index }) => {
+            if (index > 0 && index < tokens.length) checkpoints.add(index);
+        });
+    }
+
+    return [...checkpoints].sort((a, b) => a - b);
+};
+
+/**
+ * Small stable string hash, so the same passage always gives the same quiz
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+const hashString = (text) => {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * How good a word is to blank out, 0 if it should not be asked about
+ * Numbers and names (capitalised inside a sentence) are the most memorable,
+ * then long uncommon words.
+ * 
+ * @param {string} word - Bare word
+ * @param {number} position - Position in its sentence
+ * @returns {number} Score
+ */
+const scoreKeyWord = (word, position) => {
+    if (/\d/.test(word)) return word.length + 8;
+    if (word.length < MIN_KEY_LENGTH || isCommonWord(word)) return 0;
+    if (position > 0 && /^\p{Lu}/u.test(word)) return word.length + 4;
+    return word.length;
+};
+
+/**
+ * Generate cloze questions about a passage
+ * Each question blanks the key word of one of the last sentences read, with
+ * wrong options taken from the other key words of the passage.
+ * 
+ * @param {Token[]} tokens - Token sequence
+ * @param {number} start - First token of the passage
+ * @param {number} end - Token after the passage
+ * @returns {ClozeQuestion[]} Questions in reading order, empty if the passage is too short
+ */
+export const createClozeQuestions = (tokens, start, end) => {
+    // Group the passage into sentences, splitting off punctuation
+    const sentences = [];
+    for (let i = Math.max(0, start); i < Math.min(end, tokens.length); i++) {
+        const token = tokens[i];
+        const [, lead, word, trail] = token.text.match(WORD_PARTS);
+        const last = sentences[sentences.length - 1];
+        const part = { text: token.text, lead, word, trail };
+
+        if (last && last.id === token.sentence) {
+            last.parts.push(part);
+        } else {
+            sentences.push({ id: token.sentence, parts: [part] });
+        }
+    }
+
+    // Key word of every sentence, and all of them as the pool of wrong options
+    const pool = new Map();
+    const candidates = [];
+    sentences.forEach((sentence) => {
+        let best = null;
+        sentence.parts.forEach((part, position) => {
+            const score = scoreKeyWord(part.word, position);
+            if (score === 0) return;
+            pool.set(part.word.toLowerCase(), part.word);
+            if (!best || score > best.score) best = { score, position };
+        });
+        if (best && sentence.parts.length >= MIN_SENTENCE_WORDS) {
+            candidates.push({ sentence, position: best.position });
+        }
+    });
+
+    // Spread the questions over the most recent sentences
+    const recent = candidates.slice(-RECENT_SENTENCES);
+    const count = Math.min(QUESTIONS_PER_CHECKPOINT, recent.length);
+    const picked = [];
+    for (let i = 0; i < count; i++) {
+        const candidate = recent[Math.floor(((i + 1) * recent.length) / count) - 1];
+        const answer = candidate.sentence.parts[candidate.position].word;
+        if (!picked.some(p => p.answer.toLowerCase() === answer.toLowerCase())) {
+            picked.push({ ...candidate, answer });
+        }
+    }
+
+    return picked.map(({ sentence, position, answer }) => {
+        const { parts } = sentence;
+        const key = parts[position];
+
+        // Wrong options closest in length to the answer look most plausible
+        const distractors = [...pool.values()]
+            .filter(word => word.toLowerCase() !== answer.toLowerCase())
+            .sort((a, b) => (
+                Math.abs(a.length - answer.length) - Math.abs(b.length - answer.length)
+                || hashString(a + answer) - hashString(b + answer)
+            ))
+            .slice(0, OPTIONS_PER_QUESTION - 1);
+        const options = [answer, ...distractors].sort((a, b) => hashString(a + sentence.id) - hashString(b + sentence.id));
+
+        return {
+            id: `${start}-${sentence.id}`,
+            before: [...parts.slice(0, position).map(p => p.text), key.lead].join(' ').trimEnd(),
+            after: [key.trail, ...parts.slice(position + 1).map(p => p.text)].join(' ').trim(),
+            answer,
+            options,
+        };
+    });
+};
+
+export default {
+    findCheckpoints,
+    createClozeQuestions,
+};
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { findCheckpoints, createClozeQuestions } from './checkpoints';
+import { cleanAndTokenize } from './tokenizer';
+
+// Six short paragraphs of two words each, so paragraph p starts at token 2p
+const paragraphs = cleanAndTokenize('One a.\n\nTwo b.\n\nThree c.\n\nFour d.\n\nFive e.\n\nSix f.');
+
+const PASSAGE = [
+    'Marie travelled to Vienna in 1898 with her brother.',
+    'The violin lessons began every morning before breakfast.',
+    'Their teacher praised the careful fingering of both students.',
+].join(' ');
+
+describe('findCheckpoints', () => {
+    it('stops every N paragraphs', () => {
+        expect(findCheckpoints(paragraphs, [], { every: 2, atChapters: false })).toEqual([4, 8]);
+        expect(findCheckpoints(paragraphs, [], { every: 1, atChapters: false })).toEqual([2, 4, 6, 8, 10]);
+    });
+
+    it('stops where each chapter ends', () => {
+        const chapters = [{ index: 0 }, { index: 6 }, { index: 10 }];
+        expect(findCheckpoints(paragraphs, chapters, { every: 0, atChapters: true })).toEqual([6, 10]);
+    });
+
+    it('merges paragraph and chapter checkpoints in order', () => {
+        const chapters = [{ index: 0 }, { index: 4 }, { index: 6 }];
+        expect(findCheckpoints(paragraphs, chapters, { every: 2, atChapters: true })).toEqual([4, 6, 8]);
+    });
+
+    it('ignores chapters outside the document and finds none when switched off', () => {
+        const chapters = [{ index: 0 }, { index: paragraphs.length }];
+        expect(findCheckpoints(paragraphs, chapters, { every: 0, atChapters: true })).toEqual([]);
+        expect(findCheckpoints(paragraphs, [{ index: 6 }], { every: 0, atChapters: false })).toEqual([]);
+    });
+});
+
+describe('createClozeQuestions', () => {
+    const tokens = cleanAndTokenize(PASSAGE);
+
+    it('blanks the key word of each sentence', () => {
+        const questions = createClozeQuestions(tokens, 0, tokens.length);
+
+        expect(questions.map(q => q.answer)).toEqual(['1898', 'breakfast', 'fingering']);
+        expect(questions[0]).toMatchObject({
+            before: 'Marie travelled to Vienna in',
+            after: 'with her brother.',
+        });
+        expect(questions[1]).toMatchObject({
+            before: 'The violin lessons began every morning before',
+            after: '.',
+        });
+    });
+
+    it('offers other key words of the passage as options', () => {
+        const questions = createClozeQuestions(tokens, 0, tokens.length);
+
+        questions.forEach((question) => {
+            expect(question.options).toHaveLength(4);
+            expect(question.options).toContain(question.answer);
+            expect(new Set(question.options).size).toBe(4);
+        });
+    });
+
+    it('asks the same questions about the same passage', () => {
+        expect(createClozeQuestions(tokens, 0, tokens.length)).toEqual(createClozeQuestions(tokens, 0, tokens.length));
+    });
+
+    it('only asks about the given passage', () => {
+        const secondSentence = tokens.findIndex(token => token.sentence === 1);
+        const questions = createClozeQuestions(tokens, secondSentence, tokens.length);
+        expect(questions.map(q => q.answer)).toEqual(['breakfast', 'fingering']);
+    });
+
+    it('asks nothing about a passage with no suitable words', () => {
+        const common = cleanAndTokenize('It was not what he had said to them at all. She did go, and so did we.');
+        expect(createClozeQuestions(common, 0, common.length)).toEqual([]);
+    });
+
+    it('asks nothing about sentences too short to recall from', () => {
+        const short = cleanAndTokenize('Remarkable things happened. Everybody cheered loudly.');
+        expect(createClozeQuestions(short, 0, short.length)).toEqual([]);
+    });
+});
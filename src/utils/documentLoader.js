@@ -0,0 +1,195 @@
+/**
+ * Document Loader Utility
+ * 
+ * Main-thread side of the document worker. Starts import jobs, forwards
+ * streamed tokens and progress to callbacks, and lets jobs be cancelled.
+ * Formats that need the DOM (DOCX, EPUB, HTML) are extracted here, and each
+ * piece of text (an EPUB chapter) is streamed to the worker for tokenizing
+ * as soon as it is read.
+ * 
+ * Usage:
+ *   import { importFile } from './utils/documentLoader';
+ *   const job = importFile(file, { onTokens, onProgress });
+ *   const { text, tokens, chapters } = await job.promise;
+ *   job.cancel();
+ */
+
+import { processFile, needsMainThread, FileImportError, IMPORT_ERROR } from './fileProcessor';
+import logger from './logger';
+
+// Shared document worker, created on first use
+let documentWorker = null;
+
+// Running jobs by id: { tokens, onTokens, onProgress, resolve, reject }
+const jobs = new Map();
+let nextJobId = 1;
+
+/**
+ * Route a worker message to its job
+ * @param {MessageEvent} event - Message from the document worker
+ */
+const handleMessage = ({ data: message }) => {
+    const job = jobs.get(message.jobId);
+    if (!job) return;
+
+    switch (message.type) {
+        case 'tokens':
+            for (const token of message.tokens) job.tokens.push(token);
+            job.onTokens(message.tokens);
+            break;
+        case 'progress':
+            job.onProgress(message.progress);
+            break;
+        case 'done':
+            jobs.delete(message.jobId);
+            job.resolve({ text: message.text, tokens: job.tokens, chapters: message.chapters });
+            break;
+        case 'error':
+            jobs.delete(message.jobId);
+            job.reject(new FileImportError(message.code, message.message));
+            break;
+        default:
+            break;
+    }
+};
+
+/**
+ * Fail every running job when the worker itself crashes or cannot load
+ * @param {ErrorEvent} event - Worker error
+ */
+const handleWorkerError = (event) => {
+    logger.error('Document worker failed:', event.message);
+    documentWorker.terminate();
+    documentWorker = null;
+
+    const error = new FileImportError(
+        IMPORT_ERROR.ENGINE_FAILED,
+        'The document engine stopped unexpectedly. Reload the page and try again.'
+    );
+    jobs.forEach(job => job.reject(error));
+    jobs.clear();
+};
+
+/**
+ * Get the shared document worker, starting it if needed
+ * @returns {Worker} Document worker
+ */
+const getDocumentWorker = () => {
+    if (!documentWorker) {
+        documentWorker = new Worker(new URL('../workers/documentWorker.js', import.meta.url), {
+            type: 'module',
+            name: 'warp-document-worker',
+        });
+        documentWorker.onmessage = handleMessage;
+        documentWorker.onerror = handleWorkerError;
+    }
+    return documentWorker;
+};
+
+/**
+ * @typedef {Object} ImportJob
+ * @property {Promise<{text: string, tokens: Object[], chapters: Object[]}>} promise -
+ *   Resolves with the complete document, rejects with a FileImportError
+ * @property {Function} cancel - Stop the job; the promise rejects with CANCELLED
+ */
+
+/**
+ * Create a job record and the handle returned to callers
+ * 
+ * @param {Object} callbacks
+ * @param {Function} [callbacks.onTokens] - Receives each batch of new tokens
+ * @param {Function} [callbacks.onProgress] - Receives a 0-1 fraction
+ * @returns {{id: number, job: Object, handle: ImportJob}}
+ */
+const createJob = ({ onTokens = () => {}, onProgress = () => {} }) => {
+    const id = nextJobId++;
+    const job = { tokens: [], onTokens, onProgress, cancelled: false };
+
+    const promise = new Promise((resolve, reject) => {
+        job.resolve = resolve;
+        job.reject = reject;
+    });
+
+    const cancel = () => {
+        if (job.cancelled) return;
+        job.cancelled = true;
+        logger.log('Import job', id, 'cancelled');
+
+        if (jobs.delete(id)) {
+            documentWorker?.postMessage({ type: 'cancel', jobId: id });
+        }
+        job.reject(new FileImportError(IMPORT_ERROR.CANCELLED, 'Import cancelled.'));
+    };
+
+    return { id, job, handle: { promise, cancel } };
+};
+
+/**
+ * Tokenize already extracted text in the worker
+ * 
+ * @param {string} text - Raw text
+ * @param {Object[]} [outline=[]] - Outline with character offsets
+ * @param {Object} [callbacks] - onTokens and onProgress
+ * @returns {ImportJob} Running job
+ */
+export const tokenizeText = (text, outline = [], callbacks = {}) => {
+    const { id, job, handle } = createJob(callbacks);
+
+    jobs.set(id, job);
+    getDocumentWorker().postMessage({ type: 'text', jobId: id, text, outline });
+    return handle;
+};
+
+/**
+ * Extract and tokenize a file, streaming tokens as they are produced
+ * 
+ * @param {File} file - File to import
+ * @param {Object} [options]
+ * @param {boolean} [options.ocr=true] - Recognise text in images and scanned PDF pages
+ * @param {Function} [options.onTokens] - Receives each batch of new tokens
+ * @param {Function} [options.onProgress] - Receives a 0-1 fraction
+ * @returns {ImportJob} Running job
+ */
+export const importFile = (file, { ocr = true, ...callbacks } = {}) => {
+    if (!needsMainThread(file.name)) {
+        const { id, job, handle } = createJob(callbacks);
+
+        jobs.set(id, job);
+        getDocumentWorker().postMessage({ type: 'file', jobId: id, file, ocr });
+        return handle;
+    }
+
+    // Extract here, streaming the text to the worker as it is read
+    const { id, job, handle } = createJob(callbacks);
+    const worker = getDocumentWorker();
+
+    jobs.set(id, job);
+    worker.postMessage({ type: 'stream', jobId: id });
+
+    processFile(file, {
+        ocr,
+        onProgress: job.onProgress,
+        onText: (text) => worker.postMessage({ type: 'append', jobId: id, text }),
+        // Stops between chapters once the job is cancelled or has failed
+        checkCancelled: () => {
+            if (!jobs.has(id)) {
+                throw new FileImportError(IMPORT_ERROR.CANCELLED, 'Import cancelled.');
+            }
+        },
+    })
+        .then(({ outline }) => {
+            if (jobs.has(id)) worker.postMessage({ type: 'end', jobId: id, outline });
+        })
+        .catch((error) => {
+            if (!jobs.delete(id)) return;
+            worker.postMessage({ type: 'cancel', jobId: id });
+            job.reject(error);
+        });
+
+    return handle;
+};
+
+export default {
+    importFile,
+    tokenizeText,
+};
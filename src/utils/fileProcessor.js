@@ -3,100 +3,1218 @@
  * 
  * Handles reading and text extraction from various file formats:
  * - Plain text (.txt)
- * - PDF documents (.pdf) using pdf.js
+ * - PDF documents (.pdf) using pdf.js, with columns, running headers and
+ *   footnotes sorted out by layout analysis
  * - Word documents (.docx) using mammoth
+ * - EPUB e-books (.epub) using JSZip, following the OPF spine order
+ * - Web pages (.html, .htm), with navigation and script boilerplate removed
+ * - Markdown (.md, .markdown), with syntax stripped
+ * - Rich Text Format (.rtf), with control words and formatting removed
+ * - Images (.png, .jpg, .jpeg) and PDF pages without a text layer, using
+ *   local OCR when enabled
+ * 
+ * Every format also yields an outline (PDF bookmarks, DOCX/HTML headings,
+ * EPUB navigation) as character offsets into the extracted text.
+ * 
+ * Failures are reported as FileImportError with a code from IMPORT_ERROR,
+ * a short title and an actionable message for the user.
  * 
  * Usage:
  *   import { processFile } from './utils/fileProcessor';
- *   const text = await processFile(file);
+ *   const { text, outline } = await processFile(file, { onProgress });
+ *   const clean = htmlToText(clipboardHtml);
  */
 
 import * as pdfjsLib from 'pdfjs-dist';
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.js?url';
 import mammoth from 'mammoth';
+import JSZip from 'jszip';
+import { recognizeImage } from './ocr';
+import { analyzePage, createPageTextStream, rejoinHyphenation } from './pdfLayout';
 import logger from './logger';
 
-// Configure PDF.js worker
-pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+// Configure PDF.js worker, bundled by Vite from the installed pdfjs-dist
+pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+// Largest file accepted for import
+export const MAX_FILE_SIZE = 100 * 1024 * 1024;
+
+/**
+ * Error codes for failed imports
+ */
+export const IMPORT_ERROR = {
+    UNSUPPORTED_FORMAT: 'unsupported-format',
+    ENCRYPTED: 'encrypted',
+    CORRUPT: 'corrupt',
+    NO_TEXT: 'no-text',
+    TOO_LARGE: 'too-large',
+    ENGINE_FAILED: 'engine-failed',
+    READ_FAILED: 'read-failed',
+    CANCELLED: 'cancelled',
+};
+
+// Short titles, and whether trying the same file again can help
+const IMPORT_ERROR_DETAILS = {
+    [IMPORT_ERROR.UNSUPPORTED_FORMAT]: { title: 'Unsupported format', retryable: false },
+    [IMPORT_ERROR.ENCRYPTED]: { title: 'File is protected', retryable: false },
+    [IMPORT_ERROR.CORRUPT]: { title: 'File is damaged', retryable: false },
+    [IMPORT_ERROR.NO_TEXT]: { title: 'No text found', retryable: false },
+    [IMPORT_ERROR.TOO_LARGE]: { title: 'File too large', retryable: false },
+    [IMPORT_ERROR.ENGINE_FAILED]: { title: 'Reader engine failed', retryable: true },
+    [IMPORT_ERROR.READ_FAILED]: { title: 'Could not read file', retryable: true },
+    [IMPORT_ERROR.CANCELLED]: { title: 'Import cancelled', retryable: false },
+};
+
+/**
+ * Error thrown when a file cannot be imported
+ * 
+ * @property {string} code - One of IMPORT_ERROR
+ * @property {string} title - Short summary for notifications
+ * @property {boolean} retryable - Whether retrying the same file may succeed
+ */
+export class FileImportError extends Error {
+    /**
+     * @param {string} code - One of IMPORT_ERROR
+     * @param {string} message - Actionable message for the user
+     * @param {Error} [cause] - Underlying error
+     */
+    constructor(code, message, cause) {
+        super(message);
+        this.name = 'FileImportError';
+        this.code = code;
+        this.title = IMPORT_ERROR_DETAILS[code].title;
+        this.retryable = IMPORT_ERROR_DETAILS[code].retryable;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Convert an extraction failure into a FileImportError
+ * Errors that are already typed pass through; anything else means the
+ * parser could not make sense of the file.
+ * 
+ * @param {Error} error - Caught error
+ * @param {string} format - Format name for the message (e.g. 'PDF')
+ * @returns {FileImportError} Typed error
+ */
+const toImportError = (error, format) => {
+    if (error instanceof FileImportError) return error;
+    return new FileImportError(
+        IMPORT_ERROR.CORRUPT,
+        `This ${format} file appears to be damaged. Try re-exporting or re-downloading it.`,
+        error
+    );
+};
+
+// Resolution PDF pages are rendered at for OCR (1 = 72 dpi)
+const OCR_RENDER_SCALE = 2.5;
+
+// Running inside the document worker rather than on the page
+const IN_WORKER = typeof document === 'undefined';
+
+// Formats whose extraction needs DOMParser, which workers lack
+const MAIN_THREAD_FORMATS = /\.(docx|epub|html?|xhtml)$/i;
+
+// Shared PDF.js worker, created on first use
+let pdfWorker = null;
+
+/**
+ * Get the shared PDF.js worker, starting it if needed
+ * 
+ * @returns {Promise<PDFWorker>} Ready worker
+ * @throws {FileImportError} ENGINE_FAILED if the worker script cannot be loaded
+ */
+const getPdfWorker = async () => {
+    if (!pdfWorker) {
+        // PDF.js can only spawn its own worker from a page, so inside a
+        // worker the nested worker is created here and handed over as a port
+        pdfWorker = IN_WORKER
+            ? new pdfjsLib.PDFWorker({ name: 'warp-pdf-worker', port: new Worker(pdfWorkerUrl) })
+            : new pdfjsLib.PDFWorker({ name: 'warp-pdf-worker' });
+    }
+
+    try {
+        await pdfWorker.promise;
+        return pdfWorker;
+    } catch (error) {
+        logger.error('PDF worker failed to start:', error);
+        pdfWorker.destroy();
+        pdfWorker = null;
+        throw new FileImportError(
+            IMPORT_ERROR.ENGINE_FAILED,
+            'The PDF engine failed to start. Reload the page and try again.',
+            error
+        );
+    }
+};
+
+/**
+ * @typedef {Object} OutlineEntry
+ * @property {string} title - Section title
+ * @property {number} level - Nesting depth, 1 for top-level sections
+ * @property {number} offset - Character offset of the section start in the text
+ */
 
 /**
- * Process a file and extract its text content
+ * @typedef {Object} ExtractedDocument
+ * @property {string} text - Extracted text, paragraphs separated by blank lines
+ * @property {OutlineEntry[]} outline - Sections in reading order (may be empty)
+ */
+
+/**
+ * Wrap extracted text as a document
+ * @param {string} text - Extracted text
+ * @param {OutlineEntry[]} [outline=[]] - Section outline
+ * @returns {ExtractedDocument} Document
+ */
+const asDocument = (text, outline = []) => ({ text, outline });
+
+/**
+ * Check whether a file must be extracted on the main thread
+ * DOCX, EPUB and HTML extraction relies on DOMParser; everything else can
+ * run in the document worker.
+ * 
+ * @param {string} fileName - Name of the file to import
+ * @returns {boolean} True if the format needs the DOM
+ */
+export const needsMainThread = (fileName) => MAIN_THREAD_FORMATS.test(fileName);
+
+/**
+ * Process a file and extract its text content and outline
  * Automatically detects file type and uses appropriate extraction method
  * 
  * @param {File} file - The file object to process
- * @returns {Promise<string>} Extracted text content
- * @throws {Error} If file type is unsupported or processing fails
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with a 0-1 fraction as extraction advances
+ * @param {Function} [options.onText] - Called with consecutive pieces of the text as
+ *   they are extracted (PDF pages and EPUB chapters as they are read, other
+ *   formats in one piece)
+ * @param {Function} [options.checkCancelled] - Called between pages and chapters,
+ *   throws to stop the extraction
+ * @param {boolean} [options.ocr=true] - Recognise text in images and scanned PDF pages
+ * @returns {Promise<ExtractedDocument>} Extracted text and outline
+ * @throws {FileImportError} If the file is unsupported, unreadable or has no text
  */
-export const processFile = async (file) => {
+export const processFile = async (file, {
+    onProgress = () => {},
+    onText = () => {},
+    checkCancelled = () => {},
+    ocr = true,
+} = {}) => {
     logger.log('File Upload Detected ->', file.name);
 
+    if (file.size > MAX_FILE_SIZE) {
+        throw new FileImportError(
+            IMPORT_ERROR.TOO_LARGE,
+            `"${file.name}" is over ${MAX_FILE_SIZE / (1024 * 1024)} MB. Split it into smaller parts and import them separately.`
+        );
+    }
+
     const fileName = file.name.toLowerCase();
+    let doc;
+
+    // Formats read in parts pass each part on as it is extracted
+    let isStreamed = false;
+    const emitText = (text) => {
+        isStreamed = true;
+        onText(text);
+    };
 
     if (fileName.endsWith('.pdf')) {
-        return await processPDF(file);
+        doc = await processPDF(file, { onProgress, onText: emitText, checkCancelled, ocr });
     } else if (fileName.endsWith('.docx')) {
-        return await processDOCX(file);
+        doc = await processDOCX(file, checkCancelled);
+    } else if (fileName.endsWith('.epub')) {
+        doc = await processEPUB(file, { onProgress, onText: emitText, checkCancelled });
+    } else if (/\.(html?|xhtml)$/.test(fileName)) {
+        doc = await processHTML(file);
+    } else if (/\.(md|markdown)$/.test(fileName)) {
+        doc = await processMarkdown(file);
+    } else if (fileName.endsWith('.rtf')) {
+        doc = await processRTF(file);
+    } else if (/\.(png|jpe?g)$/.test(fileName)) {
+        if (!ocr) {
+            throw new FileImportError(
+                IMPORT_ERROR.UNSUPPORTED_FORMAT,
+                `"${file.name}" is an image. Turn on text recognition (OCR) in settings to read it.`
+            );
+        }
+        doc = await processImage(file, onProgress);
     } else if (fileName.endsWith('.txt')) {
-        return await processTXT(file);
+        doc = asDocument(await processTXT(file));
     } else {
-        // Try to read as plain text for unknown extensions
-        return await processTXT(file);
+        // Try to read as plain text for unknown extensions, rejecting binary data
+        const text = await processTXT(file);
+        if (looksBinary(text)) {
+            throw new FileImportError(
+                IMPORT_ERROR.UNSUPPORTED_FORMAT,
+                `"${file.name}" is not a supported format. Use PDF, DOCX, EPUB, HTML, Markdown, RTF, TXT, PNG or JPG.`
+            );
+        }
+        doc = asDocument(text);
+    }
+
+    if (!doc.text.trim()) {
+        throw new FileImportError(
+            IMPORT_ERROR.NO_TEXT,
+            fileName.endsWith('.pdf') && !ocr
+                ? `"${file.name}" has no text layer, it is probably a scanned document. Turn on text recognition (OCR) in settings to read it.`
+                : `"${file.name}" does not contain any readable text.`
+        );
+    }
+
+    checkCancelled();
+    if (!isStreamed) {
+        onText(doc.text);
+    }
+
+    onProgress(1);
+    return doc;
+};
+
+/**
+ * Check whether decoded file contents are binary rather than text
+ * @param {string} text - File contents decoded as UTF-8
+ * @returns {boolean} True if the contents contain NUL bytes or many invalid sequences
+ */
+const looksBinary = (text) => {
+    const sample = text.slice(0, 8192);
+    if (sample.includes('\u0000')) return true;
+
+    const invalid = (sample.match(/\uFFFD/g) || []).length;
+    return sample.length > 0 && invalid / sample.length > 0.1;
+};
+
+/**
+ * Resolve the PDF outline (bookmarks) to character offsets
+ * Each bookmark points at the start of its target page.
+ * 
+ * @param {PDFDocumentProxy} pdf - Loaded PDF
+ * @param {number[]} pageOffsets - Character offset of each page (0-based page index)
+ * @returns {Promise<OutlineEntry[]>} Outline sorted by offset
+ */
+const readPdfOutline = async (pdf, pageOffsets) => {
+    const outline = await pdf.getOutline();
+    if (!outline) return [];
+
+    const entries = [];
+
+    const walk = async (items, level) => {
+        for (const item of items) {
+            try {
+                const dest = typeof item.dest === 'string'
+                    ? await pdf.getDestination(item.dest)
+                    : item.dest;
+
+                if (Array.isArray(dest) && dest[0] != null) {
+                    const pageIndex = typeof dest[0] === 'number'
+                        ? dest[0]
+                        : await pdf.getPageIndex(dest[0]);
+                    entries.push({ title: item.title.trim(), level, offset: pageOffsets[pageIndex] });
+                }
+            } catch (err) {
+                logger.warn('PDF outline entry skipped:', item.title);
+            }
+
+            if (item.items && item.items.length > 0) {
+                await walk(item.items, level + 1);
+            }
+        }
+    };
+
+    await walk(outline, 1);
+    return entries
+        .filter(entry => entry.title && entry.offset !== undefined)
+        .sort((a, b) => a.offset - b.offset);
+};
+
+/**
+ * Recognise text in an image, reporting engine failures as import errors
+ * 
+ * @param {OffscreenCanvas|Blob} image - Image to read
+ * @param {Function} onProgress - Called with a 0-1 fraction while recognising
+ * @returns {Promise<string>} Recognised text
+ * @throws {FileImportError} ENGINE_FAILED if the OCR engine cannot run
+ */
+const runOcr = async (image, onProgress) => {
+    try {
+        return await recognizeImage(image, onProgress);
+    } catch (error) {
+        throw new FileImportError(
+            IMPORT_ERROR.ENGINE_FAILED,
+            'Text recognition failed to start. Reload the page and try again.',
+            error
+        );
+    }
+};
+
+/**
+ * PDF.js canvas factory backed by OffscreenCanvas
+ * Used in the document worker, where PDF.js cannot create DOM canvases for
+ * the temporary surfaces it needs while rendering.
+ */
+class OffscreenCanvasFactory {
+    create(width, height) {
+        const canvas = new OffscreenCanvas(width, height);
+        return { canvas, context: canvas.getContext('2d') };
+    }
+
+    reset(canvasAndContext, width, height) {
+        canvasAndContext.canvas.width = width;
+        canvasAndContext.canvas.height = height;
+    }
+
+    destroy(canvasAndContext) {
+        canvasAndContext.canvas.width = 0;
+        canvasAndContext.canvas.height = 0;
+        canvasAndContext.canvas = null;
+        canvasAndContext.context = null;
     }
+}
+
+/**
+ * Render a PDF page to a canvas for OCR
+ * 
+ * @param {PDFPageProxy} page - Page to render
+ * @returns {Promise<OffscreenCanvas>} Rendered page
+ */
+const renderPdfPage = async (page) => {
+    const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+    const canvas = new OffscreenCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    return canvas;
 };
 
 /**
  * Extract text from a PDF file using pdf.js
- * Maintains reading order by sorting text items by position
+ * Rebuilds reading order with layout analysis (columns, paragraphs, running
+ * headers/footers, footnotes; see pdfLayout.js). Pages without a text layer
+ * (scans) are rendered and passed through OCR when enabled.
  * 
  * @param {File} file - PDF file to process
- * @returns {Promise<string>} Extracted text
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with the fraction of pages processed
+ * @param {Function} options.onText - Called with each page's text once it is read
+ * @param {Function} options.checkCancelled - Called before each page, throws to stop
+ * @param {boolean} options.ocr - Whether to recognise text on scanned pages
+ * @returns {Promise<ExtractedDocument>} Extracted text and bookmark outline
  */
-const processPDF = async (file) => {
+const processPDF = async (file, { onProgress, onText, checkCancelled, ocr }) => {
     try {
+        const worker = await getPdfWorker();
         const arrayBuffer = await file.arrayBuffer();
         const typedArray = new Uint8Array(arrayBuffer);
-        const pdf = await pdfjsLib.getDocument(typedArray).promise;
+        const pdf = await pdfjsLib.getDocument({
+            data: typedArray,
+            worker,
+            // Workers have no document to create canvases or load fonts in
+            ...(IN_WORKER && { canvasFactory: new OffscreenCanvasFactory(), disableFontFace: true }),
+        }).promise;
 
         let fullText = '';
+        let scannedPages = 0;
+        const pageOffsets = [];
+
+        // Pages come out of the layout stream a few pages late, once running
+        // headers can be compared with the following pages
+        const pageStream = createPageTextStream();
+        const emitPages = (texts) => texts.forEach(pageText => {
+            pageOffsets.push(fullText.length);
+            fullText += pageText;
+            onText(pageText);
+        });
 
         for (let i = 1; i <= pdf.numPages; i++) {
+            checkCancelled();
             const page = await pdf.getPage(i);
             const content = await page.getTextContent();
+            const hasText = content.items.some(item => item.str && item.str.trim());
 
-            // Sort items by position to maintain reading order
-            const items = content.items.sort((a, b) => {
-                // Sort by Y position (top to bottom), then X position (left to right)
-                if (Math.abs(a.transform[5] - b.transform[5]) > 3) {
-                    return b.transform[5] - a.transform[5];
-                }
-                return a.transform[4] - b.transform[4];
-            });
+            if (!hasText && ocr) {
+                // No text layer: read the rendered page instead
+                const canvas = await renderPdfPage(page);
+                const recognized = await runOcr(canvas, (progress) => onProgress((i - 1 + progress) / pdf.numPages));
+                canvas.width = canvas.height = 0;
+                emitPages(pageStream.add({ text: rejoinHyphenation(recognized.trim()) + '\n\n' }));
+                scannedPages++;
+            } else {
+                emitPages(pageStream.add(analyzePage(content.items, page.view)));
+            }
 
-            fullText += items.map(item => item.str).join(' ') + ' ';
+            page.cleanup();
+            onProgress(i / pdf.numPages);
         }
+        emitPages(pageStream.end());
+
+        const outline = await readPdfOutline(pdf, pageOffsets);
 
-        logger.log('PDF processed successfully, pages:', pdf.numPages);
-        return fullText;
+        logger.log('PDF processed successfully, pages:', pdf.numPages, 'scanned:', scannedPages, 'outline entries:', outline.length);
+        return asDocument(fullText, outline);
     } catch (error) {
         logger.error('PDF Error:', error);
-        throw new Error('Error reading PDF file');
+        if (error.name === 'PasswordException') {
+            throw new FileImportError(
+                IMPORT_ERROR.ENCRYPTED,
+                'This PDF is password-protected. Save an unprotected copy and import that instead.',
+                error
+            );
+        }
+        throw toImportError(error, 'PDF');
+    }
+};
+
+/**
+ * Check whether a buffer is an OLE compound file rather than a zip archive
+ * Word stores password-protected documents this way even with a .docx name.
+ * 
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {boolean} True if the buffer starts with the OLE signature
+ */
+const isOleContainer = (buffer) => {
+    const signature = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];
+    const head = new Uint8Array(buffer, 0, Math.min(signature.length, buffer.byteLength));
+    return signature.every((byte, i) => head[i] === byte);
+};
+
+/**
+ * Extract text from a PNG or JPEG image using OCR
+ * 
+ * @param {File} file - Image file to process
+ * @param {Function} onProgress - Called with a 0-1 fraction while recognising
+ * @returns {Promise<ExtractedDocument>} Recognised text
+ */
+const processImage = async (file, onProgress) => {
+    // Decode first, so a damaged image is not reported as an OCR failure
+    try {
+        (await createImageBitmap(file)).close();
+    } catch (error) {
+        logger.error('Image Error:', error);
+        throw toImportError(error, 'image');
     }
+
+    const text = await runOcr(file, onProgress);
+
+    logger.log('Image processed successfully, characters:', text.length);
+    return asDocument(text);
 };
 
 /**
  * Extract text from a DOCX file using mammoth
+ * Converts to HTML first so Word heading styles survive as the outline.
  * 
  * @param {File} file - DOCX file to process
- * @returns {Promise<string>} Extracted text
+ * @param {Function} checkCancelled - Called between conversion steps, throws to stop
+ * @returns {Promise<ExtractedDocument>} Extracted text and heading outline
  */
-const processDOCX = async (file) => {
+const processDOCX = async (file, checkCancelled) => {
     try {
         const arrayBuffer = await file.arrayBuffer();
-        const result = await mammoth.extractRawText({ arrayBuffer });
-        logger.log('DOCX processed successfully');
-        return result.value;
+
+        // Password-protected DOCX files are OLE containers instead of zip archives
+        if (isOleContainer(arrayBuffer)) {
+            throw new FileImportError(
+                IMPORT_ERROR.ENCRYPTED,
+                'This Word document is password-protected or in the old .doc format. Save it as an unprotected .docx and import that.'
+            );
+        }
+
+        const result = await mammoth.convertToHtml({ arrayBuffer });
+        checkCancelled();
+        const doc = new DOMParser().parseFromString(result.value, 'text/html');
+        const { text, outline } = joinBlocks(extractBlocks(doc.body));
+        logger.log('DOCX processed successfully, headings:', outline.length);
+        return asDocument(text, outline);
     } catch (error) {
         logger.error('DOCX Error:', error);
-        throw new Error('Error reading DOCX file');
+        throw toImportError(error, 'Word');
+    }
+};
+
+// Elements that start a new paragraph when converting markup to text
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt',
+    'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+    'hr', 'li', 'main', 'ol', 'p', 'pre', 'section', 'table', 'td', 'th', 'tr', 'ul',
+]);
+
+// Elements whose content is never readable text
+const SKIP_TAGS = new Set(['head', 'script', 'style', 'noscript', 'template', 'svg', 'math']);
+
+/**
+ * @typedef {Object} TextBlock
+ * @property {string} text - Paragraph text
+ * @property {number} level - Heading level (1-6), or 0 for body text
+ */
+
+/**
+ * Convert a DOM subtree into readable paragraphs
+ * Block elements become separate paragraphs, inline whitespace is collapsed.
+ * 
+ * @param {Node} root - Element to extract text from
+ * @param {Map<string, number>} [anchors] - Filled with element id -> block index
+ * @returns {TextBlock[]} Non-empty paragraphs in document order
+ */
+const extractBlocks = (root, anchors) => {
+    const blocks = [];
+    let current = '';
+    let level = 0;
+
+    const flush = () => {
+        const text = current.replace(/\s+/g, ' ').trim();
+        if (text) blocks.push({ text, level });
+        current = '';
+        level = 0;
+    };
+
+    const walk = (node) => {
+        for (const child of node.childNodes) {
+            if (child.nodeType === Node.TEXT_NODE) {
+                current += child.nodeValue;
+            } else if (child.nodeType === Node.ELEMENT_NODE) {
+                const tag = child.localName.toLowerCase();
+                if (SKIP_TAGS.has(tag)) continue;
+
+                // Line breaks stay inside the paragraph
+                if (tag === 'br') {
+                    current += ' ';
+                    continue;
+                }
+
+                const isBlock = BLOCK_TAGS.has(tag);
+                if (isBlock) flush();
+
+                const id = child.getAttribute('id');
+                if (anchors && id) anchors.set(id, blocks.length);
+
+                const heading = /^h([1-6])$/.exec(tag);
+                if (heading) level = Number(heading[1]);
+
+                walk(child);
+                if (isBlock) flush();
+            }
+        }
+    };
+
+    walk(root);
+    flush();
+    return blocks;
+};
+
+/**
+ * Join paragraphs into text, collecting headings as the outline
+ * 
+ * @param {TextBlock[]} blocks - Paragraphs from extractBlocks
+ * @returns {{ text: string, outline: OutlineEntry[], offsets: number[] }}
+ *   Text, heading outline, and the character offset of every block
+ */
+const joinBlocks = (blocks) => {
+    const outline = [];
+    const offsets = [];
+    let text = '';
+
+    blocks.forEach((block, i) => {
+        if (i > 0) text += '\n\n';
+        offsets.push(text.length);
+        if (block.level) {
+            outline.push({ title: block.text, level: block.level, offset: text.length });
+        }
+        text += block.text;
+    });
+
+    return { text, outline, offsets };
+};
+
+/**
+ * Resolve a relative path inside a zip archive
+ * 
+ * @param {string} base - Path of the referencing file (e.g. 'OEBPS/content.opf')
+ * @param {string} href - Relative reference (e.g. '../Text/ch1.xhtml#top')
+ * @returns {string} Normalised archive path
+ */
+const resolveZipPath = (base, href) => {
+    const parts = base.split('/').slice(0, -1);
+
+    for (const segment of decodeURIComponent(href.split('#')[0]).split('/')) {
+        if (segment === '..') parts.pop();
+        else if (segment && segment !== '.') parts.push(segment);
+    }
+
+    return parts.join('/');
+};
+
+/**
+ * Read and parse an XML/XHTML file from a zip archive
+ * 
+ * @param {JSZip} zip - Open archive
+ * @param {string} path - File path inside the archive
+ * @param {string} [type='application/xml'] - DOMParser mime type
+ * @returns {Promise<Document>} Parsed document
+ * @throws {Error} If the file is missing from the archive
+ */
+const readZipXml = async (zip, path, type = 'application/xml') => {
+    const entry = zip.file(path);
+    if (!entry) {
+        throw new Error(`Missing ${path} in archive`);
+    }
+
+    const source = await entry.async('string');
+    const doc = new DOMParser().parseFromString(source, type);
+
+    // Malformed XHTML is common in the wild, fall back to the lenient HTML parser
+    if (type !== 'text/html' && doc.getElementsByTagName('parsererror').length > 0) {
+        return new DOMParser().parseFromString(source, 'text/html');
+    }
+
+    return doc;
+};
+
+// Font obfuscation algorithms, which leave the text itself readable
+const EPUB_FONT_OBFUSCATION = [
+    'http://www.idpf.org/2008/embedding',
+    'http://ns.adobe.com/pdf/enc#RC',
+];
+
+/**
+ * Check whether an EPUB's content documents are encrypted with DRM
+ * 
+ * @param {JSZip} zip - Open archive
+ * @returns {Promise<boolean>} True if anything other than fonts is encrypted
+ */
+const isDrmProtected = async (zip) => {
+    if (zip.file('META-INF/rights.xml')) return true;
+    if (!zip.file('META-INF/encryption.xml')) return false;
+
+    const encryption = await readZipXml(zip, 'META-INF/encryption.xml');
+    return Array.from(encryption.getElementsByTagName('*'))
+        .filter(el => el.localName === 'EncryptionMethod')
+        .some(el => !EPUB_FONT_OBFUSCATION.includes(el.getAttribute('Algorithm')));
+};
+
+/**
+ * Collapse whitespace in an element's text content
+ * @param {Element} el - Element to read
+ * @returns {string} Single-line text
+ */
+const elementText = (el) => el.textContent.replace(/\s+/g, ' ').trim();
+
+/**
+ * Read the EPUB table of contents
+ * Uses the EPUB 3 navigation document when present, otherwise the EPUB 2 NCX.
+ * 
+ * @param {JSZip} zip - Open archive
+ * @param {Document} opf - Parsed OPF package document
+ * @param {Map<string, Object>} manifest - Manifest id -> { path, type, properties }
+ * @returns {Promise<Array<{title: string, level: number, target: string}>>}
+ *   Entries whose target is an archive path, optionally with a #fragment
+ */
+const readEpubToc = async (zip, opf, manifest) => {
+    const entries = [];
+    const items = [...manifest.values()];
+
+    /**
+     * Archive path of an href, keeping its fragment
+     */
+    const toTarget = (base, href) => {
+        const [, fragment] = href.split('#');
+        const path = resolveZipPath(base, href);
+        return fragment ? `${path}#${fragment}` : path;
+    };
+
+    // EPUB 3 navigation document
+    const navItem = items.find(item => /\bnav\b/.test(item.properties || ''));
+    if (navItem) {
+        const doc = await readZipXml(zip, navItem.path, 'application/xhtml+xml');
+        const navs = [...doc.getElementsByTagName('nav')];
+        const toc = navs.find(nav => nav.getAttribute('epub:type') === 'toc') || navs[0];
+        const childOf = (el, ...names) => [...el.children].find(c => names.includes(c.localName));
+
+        const walkList = (list, level) => {
+            for (const li of list.children) {
+                if (li.localName !== 'li') continue;
+
+                const link = childOf(li, 'a');
+                if (link && link.getAttribute('href')) {
+                    entries.push({
+                        title: elementText(link),
+                        level,
+                        target: toTarget(navItem.path, link.getAttribute('href')),
+                    });
+                }
+
+                const nested = childOf(li, 'ol', 'ul');
+                if (nested) walkList(nested, level + 1);
+            }
+        };
+
+        const list = toc && childOf(toc, 'ol', 'ul');
+        if (list) walkList(list, 1);
+        if (entries.length > 0) return entries;
+    }
+
+    // EPUB 2 NCX
+    const spine = opf.getElementsByTagName('spine')[0];
+    const ncxItem = manifest.get(spine && spine.getAttribute('toc'))
+        || items.find(item => item.type === 'application/x-dtbncx+xml');
+    if (!ncxItem) return entries;
+
+    const ncx = await readZipXml(zip, ncxItem.path);
+
+    const walkPoints = (parent, level) => {
+        for (const point of parent.children) {
+            if (point.localName !== 'navPoint') continue;
+
+            const label = point.getElementsByTagName('text')[0];
+            const content = point.getElementsByTagName('content')[0];
+            if (label && content && content.getAttribute('src')) {
+                entries.push({
+                    title: elementText(label),
+                    level,
+                    target: toTarget(ncxItem.path, content.getAttribute('src')),
+                });
+            }
+
+            walkPoints(point, level + 1);
+        }
+    };
+
+    const navMap = ncx.getElementsByTagName('navMap')[0];
+    if (navMap) walkPoints(navMap, 1);
+    return entries;
+};
+
+/**
+ * Extract text from an EPUB file
+ * Reads the OPF package named in META-INF/container.xml, then walks the spine
+ * in reading order. Each chapter starts with its title as its own paragraph,
+ * and chapters are separated by paragraph breaks. Chapters are passed on as
+ * soon as they are read, so reading can start before the whole book is done.
+ * The outline comes from the EPUB navigation, falling back to the chapter titles.
+ * 
+ * @param {File} file - EPUB file to process
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with the fraction of spine items processed
+ * @param {Function} options.onText - Called with each chapter's text once it is read
+ * @param {Function} options.checkCancelled - Called before each chapter, throws to stop
+ * @returns {Promise<ExtractedDocument>} Extracted text and chapter outline
+ */
+const processEPUB = async (file, { onProgress, onText, checkCancelled }) => {
+    try {
+        const zip = await JSZip.loadAsync(await file.arrayBuffer());
+
+        if (await isDrmProtected(zip)) {
+            throw new FileImportError(
+                IMPORT_ERROR.ENCRYPTED,
+                'This EPUB is DRM-protected. Only DRM-free books can be read.'
+            );
+        }
+
+        // Locate the OPF package document
+        const container = await readZipXml(zip, 'META-INF/container.xml');
+        const rootfile = container.getElementsByTagName('rootfile')[0];
+        const opfPath = rootfile && rootfile.getAttribute('full-path');
+        if (!opfPath) {
+            throw new Error('No rootfile in container.xml');
+        }
+
+        const opf = await readZipXml(zip, opfPath);
+
+        // Map manifest ids to archive paths
+        const manifest = new Map();
+        for (const item of opf.getElementsByTagName('item')) {
+            manifest.set(item.getAttribute('id'), {
+                path: resolveZipPath(opfPath, item.getAttribute('href')),
+                type: item.getAttribute('media-type'),
+                properties: item.getAttribute('properties'),
+            });
+        }
+
+        // Walk the spine in reading order, collecting all blocks.
+        // targets maps 'path' and 'path#id' to the index of their first block.
+        const blocks = [];
+        const targets = new Map();
+        const chapterStarts = [];
+        const spine = Array.from(opf.getElementsByTagName('itemref'));
+
+        for (const [position, itemref] of spine.entries()) {
+            checkCancelled();
+            onProgress(position / spine.length);
+            if (itemref.getAttribute('linear') === 'no') continue;
+
+            const item = manifest.get(itemref.getAttribute('idref'));
+            if (!item || !/html/.test(item.type || '')) continue;
+
+            const doc = await readZipXml(zip, item.path, 'application/xhtml+xml');
+            const body = doc.getElementsByTagName('body')[0] || doc.documentElement;
+            const anchors = new Map();
+            const chapterBlocks = extractBlocks(body, anchors);
+            if (chapterBlocks.length === 0) continue;
+
+            // Chapter title: first heading, otherwise the document <title>
+            const heading = body.querySelector('h1, h2, h3');
+            const titleEl = doc.getElementsByTagName('title')[0];
+            const title = (heading || titleEl) ? elementText(heading || titleEl) : '';
+
+            const offset = title && chapterBlocks[0].text !== title ? 1 : 0;
+            if (offset) {
+                chapterBlocks.unshift({ text: title, level: 1 });
+            }
+
+            targets.set(item.path, blocks.length);
+            anchors.forEach((index, id) => targets.set(`${item.path}#${id}`, blocks.length + index + offset));
+            // Same text joinBlocks produces for the whole book below
+            const chapterText = chapterBlocks.map(block => block.text).join('\n\n');
+            onText(blocks.length > 0 ? `\n\n${chapterText}` : chapterText);
+
+            chapterStarts.push({ title, block: blocks.length });
+            blocks.push(...chapterBlocks);
+        }
+
+        if (chapterStarts.length === 0) {
+            throw new FileImportError(
+                IMPORT_ERROR.NO_TEXT,
+                `"${file.name}" has no readable chapters, it may contain only images.`
+            );
+        }
+
+        const { text, offsets } = joinBlocks(blocks);
+
+        // Map the table of contents onto block offsets
+        let outline = [];
+        try {
+            outline = (await readEpubToc(zip, opf, manifest))
+                .map(entry => {
+                    const block = targets.get(entry.target) ?? targets.get(entry.target.split('#')[0]);
+                    return block === undefined
+                        ? null
+                        : { title: entry.title, level: entry.level, offset: offsets[block] };
+                })
+                .filter(entry => entry && entry.title);
+        } catch (err) {
+            logger.warn('EPUB navigation unreadable:', err.message);
+        }
+
+        if (outline.length === 0) {
+            outline = chapterStarts
+                .filter(chapter => chapter.title)
+                .map(chapter => ({ title: chapter.title, level: 1, offset: offsets[chapter.block] }));
+        }
+
+        logger.log('EPUB processed successfully, chapters:', chapterStarts.length, 'outline entries:', outline.length);
+        return asDocument(text, outline);
+    } catch (error) {
+        logger.error('EPUB Error:', error);
+        throw toImportError(error, 'EPUB');
+    }
+};
+
+// Page furniture removed before extracting readable HTML text
+const HTML_BOILERPLATE = [
+    'script', 'style', 'noscript', 'template', 'iframe', 'form', 'button',
+    'nav', 'header', 'footer', 'aside',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[aria-hidden="true"]',
+].join(', ');
+
+/**
+ * Extract readable text and a heading outline from an HTML document
+ * Drops scripts, styles and navigation boilerplate, and prefers the <article>
+ * or <main> element when the page has one. Headings and paragraphs become
+ * separate paragraphs in the output.
+ * 
+ * @param {string} html - HTML source
+ * @returns {ExtractedDocument} Text and heading outline
+ */
+const htmlToDocument = (html) => {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    doc.querySelectorAll(HTML_BOILERPLATE).forEach(el => el.remove());
+
+    const root = doc.querySelector('article') || doc.querySelector('main') || doc.body;
+    if (!root) return asDocument('');
+
+    const { text, outline } = joinBlocks(extractBlocks(root));
+    return asDocument(text, outline);
+};
+
+// Private use code points standing in for escaped Markdown characters
+const ESCAPE_BASE = 0xE000;
+
+/**
+ * Extract readable text from an HTML document or fragment
+ * @param {string} html - HTML source
+ * @returns {string} Paragraphs separated by blank lines
+ */
+export const htmlToText = (html) => htmlToDocument(html).text;
+
+/**
+ * Strip inline Markdown syntax from a single line
+ * @param {string} line - Markdown line content
+ * @returns {string} Plain text
+ */
+const stripInlineMarkdown = (line) => {
+    return line
+        // Escaped characters are set aside so the rules below leave them alone
+        .replace(/\\([\\`*_{}[\]()#+\-.!>|])/g, (match, char) => String.fromCharCode(ESCAPE_BASE + char.charCodeAt(0)))
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')               // Images -> alt text
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')                // Links -> link text
+        .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')               // Reference links
+        .replace(/<(https?:\/\/|mailto:)[^>]+>/g, '')              // Autolinks
+        .replace(/<\/?[a-zA-Z][^>]*>/g, '')                        // Inline HTML tags
+        .replace(/`+([^`]*)`+/g, '$1')                             // Inline code
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')                        // Bold
+        .replace(/\*(\S(?:.*?\S)?)\*/g, '$1')                      // Italic (*)
+        .replace(/(^|\W)_(\S(?:.*?\S)?)_(?=\W|$)/g, '$1$2')          // Italic (_), not snake_case
+        .replace(/~~(.+?)~~/g, '$1')                               // Strikethrough
+        .replace(/[\uE000-\uE07F]/g, (char) => String.fromCharCode(char.charCodeAt(0) - ESCAPE_BASE))
+        .trim();
+};
+
+/**
+ * Convert Markdown to plain text, keeping its paragraph structure
+ * Headings and list items become their own paragraphs; front matter,
+ * rules, table separators and link reference definitions are dropped.
+ * 
+ * @param {string} markdown - Markdown source
+ * @returns {string} Paragraphs separated by blank lines
+ */
+export const markdownToText = (markdown) => {
+    const lines = markdown
+        .replace(/\r\n?/g, '\n')
+        .replace(/^---\n[\s\S]*?\n---\n/, '')
+        .split('\n');
+
+    const paragraphs = [];
+    let current = [];
+    let inFence = false;
+
+    const flush = () => {
+        const text = current.join(' ').trim();
+        if (text) paragraphs.push(text);
+        current = [];
+    };
+
+    for (const line of lines) {
+        // Fenced code: drop the fences, keep the content as one paragraph
+        if (/^\s*(```|~~~)/.test(line)) {
+            flush();
+            inFence = !inFence;
+            continue;
+        }
+        if (inFence) {
+            current.push(line.trim());
+            continue;
+        }
+
+        // Blank lines, rules, setext underlines and table separators end a paragraph
+        if (!line.trim()
+            || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line)
+            || /^\s*=+\s*$/.test(line)
+            || /^\s*\|?(\s*:?-+:?\s*\|)+\s*(:?-+:?)?\s*$/.test(line)) {
+            flush();
+            continue;
+        }
+
+        // Link reference definitions
+        if (/^\s*\[[^\]]+\]:\s*\S+/.test(line)) continue;
+
+        // ATX headings stand alone
+        const heading = line.match(/^\s*#{1,6}\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            flush();
+            current.push(stripInlineMarkdown(heading[1]));
+            flush();
+            continue;
+        }
+
+        // Blockquote markers, then list markers (each item is a paragraph)
+        let content = line.replace(/^\s*(>\s?)+/, '');
+        if (/^\s*([-*+]|\d+[.)])\s+/.test(content)) {
+            flush();
+            content = content.replace(/^\s*([-*+]|\d+[.)])\s+(\[[ xX]\]\s+)?/, '');
+        }
+
+        // Table rows: cells become plain words
+        if (/^\s*\|.*\|\s*$/.test(content)) {
+            content = content.replace(/^\s*\||\|\s*$/g, '').replace(/\s*\|\s*/g, ' ');
+        }
+
+        current.push(stripInlineMarkdown(content));
+    }
+
+    flush();
+    return paragraphs.join('\n\n');
+};
+
+// RTF destinations whose content is never readable text
+const RTF_SKIP_DESTINATIONS = new Set([
+    'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'fldinst',
+    'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf',
+    'listtable', 'listoverridetable', 'rsidtbl', 'themedata', 'colorschememapping',
+    'latentstyles', 'datastore', 'xmlnstbl', 'generator',
+]);
+
+// RTF control words that map directly to text
+const RTF_CONTROL_TEXT = {
+    par: '\n\n',
+    sect: '\n\n',
+    page: '\n\n',
+    row: '\n\n',
+    line: ' ',
+    tab: ' ',
+    cell: ' ',
+    emdash: '\u2014',
+    endash: '\u2013',
+    lquote: '\u2018',
+    rquote: '\u2019',
+    ldblquote: '\u201C',
+    rdblquote: '\u201D',
+    bullet: '\u2022',
+};
+
+// Windows-1252 characters for bytes 0x80-0x9F; the other bytes match Latin-1
+const CP1252_HIGH = '\u20AC\u0081\u201A\u0192\u201E\u2026\u2020\u2021\u02C6\u2030\u0160\u2039\u0152\u008D\u017D\u008F'
+    + '\u0090\u2018\u2019\u201C\u201D\u2022\u2013\u2014\u02DC\u2122\u0161\u203A\u0153\u009D\u017E\u0178';
+
+/**
+ * Decode a Windows-1252 byte
+ * @param {number} byte - Byte value
+ * @returns {string} Character
+ */
+const decodeCp1252 = (byte) => (
+    byte >= 0x80 && byte < 0xA0 ? CP1252_HIGH[byte - 0x80] : String.fromCharCode(byte)
+);
+
+// Matches a control word and its optional numeric parameter
+const RTF_CONTROL_WORD = /([a-zA-Z]+)(-?\d+)? ?/y;
+
+/**
+ * Convert RTF source to plain text
+ * Skips font/colour tables, pictures and other non-text destinations,
+ * decodes \'hh (Windows-1252) and \uN escapes, and maps \par to paragraph breaks.
+ * 
+ * @param {string} rtf - RTF source
+ * @returns {string} Paragraphs separated by blank lines
+ */
+export const rtfToText = (rtf) => {
+    const stack = [];
+    let skip = false;
+    let ucSkip = 1;
+    let out = '';
+    let i = 0;
+
+    while (i < rtf.length) {
+        const ch = rtf[i];
+
+        if (ch === '{') {
+            stack.push({ skip, ucSkip });
+            i++;
+        } else if (ch === '}') {
+            ({ skip, ucSkip } = stack.pop() || { skip: false, ucSkip: 1 });
+            i++;
+        } else if (ch === '\\') {
+            const next = rtf[i + 1];
+
+            if (next === '\\' || next === '{' || next === '}') {
+                if (!skip) out += next;
+                i += 2;
+            } else if (next === '*') {
+                // Ignorable destination
+                skip = true;
+                i += 2;
+            } else if (next === "'") {
+                if (!skip) out += decodeCp1252(parseInt(rtf.substr(i + 2, 2), 16));
+                i += 4;
+            } else if (next === '~') {
+                if (!skip) out += ' ';
+                i += 2;
+            } else {
+                RTF_CONTROL_WORD.lastIndex = i + 1;
+                const match = RTF_CONTROL_WORD.exec(rtf);
+                if (!match) {
+                    // Unknown control symbol (\-, \_, \| ...)
+                    i += 2;
+                    continue;
+                }
+
+                i = RTF_CONTROL_WORD.lastIndex;
+                const [, word, param] = match;
+
+                if (RTF_SKIP_DESTINATIONS.has(word)) {
+                    skip = true;
+                } else if (word === 'uc') {
+                    ucSkip = Number(param);
+                } else if (word === 'u' && !skip) {
+                    const code = Number(param);
+                    out += String.fromCharCode(code < 0 ? code + 65536 : code);
+
+                    // Skip the ANSI fallback characters that follow \uN
+                    for (let n = ucSkip; n > 0 && i < rtf.length && rtf[i] !== '{' && rtf[i] !== '}'; n--) {
+                        i += rtf[i] === '\\' && rtf[i + 1] === "'" ? 4 : 1;
+                    }
+                } else if (!skip && RTF_CONTROL_TEXT[word]) {
+                    out += RTF_CONTROL_TEXT[word];
+                }
+            }
+        } else {
+            if (!skip && ch !== '\r' && ch !== '\n') out += ch;
+            i++;
+        }
+    }
+
+    return out
+        .split(/\n{2,}/)
+        .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n\n');
+};
+
+/**
+ * Extract readable text from an HTML file
+ * 
+ * @param {File} file - HTML file to process
+ * @returns {Promise<ExtractedDocument>} Extracted text and heading outline
+ */
+const processHTML = async (file) => {
+    try {
+        const doc = htmlToDocument(await processTXT(file));
+        logger.log('HTML processed successfully, headings:', doc.outline.length);
+        return doc;
+    } catch (error) {
+        logger.error('HTML Error:', error);
+        throw toImportError(error, 'HTML');
+    }
+};
+
+/**
+ * Extract plain text from a Markdown file
+ * 
+ * @param {File} file - Markdown file to process
+ * @returns {Promise<ExtractedDocument>} Extracted text
+ */
+const processMarkdown = async (file) => {
+    try {
+        const text = markdownToText(await processTXT(file));
+        logger.log('Markdown processed successfully');
+        return asDocument(text);
+    } catch (error) {
+        logger.error('Markdown Error:', error);
+        throw toImportError(error, 'Markdown');
+    }
+};
+
+/**
+ * Extract plain text from an RTF file
+ * 
+ * @param {File} file - RTF file to process
+ * @returns {Promise<ExtractedDocument>} Extracted text
+ */
+const processRTF = async (file) => {
+    try {
+        const text = rtfToText(await processTXT(file));
+        logger.log('RTF processed successfully');
+        return asDocument(text);
+    } catch (error) {
+        logger.error('RTF Error:', error);
+        throw toImportError(error, 'RTF');
     }
 };
 
@@ -117,7 +1235,11 @@ const processTXT = async (file) => {
 
         reader.onerror = () => {
             logger.error('Text file read error');
-            reject(new Error('Error reading text file'));
+            reject(new FileImportError(
+                IMPORT_ERROR.READ_FAILED,
+                `"${file.name}" could not be read. Check the file is still available and try again.`,
+                reader.error
+            ));
         };
 
         reader.readAsText(file);
@@ -126,4 +1248,9 @@ const processTXT = async (file) => {
 
 export default {
     processFile,
+    FileImportError,
+    IMPORT_ERROR,
+    htmlToText,
+    markdownToText,
+    rtfToText,
 };
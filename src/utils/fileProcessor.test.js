@@ -0,0 +1,98 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { htmlToText, markdownToText, rtfToText } from './fileProcessor';
+
+describe('htmlToText', () => {
+    it('makes block elements separate paragraphs', () => {
+        const html = '<h1>Title</h1><p>First <em>para</em>graph<br>goes on.</p><ul><li>One</li><li>Two</li></ul>';
+        expect(htmlToText(html)).toBe('Title\n\nFirst paragraph goes on.\n\nOne\n\nTwo');
+    });
+
+    it('drops scripts, styles and navigation', () => {
+        const html = `
+            <head><style>p { color: red; }</style></head>
+            <body>
+                <nav>Home | About</nav>
+                <header>Site name</header>
+                <p>Body text.</p>
+                <script>alert('hi');</script>
+                <div aria-hidden="true">Hidden</div>
+                <footer>Copyright</footer>
+            </body>`;
+        expect(htmlToText(html)).toBe('Body text.');
+    });
+
+    it('prefers the article over the rest of the page', () => {
+        const html = '<body><div>Sidebar links</div><article><p>The story.</p></article></body>';
+        expect(htmlToText(html)).toBe('The story.');
+    });
+
+    it('collapses whitespace inside paragraphs', () => {
+        expect(htmlToText('<p>  lots\n   of \t space  </p>')).toBe('lots of space');
+    });
+});
+
+describe('markdownToText', () => {
+    it('keeps paragraphs and joins their lines', () => {
+        expect(markdownToText('First line\nsame paragraph.\n\nSecond.')).toBe('First line same paragraph.\n\nSecond.');
+    });
+
+    it('drops front matter, heading markers and rules', () => {
+        const markdown = '---\ntitle: Notes\n---\n# Heading #\nText.\n\n***\n\nSetext\n======\n';
+        expect(markdownToText(markdown)).toBe('Heading\n\nText.\n\nSetext');
+    });
+
+    it('makes list items and quotes plain paragraphs', () => {
+        const markdown = '- [x] done\n* two\n1. three\n\n> quoted\n> text';
+        expect(markdownToText(markdown)).toBe('done\n\ntwo\n\nthree\n\nquoted text');
+    });
+
+    it('strips inline syntax', () => {
+        const markdown = 'A **bold**, *italic* and _under_ `code` [link](http://x.y) ![alt](a.png) ~~gone~~ \\*star\\* snake_case_name';
+        expect(markdownToText(markdown)).toBe('A bold, italic and under code link alt gone *star* snake_case_name');
+    });
+
+    it('keeps code block content and drops link references', () => {
+        const markdown = '```js\nconst a = 1;\n```\n[ref]: http://example.com\nSee [the docs][ref].';
+        expect(markdownToText(markdown)).toBe('const a = 1;\n\nSee the docs.');
+    });
+
+    it('turns tables into rows of words', () => {
+        const markdown = '| Name | Age |\n| --- | :-: |\n| Ann | 31 |';
+        expect(markdownToText(markdown)).toBe('Name Age\n\nAnn 31');
+    });
+
+    it('handles CRLF line endings', () => {
+        expect(markdownToText('# Title\r\nText\r\n\r\nMore')).toBe('Title\n\nText\n\nMore');
+    });
+});
+
+describe('rtfToText', () => {
+    it('reads text and paragraphs, skipping the font and colour tables', () => {
+        const rtf = '{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}{\\colortbl;\\red0\\green0\\blue0;}\\f0 Hello \\b bold\\b0  world.\\par Second\\line paragraph.}';
+        expect(rtfToText(rtf)).toBe('Hello bold world.\n\nSecond paragraph.');
+    });
+
+    it("decodes \\'hh escapes as Windows-1252", () => {
+        expect(rtfToText("{\\rtf1 caf\\'e9 \\'93quoted\\'94 \\'80}")).toBe('café “quoted” €');
+    });
+
+    it('decodes \\uN escapes and skips their fallback characters', () => {
+        expect(rtfToText('{\\rtf1 dash\\u8212?dash}')).toBe('dash—dash');
+        expect(rtfToText('{\\rtf1\\uc2 price \\u8364\\\'80\\\'80 5}')).toBe('price € 5');
+        expect(rtfToText('{\\rtf1 smile \\u-10179?\\u-8694?}')).toBe('smile 😊');
+    });
+
+    it('restores the fallback count when a group ends', () => {
+        expect(rtfToText('{\\rtf1 {\\uc0 a\\u233 b}\\u233?c}')).toBe('aébéc');
+    });
+
+    it('keeps nested formatting groups and drops ignorable destinations', () => {
+        const rtf = '{\\rtf1 {\\*\\generator Writer;}{\\i italic {\\b nested}} text{\\pict 0a0b0c}.{\\*\\unknown skipped} end}';
+        expect(rtfToText(rtf)).toBe('italic nested text. end');
+    });
+
+    it('reads escaped braces, backslashes and special characters', () => {
+        expect(rtfToText('{\\rtf1 \\{a\\}\\\\b\\~c\\emdash d\\ldblquote e\\rdblquote}')).toBe('{a}\\b c—d“e”');
+    });
+});
@@ -0,0 +1,292 @@
+/**
+ * Reading History Utility
+ * 
+ * Persists reading sessions in localStorage and derives the statistics shown
+ * in the stats view: daily totals, streaks, speed trend and per-document
+ * progress. The history can be exported as CSV or JSON.
+ * 
+ * Usage:
+ *   import { loadHistory, saveHistory, getDailyTotals } from './utils/history';
+ *   const sessions = loadHistory();
+ *   const days = getDailyTotals(sessions);
+ */
+
+import logger from './logger';
+
+export const HISTORY_STORAGE_KEY = 'warp-history';
+export const HISTORY_FORMAT_VERSION = 1;
+
+// Oldest sessions are dropped beyond this many
+const MAX_SESSIONS = 2000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} Session
+ * @property {string} id - Unique session id
+ * @property {string|null} documentId - Library document id, if saved
+ * @property {string} title - Document title
+ * @property {number} startedAt - Timestamp of the first play
+ * @property {number} endedAt - Timestamp of the last activity
+ * @property {number} wordsRead - Words shown during playback
+ * @property {number} readingTime - Milliseconds spent playing
+ * @property {number} averageWpm - wordsRead over readingTime
+ * @property {number} pauses - Times playback was paused before the end
+ * @property {number} rewinds - Jumps back the reader asked for
+ * @property {number} quizCorrect - Checkpoint questions answered right
+ * @property {number} quizTotal - Checkpoint questions answered
+ * @property {CheckpointScore[]} checkpoints - Score of every checkpoint taken
+ * @property {number} position - Token index reached
+ * @property {number} totalWords - Length of the document
+ */
+
+/**
+ * @typedef {Object} CheckpointScore
+ * @property {number} at - Timestamp
+ * @property {number} index - Token index of the checkpoint
+ * @property {number} wpm - Speed read at before the checkpoint
+ * @property {number} correct - Questions answered right
+ * @property {number} total - Questions asked
+ */
+
+/**
+ * Generate a unique session id
+ * @returns {string} Session id
+ */
+export const createSessionId = () => `session-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Calculate the average speed of a session
+ * @param {number} wordsRead - Words shown
+ * @param {number} readingTime - Milliseconds spent playing
+ * @returns {number} Words per minute, rounded (0 without reading time)
+ */
+export const calculateAverageWpm = (wordsRead, readingTime) => (
+    readingTime > 0 ? Math.round((wordsRead * 60000) / readingTime) : 0
+);
+
+/**
+ * Check that a stored entry looks like a session
+ * @param {any} entry - Candidate
+ * @returns {boolean}
+ */
+const isSession = (entry) => (
+    entry !== null
+    && typeof entry === 'object'
+    && typeof entry.id === 'string'
+    && Number.isFinite(entry.startedAt)
+    && Number.isFinite(entry.wordsRead)
+);
+
+/**
+ * Load the stored sessions, oldest first
+ * @returns {Session[]} Sessions, empty if missing or corrupt
+ */
+export const loadHistory = () => {
+    try {
+        const raw = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY) || '[]');
+        return Array.isArray(raw) ? raw.filter(isSession) : [];
+    } catch (err) {
+        logger.warn('Stored reading history unreadable, starting over:', err.message);
+        return [];
+    }
+};
+
+/**
+ * Persist sessions, keeping the most recent MAX_SESSIONS
+ * @param {Session[]} sessions - Sessions, oldest first
+ */
+export const saveHistory = (sessions) => {
+    try {
+        localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(sessions.slice(-MAX_SESSIONS)));
+    } catch (err) {
+        logger.warn('Reading history not saved:', err.message);
+    }
+};
+
+/**
+ * Insert a session, or replace the stored one with the same id
+ * 
+ * @param {Session[]} sessions - Current sessions
+ * @param {Session} session - Session to store
+ * @returns {Session[]} New session list
+ */
+export const upsertSession = (sessions, session) => (
+    sessions.some(s => s.id === session.id)
+        ? sessions.map(s => (s.id === session.id ? session : s))
+        : [...sessions, session]
+);
+
+/**
+ * Share of checkpoint questions answered right
+ * @param {Session[]} sessions - Sessions
+ * @returns {number|null} Percentage, or null if no checkpoint was taken
+ */
+export const getComprehension = (sessions) => {
+    const correct = sessions.reduce((sum, session) => sum + (session.quizCorrect || 0), 0);
+    const total = sessions.reduce((sum, session) => sum + (session.quizTotal || 0), 0);
+    return total > 0 ? Math.round((correct / total) * 100) : null;
+};
+
+/**
+ * Local calendar day of a timestamp
+ * @param {number} time - Timestamp
+ * @returns {string} Day as YYYY-MM-DD
+ */
+export const getDayKey = (time) => {
+    const date = new Date(time);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Total words, reading time and speed per day, oldest first
+ * Days without reading are left out.
+ * 
+ * @param {Session[]} sessions - Sessions
+ * @returns {{day: string, words: number, readingTime: number, sessions: number, averageWpm: number}[]}
+ */
+export const getDailyTotals = (sessions) => {
+    const days = new Map();
+
+    sessions.forEach((session) => {
+        const day = getDayKey(session.startedAt);
+        const total = days.get(day) || { day, words: 0, readingTime: 0, sessions: 0 };
+        total.words += session.wordsRead;
+        total.readingTime += session.readingTime || 0;
+        total.sessions += 1;
+        days.set(day, total);
+    });
+
+    return [...days.values()]
+        .sort((a, b) => (a.day < b.day ? -1 : 1))
+        .map(total => ({ ...total, averageWpm: calculateAverageWpm(total.words, total.readingTime) }));
+};
+
+/**
+ * Consecutive reading days
+ * The current streak stays alive until a full day is missed, so it still
+ * counts in the morning before today's reading.
+ * 
+ * @param {{day: string}[]} dailyTotals - From getDailyTotals
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {{current: number, longest: number}} Streak lengths in days
+ */
+export const getStreaks = (dailyTotals, now = Date.now()) => {
+    const readDays = new Set(dailyTotals.map(total => total.day));
+
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+    dailyTotals.forEach(({ day }) => {
+        const time = new Date(`${day}T12:00:00`).getTime();
+        run = previous !== null && Math.round((time - previous) / DAY_MS) === 1 ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        previous = time;
+    });
+
+    let current = 0;
+    let cursor = readDays.has(getDayKey(now)) ? now : now - DAY_MS;
+    while (readDays.has(getDayKey(cursor))) {
+        current += 1;
+        cursor -= DAY_MS;
+    }
+
+    return { current, longest };
+};
+
+/**
+ * Reading progress per document, most recently read first
+ * 
+ * @param {Session[]} sessions - Sessions
+ * @returns {{key: string, title: string, words: number, position: number, totalWords: number, lastReadAt: number}[]}
+ */
+export const getDocumentProgress = (sessions) => {
+    const documents = new Map();
+
+    sessions.forEach((session) => {
+        const key = session.documentId || session.title;
+        const entry = documents.get(key) || { key, words: 0, lastReadAt: 0 };
+        entry.words += session.wordsRead;
+
+        // Latest session decides title and position
+        if (session.endedAt >= entry.lastReadAt) {
+            entry.title = session.title;
+            entry.position = session.position;
+            entry.totalWords = session.totalWords;
+            entry.lastReadAt = session.endedAt;
+        }
+        documents.set(key, entry);
+    });
+
+    return [...documents.values()].sort((a, b) => b.lastReadAt - a.lastReadAt);
+};
+
+/**
+ * Serialize the history for the reading challenge spreadsheet
+ * One row per session, times in ISO 8601.
+ * 
+ * @param {Session[]} sessions - Sessions
+ * @returns {string} CSV document
+ */
+export const exportHistoryCsv = (sessions) => {
+    const quote = (value) => {
+        const text = String(value ?? '');
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const header = [
+        'started_at', 'ended_at', 'document', 'words_read', 'reading_minutes',
+        'average_wpm', 'pauses', 'rewinds', 'position', 'total_words',
+        'quiz_correct', 'quiz_total',
+    ];
+    const rows = sessions.map(session => [
+        new Date(session.startedAt).toISOString(),
+        new Date(session.endedAt).toISOString(),
+        session.title,
+        session.wordsRead,
+        ((session.readingTime || 0) / 60000).toFixed(2),
+        session.averageWpm,
+        session.pauses,
+        session.rewinds,
+        session.position,
+        session.totalWords,
+        session.quizCorrect || 0,
+        session.quizTotal || 0,
+    ]);
+
+    return [header, ...rows].map(row => row.map(quote).join(',')).join('\n');
+};
+
+/**
+ * Serialize the history as a versioned JSON document
+ * @param {Session[]} sessions - Sessions
+ * @returns {string} Pretty-printed JSON document
+ */
+export const exportHistoryJson = (sessions) => {
+    return JSON.stringify({
+        app: 'warp-reader',
+        type: 'history',
+        version: HISTORY_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        sessions,
+    }, null, 2);
+};
+
+export default {
+    HISTORY_STORAGE_KEY,
+    HISTORY_FORMAT_VERSION,
+    createSessionId,
+    calculateAverageWpm,
+    loadHistory,
+    saveHistory,
+    upsertSession,
+    getComprehension,
+    getDayKey,
+    getDailyTotals,
+    getStreaks,
+    getDocumentProgress,
+    exportHistoryCsv,
+    exportHistoryJson,
+};
@@ -0,0 +1,285 @@
+/**
+ * Library Utility
+ * 
+ * Persists loaded documents in IndexedDB so they survive page reloads.
+ * Metadata (title, position, WPM, timestamps) and content (source text and
+ * tokens) live in separate object stores, so listing the library never has
+ * to load whole books into memory.
+ * 
+ * Usage:
+ *   import { saveDocument, listDocuments, getDocument } from './utils/library';
+ *   const doc = await saveDocument({ title, text, tokens, wpm });
+ *   const docs = await listDocuments();
+ */
+
+import logger from './logger';
+
+const DB_NAME = 'warp-reader';
+const DB_VERSION = 1;
+const META_STORE = 'documents';
+const CONTENT_STORE = 'contents';
+
+// Number of words used when deriving a title from pasted text
+const TITLE_WORDS = 6;
+
+// Cached database connection promise
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the library database
+ * @returns {Promise<IDBDatabase>} Open database connection
+ */
+const openDatabase = () => {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+            reject(new Error('IndexedDB not supported in this browser'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(META_STORE)) {
+                db.createObjectStore(META_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(CONTENT_STORE)) {
+                db.createObjectStore(CONTENT_STORE, { keyPath: 'id' });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a retry on the next call if opening failed
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+
+    return dbPromise;
+};
+
+/**
+ * Run a callback inside a transaction and resolve once it completes
+ * 
+ * @param {string[]} storeNames - Object stores to include
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the stores in order, may return an IDBRequest
+ * @returns {Promise<any>} Result of the returned request, if any
+ */
+const withStores = async (storeNames, mode, callback) => {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, mode);
+        const request = callback(...storeNames.map(name => tx.objectStore(name)));
+
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+};
+
+/**
+ * Generate a unique document id
+ * @returns {string} Document id
+ */
+const createId = () => {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+/**
+ * Derive a short title from the start of a text
+ * @param {string} text - Source text
+ * @returns {string} Title made of the first few words
+ */
+export const titleFromText = (text) => {
+    const words = (text || '').trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return 'untitled';
+
+    const title = words.slice(0, TITLE_WORDS).join(' ');
+    return words.length > TITLE_WORDS ? `${title}…` : title;
+};
+
+/**
+ * Fingerprint a document's text, so the same content is recognised however
+ * it is titled (cyrb53: fast, and stable across browsers and sessions)
+ * 
+ * @param {string} text - Source text
+ * @returns {string} Content hash
+ */
+export const hashText = (text) => {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+    const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+    return `${text.length.toString(36)}-${hash.toString(36)}`;
+};
+
+/**
+ * Save a new document to the library
+ * 
+ * @param {Object} doc
+ * @param {string} doc.title - Display title (usually the file name)
+ * @param {string} doc.text - Source text the tokens were produced from
+ * @param {Object[]} doc.tokens - Structured tokens from cleanAndTokenize
+ * @param {Object[]} [doc.chapters] - Chapters mapped to token indices
+ * @param {number} doc.wpm - Reading speed in use
+ * @param {string} [doc.contentHash] - Fingerprint of the text, computed if missing
+ * @returns {Promise<Object>} Stored document metadata
+ */
+export const saveDocument = async ({ title, text, tokens, chapters = [], wpm, contentHash = hashText(text) }) => {
+    const now = Date.now();
+    const meta = {
+        id: createId(),
+        title,
+        contentHash,
+        totalTokens: tokens.length,
+        position: 0,
+        wpm,
+        createdAt: now,
+        updatedAt: now,
+        lastOpenedAt: now,
+    };
+
+    await withStores([META_STORE, CONTENT_STORE], 'readwrite', (metaStore, contentStore) => {
+        metaStore.put(meta);
+        contentStore.put({ id: meta.id, text, tokens, chapters });
+    });
+
+    logger.log('Library: saved document', meta.id, `"${title}"`);
+    return meta;
+};
+
+/**
+ * List all documents, most recently opened first
+ * @returns {Promise<Object[]>} Document metadata entries
+ */
+export const listDocuments = async () => {
+    const docs = await withStores([META_STORE], 'readonly', (store) => store.getAll());
+    return docs.sort((a, b) => b.lastOpenedAt - a.lastOpenedAt);
+};
+
+/**
+ * Find the saved document with a given text
+ * Documents saved before content hashes were stored are hashed when first
+ * compared (only those with the same token count can match) and updated.
+ * 
+ * @param {string} contentHash - Fingerprint from hashText
+ * @param {number} totalTokens - Token count of the text
+ * @returns {Promise<Object|null>} Document metadata, or null if not saved
+ */
+export const findDocumentByContent = async (contentHash, totalTokens) => {
+    const docs = await listDocuments();
+    const match = docs.find(d => d.contentHash === contentHash);
+    if (match) return match;
+
+    for (const doc of docs.filter(d => !d.contentHash && d.totalTokens === totalTokens)) {
+        const content = await withStores([CONTENT_STORE], 'readonly', (store) => store.get(doc.id));
+        if (content) {
+            const hash = hashText(content.text);
+            const updated = await updateDocument(doc.id, { contentHash: hash });
+            if (hash === contentHash) return updated;
+        }
+    }
+    return null;
+};
+
+/**
+ * Load a document with its content and mark it as opened
+ * 
+ * @param {string} id - Document id
+ * @returns {Promise<Object|null>} Metadata merged with text, tokens and chapters, or null if missing
+ */
+export const getDocument = async (id) => {
+    let metaRequest;
+    let contentRequest;
+
+    await withStores([META_STORE, CONTENT_STORE], 'readonly', (metaStore, contentStore) => {
+        metaRequest = metaStore.get(id);
+        contentRequest = contentStore.get(id);
+    });
+
+    const meta = metaRequest.result;
+    const content = contentRequest.result;
+    if (!meta || !content) return null;
+
+    const opened = await updateDocument(id, { lastOpenedAt: Date.now() });
+    return {
+        ...opened,
+        text: content.text,
+        tokens: content.tokens,
+        chapters: content.chapters || [],
+    };
+};
+
+/**
+ * Update a document's metadata fields
+ * 
+ * @param {string} id - Document id
+ * @param {Object} changes - Fields to merge (position, wpm, title, lastOpenedAt)
+ * @returns {Promise<Object|null>} Updated metadata, or null if missing
+ */
+export const updateDocument = async (id, changes) => {
+    let updated = null;
+
+    await withStores([META_STORE], 'readwrite', (store) => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+            if (!request.result) return;
+            updated = { ...request.result, ...changes, updatedAt: Date.now() };
+            store.put(updated);
+        };
+    });
+
+    return updated;
+};
+
+/**
+ * Rename a document
+ * 
+ * @param {string} id - Document id
+ * @param {string} title - New title
+ * @returns {Promise<Object|null>} Updated metadata
+ */
+export const renameDocument = (id, title) => {
+    logger.log('Library: renaming document', id, `-> "${title}"`);
+    return updateDocument(id, { title });
+};
+
+/**
+ * Remove a document and its content from the library
+ * @param {string} id - Document id
+ */
+export const removeDocument = async (id) => {
+    await withStores([META_STORE, CONTENT_STORE], 'readwrite', (metaStore, contentStore) => {
+        metaStore.delete(id);
+        contentStore.delete(id);
+    });
+    logger.log('Library: removed document', id);
+};
+
+export default {
+    titleFromText,
+    hashText,
+    saveDocument,
+    listDocuments,
+    findDocumentByContent,
+    getDocument,
+    updateDocument,
+    renameDocument,
+    removeDocument,
+};
@@ -0,0 +1,164 @@
+/**
+ * OCR Utility
+ * 
+ * Recognises text in images and scanned pages with Tesseract running as
+ * WebAssembly in its own Web Worker. The engine and English language data
+ * are served from /ocr (see vite.config.js) and never come from a CDN. The
+ * engine is only loaded on first use, and is then kept in the service
+ * worker's OCR cache so recognition works offline from then on.
+ * Runs on the page or inside the document worker.
+ * 
+ * Usage:
+ *   import { recognizeImage } from './utils/ocr';
+ *   const text = await recognizeImage(imageFile, (progress) => ...);
+ */
+
+import logger from './logger';
+
+// Folder holding the worker, WASM core and language data
+const OCR_ASSET_PATH = `${import.meta.env.BASE_URL}ocr`;
+
+// Recognition language bundled with the app
+const OCR_LANGUAGE = 'eng';
+
+// Runtime cache the service worker serves /ocr from (see vite.config.js)
+const OCR_CACHE_NAME = 'warp-ocr';
+
+// Smallest WebAssembly module using SIMD, to tell which core Tesseract loads
+const SIMD_TEST_MODULE = new Uint8Array([
+    0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 10, 1, 8, 0, 65, 0, 253, 15, 253, 98, 11,
+]);
+
+// Shared Tesseract worker, created on first use
+let ocrWorkerPromise = null;
+
+// Progress callback of the recognition currently running
+let reportProgress = null;
+
+// Tail of the recognition queue
+let queue = Promise.resolve();
+
+/**
+ * Resolve an asset path against the app URL
+ * Tesseract loads its scripts from inside its own worker, where relative
+ * paths would resolve against the worker script instead of the app.
+ * 
+ * @param {string} path - Path below the site root
+ * @returns {string} Absolute URL
+ */
+const assetUrl = (path) => new URL(path, self.location.href).href;
+
+/**
+ * Store the engine files in the OCR cache after the first start
+ * They are left out of the precache, as most readers never use OCR. Only
+ * the core variant this browser runs is stored.
+ */
+const warmOcrCache = async () => {
+    if (typeof caches === 'undefined') return;
+
+    try {
+        const core = WebAssembly.validate(SIMD_TEST_MODULE)
+            ? 'tesseract-core-simd-lstm.wasm.js'
+            : 'tesseract-core-lstm.wasm.js';
+        const urls = ['worker.min.js', core, `${OCR_LANGUAGE}.traineddata.gz`]
+            .map(file => assetUrl(`${OCR_ASSET_PATH}/${file}`));
+
+        const cache = await caches.open(OCR_CACHE_NAME);
+        const cached = await Promise.all(urls.map(url => cache.match(url)));
+        const missing = urls.filter((url, i) => !cached[i]);
+        if (missing.length === 0) return;
+
+        await cache.addAll(missing);
+        logger.log('OCR engine cached for offline use.');
+    } catch (error) {
+        logger.warn('OCR engine not cached:', error.message);
+    }
+};
+
+/**
+ * Get the shared OCR worker, starting it if needed
+ * 
+ * @returns {Promise<Object>} Ready Tesseract worker
+ * @throws {Error} If the engine or language data cannot be loaded
+ */
+const getOcrWorker = () => {
+    if (ocrWorkerPromise) return ocrWorkerPromise;
+
+    ocrWorkerPromise = (async () => {
+        logger.log('Starting OCR engine...');
+        const { createWorker } = await import('tesseract.js');
+
+        const worker = await createWorker(OCR_LANGUAGE, undefined, {
+            workerPath: assetUrl(`${OCR_ASSET_PATH}/worker.min.js`),
+            corePath: assetUrl(OCR_ASSET_PATH),
+            langPath: assetUrl(OCR_ASSET_PATH),
+            workerBlobURL: false,
+            // The service worker already caches the language data
+            cacheMethod: 'none',
+            logger: (message) => {
+                if (reportProgress && message.status === 'recognizing text') {
+                    reportProgress(message.progress);
+                }
+            },
+        });
+
+        logger.log('OCR engine ready.');
+        warmOcrCache();
+        return worker;
+    })();
+
+    // Allow a retry on the next call if starting failed
+    ocrWorkerPromise.catch((error) => {
+        logger.error('OCR engine failed to start:', error);
+        ocrWorkerPromise = null;
+    });
+
+    return ocrWorkerPromise;
+};
+
+/**
+ * Recognise the text in an image
+ * Calls are queued, as the shared worker handles one image at a time.
+ * 
+ * @param {OffscreenCanvas|Blob} image - Image to read
+ * @param {Function} [onProgress] - Called with a 0-1 fraction while recognising
+ * @returns {Promise<string>} Recognised text, lines separated by newlines and
+ *   paragraphs by blank lines
+ */
+export const recognizeImage = (image, onProgress = () => {}) => {
+    const job = queue.then(async () => {
+        const worker = await getOcrWorker();
+        reportProgress = onProgress;
+        try {
+            const { data } = await worker.recognize(image);
+            return data.text;
+        } finally {
+            reportProgress = null;
+        }
+    });
+
+    queue = job.catch(() => {});
+    return job;
+};
+
+/**
+ * Stop the OCR worker and free its memory
+ * It is started again on the next recognition.
+ */
+export const terminateOcr = async () => {
+    if (!ocrWorkerPromise) return;
+
+    const pending = ocrWorkerPromise;
+    ocrWorkerPromise = null;
+    try {
+        await (await pending).terminate();
+        logger.log('OCR engine stopped.');
+    } catch {
+        // Worker never started, nothing to stop
+    }
+};
+
+export default {
+    recognizeImage,
+    terminateOcr,
+};
@@ -0,0 +1,496 @@
+/**
+ * PDF Layout Utility
+ * 
+ * Rebuilds readable text from positioned PDF text items. Each page is split
+ * into columns at empty vertical gutters, items are grouped into lines and
+ * lines into paragraphs, and the clutter of printed pages is dropped:
+ * footnote reference markers, footnote blocks, page numbers, and running
+ * headers/footers that repeat on neighbouring pages. Words hyphenated
+ * across line (and page) breaks are joined again, keeping the hyphen of
+ * compounds.
+ * 
+ * Usage:
+ *   import { analyzePage, createPageTextStream } from './utils/pdfLayout';
+ *   const stream = createPageTextStream();
+ *   const ready = stream.add(analyzePage(content.items, page.view));
+ *   const rest = stream.end();
+ */
+
+// Width of the buckets used to look for empty gutters between columns (pt)
+const GUTTER_BUCKET = 2;
+
+// Narrowest gap between two columns (pt)
+const MIN_GUTTER_WIDTH = 8;
+
+// Gutters are only searched in this middle part of the text area
+const GUTTER_SEARCH_RANGE = [0.2, 0.8];
+
+// Items wider than this share of the text area are treated as full width
+const WIDE_ITEM_RATIO = 0.6;
+
+// Lines this close to the top or bottom edge can be headers, footers or page numbers
+const EDGE_ZONE = 0.12;
+
+// Number of lines at each edge considered as headers/footers
+const EDGE_LINES = 2;
+
+// Footnotes are only looked for in this lower share of the page
+const FOOTNOTE_ZONE = 0.4;
+
+// Text smaller than this share of the body size is footnote or marker text
+const SMALL_TEXT_RATIO = 0.85;
+
+// Pages before and after a page compared when finding running headers
+const LOOKAHEAD = 2;
+
+// A standalone page number: "12", "xii", "- 12 -", "Page 12", "12 of 30"
+const PAGE_NUMBER = /^(page\s+)?[-–—]?\s*(\d+|[ivxlcdm]+)\s*[-–—]?(\s*(of|\/)\s*\d+)?$/i;
+
+// Footnote reference markers raised above the text
+const MARKER_TEXT = /^[\d*†‡§¶,–-]+$/;
+
+// A line ending in a hyphen that may split a word
+const TRAILING_HYPHEN = /[A-Za-zÀ-ɏ][-‐­]$/;
+
+// Soft hyphen, only ever shown where a word was broken
+const SOFT_HYPHEN = '\u00AD';
+
+// Word parts written with a hyphen in compounds (self-aware, well-known,
+// cloud-based); a line-break hyphen next to one is kept
+const COMPOUND_PREFIXES = new Set(['self', 'well', 'half', 'quasi', 'ill']);
+const COMPOUND_SUFFIXES = new Set([
+    'based', 'related', 'specific', 'oriented', 'friendly', 'driven', 'level', 'scale', 'term',
+]);
+
+// Sentence-ending punctuation, optionally followed by closing quotes or brackets
+const LINE_SENTENCE_END = /[.!?:…]["'’”)\]]*$/;
+
+/**
+ * @typedef {Object} LayoutLine
+ * @property {string} text - Line text
+ * @property {number} x - Left edge
+ * @property {number} right - Right edge
+ * @property {number} y - Baseline (PDF coordinates, growing upwards)
+ * @property {number} size - Dominant font size
+ * @property {number} column - Column index, -1 for full-width lines
+ * @property {boolean} edge - Among the first/last lines near the page edge
+ * @property {boolean} paragraphStart - Starts a new paragraph
+ */
+
+/**
+ * @typedef {Object} PageLayout
+ * @property {LayoutLine[]} lines - Lines in reading order
+ */
+
+/**
+ * Convert pdf.js text items to simple positioned boxes, dropping empty ones
+ * @param {Object[]} items - pdf.js TextItems
+ * @returns {Object[]} Boxes { str, x, y, width, size }
+ */
+const toBoxes = (items) => items
+    .filter(item => item.str && item.str.trim())
+    .map(item => ({
+        str: item.str,
+        x: item.transform[4],
+        y: item.transform[5],
+        width: item.width,
+        size: Math.hypot(item.transform[2], item.transform[3]) || item.height || 1,
+    }));
+
+/**
+ * Find the most common value, weighted
+ * @param {Array<[number, number]>} pairs - [value, weight] pairs
+ * @returns {number} Value with the highest total weight (0 if none)
+ */
+const weightedMode = (pairs) => {
+    const totals = new Map();
+    pairs.forEach(([value, weight]) => {
+        const key = Math.round(value * 2) / 2;
+        totals.set(key, (totals.get(key) || 0) + weight);
+    });
+
+    let best = 0;
+    let bestWeight = -1;
+    totals.forEach((weight, value) => {
+        if (weight > bestWeight) {
+            best = value;
+            bestWeight = weight;
+        }
+    });
+    return best;
+};
+
+/**
+ * Find the vertical gutters separating text columns
+ * A gutter is a run of empty space in the middle of the text area that no
+ * narrow item crosses, with text on both sides. Headers, footers and page
+ * numbers near the page edges often sit across the gutter and are ignored.
+ * 
+ * @param {Object[]} allBoxes - Text boxes
+ * @param {number[]} view - Page box [x0, y0, x1, y1]
+ * @returns {number[]} x positions of the gutter centres, left to right
+ */
+const findGutters = (allBoxes, view) => {
+    const margin = (view[3] - view[1]) * EDGE_ZONE;
+    const boxes = allBoxes.filter(box => box.y > view[1] + margin && box.y < view[3] - margin);
+    if (boxes.length === 0) return [];
+
+    const minX = Math.min(...boxes.map(box => box.x));
+    const maxX = Math.max(...boxes.map(box => box.x + box.width));
+    const contentWidth = maxX - minX;
+    if (contentWidth < MIN_GUTTER_WIDTH * 4) return [];
+
+    const narrow = boxes.filter(box => box.width < contentWidth * WIDE_ITEM_RATIO);
+    const buckets = new Uint16Array(Math.ceil(contentWidth / GUTTER_BUCKET) + 1);
+    narrow.forEach(box => {
+        const first = Math.floor((box.x - minX) / GUTTER_BUCKET);
+        const last = Math.ceil((box.x + box.width - minX) / GUTTER_BUCKET);
+        for (let i = first; i <= last && i < buckets.length; i++) buckets[i]++;
+    });
+
+    const from = Math.floor(buckets.length * GUTTER_SEARCH_RANGE[0]);
+    const to = Math.ceil(buckets.length * GUTTER_SEARCH_RANGE[1]);
+    const gutters = [];
+    let runStart = -1;
+
+    for (let i = from; i <= to; i++) {
+        if (i < to && buckets[i] === 0) {
+            if (runStart < 0) runStart = i;
+            continue;
+        }
+        if (runStart >= 0 && (i - runStart) * GUTTER_BUCKET >= MIN_GUTTER_WIDTH) {
+            const centre = minX + ((runStart + i) / 2) * GUTTER_BUCKET;
+            const left = narrow.filter(box => box.x + box.width <= centre).length;
+            const right = narrow.filter(box => box.x >= centre).length;
+
+            // Require real text on both sides, not a stray label or number
+            if (left >= 3 && right >= 3) gutters.push(centre);
+        }
+        runStart = -1;
+    }
+
+    return gutters;
+};
+
+/**
+ * Group boxes sharing a baseline into lines
+ * Raised, smaller digits and symbols (footnote references) are dropped.
+ * 
+ * @param {Object[]} boxes - Boxes of one column
+ * @param {number} column - Column index for the resulting lines
+ * @returns {LayoutLine[]} Lines from top to bottom
+ */
+const buildLines = (boxes, column) => {
+    const sorted = [...boxes].sort((a, b) => b.y - a.y || a.x - b.x);
+    const groups = [];
+
+    sorted.forEach(box => {
+        const group = groups[groups.length - 1];
+        if (group && Math.abs(group.y - box.y) < Math.max(group.size, box.size) * 0.5) {
+            group.boxes.push(box);
+            if (box.size > group.size) {
+                group.size = box.size;
+                group.y = box.y;
+            }
+        } else {
+            groups.push({ y: box.y, size: box.size, boxes: [box] });
+        }
+    });
+
+    return groups.map(group => {
+        const boxesInLine = group.boxes
+            .filter(box => !(
+                box.size < group.size * SMALL_TEXT_RATIO
+                && box.y - group.y > group.size * 0.15
+                && MARKER_TEXT.test(box.str.trim())
+            ))
+            .sort((a, b) => a.x - b.x);
+
+        let text = '';
+        let lastRight = null;
+        boxesInLine.forEach(box => {
+            const gap = lastRight === null ? 0 : box.x - lastRight;
+            if (lastRight !== null && gap > group.size * 0.15 && !/\s$/.test(text) && !/^\s/.test(box.str)) {
+                text += ' ';
+            }
+            text += box.str;
+            lastRight = box.x + box.width;
+        });
+
+        return {
+            text: text.replace(/\s+/g, ' ').trim(),
+            x: boxesInLine.length ? boxesInLine[0].x : 0,
+            right: lastRight ?? 0,
+            y: group.y,
+            size: group.size,
+            column,
+            edge: false,
+            paragraphStart: false,
+        };
+    }).filter(line => line.text);
+};
+
+/**
+ * Mark paragraph starts within a run of lines of one column
+ * A paragraph starts after a large vertical gap, a change in font size,
+ * an indented first line, or a short line ending a sentence. The top line
+ * continues the paragraph of the line read before it (the bottom of the
+ * previous column) unless that one ends a sentence.
+ * 
+ * @param {LayoutLine[]} lines - Lines of one column, top to bottom
+ * @param {LayoutLine} [previous] - Line read just before these
+ */
+const markParagraphs = (lines, previous) => {
+    if (lines.length === 0) return;
+
+    const gaps = [];
+    for (let i = 1; i < lines.length; i++) {
+        const gap = lines[i - 1].y - lines[i].y;
+        if (gap > 0) gaps.push(gap);
+    }
+    gaps.sort((a, b) => a - b);
+    const lineGap = gaps.length ? gaps[Math.floor(gaps.length / 2)] : 0;
+    const left = Math.min(...lines.map(line => line.x));
+    const right = Math.max(...lines.map(line => line.right));
+
+    lines[0].paragraphStart = !previous
+        || LINE_SENTENCE_END.test(previous.text)
+        || Math.abs(lines[0].size - previous.size) > previous.size * 0.15;
+    for (let i = 1; i < lines.length; i++) {
+        const prev = lines[i - 1];
+        const line = lines[i];
+        const gap = prev.y - line.y;
+
+        line.paragraphStart = (lineGap > 0 && gap > lineGap * 1.5)
+            || Math.abs(line.size - prev.size) > prev.size * 0.15
+            || (line.x - left > line.size * 0.8 && prev.x - left <= prev.size * 0.8)
+            || (LINE_SENTENCE_END.test(prev.text) && right - prev.right > prev.size * 2);
+    }
+};
+
+/**
+ * Analyse the layout of one page
+ * 
+ * @param {Object[]} items - pdf.js TextItems from getTextContent()
+ * @param {number[]} view - Page box [x0, y0, x1, y1]
+ * @returns {PageLayout} Lines in reading order, footnotes and page numbers removed
+ */
+export const analyzePage = (items, view) => {
+    const boxes = toBoxes(items);
+    const pageBottom = view[1];
+    const pageHeight = view[3] - view[1];
+    const bodySize = weightedMode(boxes.map(box => [box.size, box.str.length]));
+
+    // Split items into columns and full-width items crossing a gutter
+    const gutters = findGutters(boxes, view);
+    const columns = gutters.map(() => []).concat([[]]);
+    const spanning = [];
+    boxes.forEach(box => {
+        const crosses = gutters.some(g => box.x < g && box.x + box.width > g);
+        if (crosses) {
+            spanning.push(box);
+        } else {
+            columns[gutters.filter(g => g < box.x + box.width / 2).length].push(box);
+        }
+    });
+
+    const columnLines = columns.map((column, index) => buildLines(column, index));
+    const spanningLines = buildLines(spanning, -1);
+
+    // Headers, footers and page numbers: first/last lines near the page edges
+    const allLines = [...columnLines.flat(), ...spanningLines].sort((a, b) => b.y - a.y);
+    const nearTop = allLines.filter(line => line.y > pageBottom + pageHeight * (1 - EDGE_ZONE)).slice(0, EDGE_LINES);
+    const nearBottom = allLines.filter(line => line.y < pageBottom + pageHeight * EDGE_ZONE).slice(-EDGE_LINES);
+    const edges = new Set([...nearTop, ...nearBottom]);
+    edges.forEach(line => { line.edge = true; });
+    const isKept = (line) => !(line.edge && PAGE_NUMBER.test(line.text));
+
+    // Footnotes: small text running to the bottom of a column
+    const footnoteTop = pageBottom + pageHeight * FOOTNOTE_ZONE;
+    const dropFootnotes = (lines) => {
+        let end = lines.length;
+        while (end > 0 && lines[end - 1].edge) end--;
+
+        let start = end;
+        while (start > 0
+            && lines[start - 1].y < footnoteTop
+            && lines[start - 1].size < bodySize * SMALL_TEXT_RATIO) {
+            start--;
+        }
+        return lines.filter((line, i) => i < start || i >= end);
+    };
+
+    // Reading order: full-width lines split the page into bands, and each
+    // band is read column by column
+    const bandOf = (line) => spanningLines.filter(span => span.y > line.y).length;
+    const ordered = [];
+    const columnsKept = columnLines.map(lines => dropFootnotes(lines.filter(isKept)));
+
+    for (let band = 0; band <= spanningLines.length; band++) {
+        columnsKept.forEach(lines => {
+            const inBand = lines.filter(line => bandOf(line) === band);
+            markParagraphs(inBand, ordered[ordered.length - 1]);
+            ordered.push(...inBand);
+        });
+
+        const span = spanningLines[band];
+        if (span && isKept(span)) {
+            span.paragraphStart = true;
+            ordered.push(span);
+        }
+    }
+
+    return { lines: ordered };
+};
+
+/**
+ * Normalise a header/footer line for comparison between pages
+ * @param {string} text - Line text
+ * @returns {string} Lower-case text with digits masked
+ */
+const runningKey = (text) => text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+
+/**
+ * Check whether a hyphen at a line break belongs to the word
+ * Soft hyphens only mark breaks. A hard hyphen is kept for known compounds:
+ * words with a compound prefix or suffix, or written hyphenated elsewhere in
+ * the text. Otherwise the word was broken and is joined.
+ * 
+ * @param {string} text - Text up to and including the hyphen
+ * @param {string} next - Text after the break, starting with the rest of the word
+ * @param {string} context - Text the word comes from
+ * @returns {boolean} Whether to keep the hyphen, dropping only the break
+ */
+const keepsHyphen = (text, next, context) => {
+    if (text.endsWith(SOFT_HYPHEN)) return false;
+
+    const first = text.slice(0, -1).match(/\p{L}+$/u)?.[0] || '';
+    const second = next.match(/^\p{L}+/u)?.[0] || '';
+    if (COMPOUND_PREFIXES.has(first.toLowerCase()) || COMPOUND_SUFFIXES.has(second.toLowerCase())) return true;
+
+    // Both parts are letters only, safe to use in a pattern
+    return new RegExp(`(^|\\P{L})${first}[-‐]${second}(?!\\p{L})`, 'iu').test(context);
+};
+
+/**
+ * Join the lines of a page into paragraphs of text
+ * 
+ * @param {LayoutLine[]} lines - Lines in reading order
+ * @returns {string} Text with paragraphs separated by blank lines
+ */
+const linesToText = (lines) => {
+    const context = lines.map(line => line.text).join(' ');
+    let text = '';
+    lines.forEach((line, i) => {
+        if (i > 0) {
+            if (line.paragraphStart) {
+                text += '\n\n';
+            } else if (TRAILING_HYPHEN.test(text) && /^[a-zß-ÿ]/.test(line.text)) {
+                if (!keepsHyphen(text, line.text, context)) text = text.slice(0, -1);
+            } else {
+                text += ' ';
+            }
+        }
+        text += line.text;
+    });
+    return text;
+};
+
+/**
+ * Rejoin words hyphenated across line breaks in plain text (e.g. OCR output)
+ * @param {string} text - Text with newline separated lines
+ * @returns {string} Text with "exam-\nple" joined to "example" and
+ *   "self-\naware" to "self-aware"
+ */
+export const rejoinHyphenation = (text) => (
+    text.replace(/([A-Za-zÀ-ɏ]+[-‐\u00AD])\n[^\S\n]*([a-zß-ÿ])/g, (match, before, after, offset) => (
+        keepsHyphen(before, text.slice(offset + match.length - 1), text) ? before + after : before.slice(0, -1) + after
+    ))
+);
+
+/**
+ * Create a stream that turns analysed pages into text
+ * Pages are released LOOKAHEAD pages late, so running headers and footers
+ * can be recognised by comparing each page with the pages around it, and
+ * words split across a page break can be joined. Pages no longer needed for
+ * the comparison are dropped.
+ * 
+ * @returns {{add: Function, end: Function}} add(page) and end() return the
+ *   texts of the pages released by that call, in page order. A page is a
+ *   PageLayout, or { text } for pages whose text came from elsewhere (OCR).
+ */
+export const createPageTextStream = () => {
+    const pages = [];
+    let released = 0;
+
+    /**
+     * Keys of the edge lines of a page, for comparison with its neighbours
+     */
+    const edgeKeys = (page) => new Set(
+        (page.lines || []).filter(line => line.edge).map(line => runningKey(line.text))
+    );
+
+    /**
+     * Turn the page at index into text, now that its neighbours are known
+     */
+    const release = (index) => {
+        const page = pages[index];
+        if (page.text !== undefined) return page.text;
+
+        const neighbourKeys = [];
+        for (let i = Math.max(0, index - LOOKAHEAD); i <= Math.min(pages.length - 1, index + LOOKAHEAD); i++) {
+            if (i !== index) neighbourKeys.push(edgeKeys(pages[i]));
+        }
+        const lines = page.lines.filter(line => (
+            !line.edge || !neighbourKeys.some(keys => keys.has(runningKey(line.text)))
+        ));
+        let text = linesToText(lines);
+        if (!text) return '';
+
+        // Separator towards the next page: the paragraph carries on unless
+        // this page ends a sentence
+        const next = pages[index + 1];
+        const nextLine = next && next.lines && next.lines.find(line => !line.edge);
+        if (!nextLine || LINE_SENTENCE_END.test(text)) return text + '\n\n';
+        if (TRAILING_HYPHEN.test(text) && /^[a-zß-ÿ]/.test(nextLine.text)) {
+            const context = `${text} ${next.lines.map(line => line.text).join(' ')}`;
+            return keepsHyphen(text, nextLine.text, context) ? text : text.slice(0, -1);
+        }
+        return text + ' ';
+    };
+
+    /**
+     * Turn the next page into text, now that its neighbours are known, and
+     * drop the page that falls out of the comparison window
+     */
+    const releaseNext = () => {
+        const text = release(released);
+        released += 1;
+        if (released > LOOKAHEAD) pages[released - LOOKAHEAD - 1] = null;
+        return text;
+    };
+
+    return {
+        add: (page) => {
+            pages.push(page);
+            const texts = [];
+            while (released < pages.length - LOOKAHEAD) {
+                texts.push(releaseNext());
+            }
+            return texts;
+        },
+        end: () => {
+            const texts = [];
+            while (released < pages.length) {
+                texts.push(releaseNext());
+            }
+            return texts;
+        },
+    };
+};
+
+export default {
+    analyzePage,
+    createPageTextStream,
+    rejoinHyphenation,
+};
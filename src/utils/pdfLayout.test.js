@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import { analyzePage, createPageTextStream, rejoinHyphenation } from './pdfLayout';
+
+// Letter-sized page box
+const VIEW = [0, 0, 600, 800];
+
+/**
+ * Hand-built pdf.js text item
+ */
+const item = (str, x, y, { size = 10, width = str.length * size * 0.5 } = {}) => ({
+    str,
+    transform: [size, 0, 0, size, x, y],
+    width,
+    height: size,
+});
+
+/**
+ * Items for lines of body text, one line every 12pt going down
+ */
+const bodyLines = (texts, { x = 50, top = 600, width } = {}) => (
+    texts.map((text, i) => item(text, x, top - i * 12, { width }))
+);
+
+/**
+ * Text of pages run through a page text stream
+ */
+const streamPages = (pages) => {
+    const stream = createPageTextStream();
+    const texts = pages.flatMap(page => stream.add(page));
+    return [...texts, ...stream.end()].join('');
+};
+
+describe('analyzePage', () => {
+    it('reads two columns one after the other', () => {
+        const items = [
+            ...bodyLines(['left one', 'left two', 'left three'], { x: 50, width: 200 }),
+            ...bodyLines(['right one', 'right two', 'right three'], { x: 320, width: 200 }),
+        ];
+        const { lines } = analyzePage(items, VIEW);
+
+        expect(lines.map(line => line.text)).toEqual([
+            'left one', 'left two', 'left three', 'right one', 'right two', 'right three',
+        ]);
+        expect(lines.map(line => line.column)).toEqual([0, 0, 0, 1, 1, 1]);
+    });
+
+    it('reads a full-width title before the columns below it', () => {
+        const items = [
+            item('A title running across both of the columns', 50, 640, { width: 470 }),
+            ...bodyLines(['left one', 'left two', 'left three'], { x: 50, width: 200 }),
+            ...bodyLines(['right one', 'right two', 'right three'], { x: 320, width: 200 }),
+        ];
+        const { lines } = analyzePage(items, VIEW);
+
+        expect(lines[0]).toMatchObject({ column: -1, paragraphStart: true });
+        expect(lines.slice(1).map(line => line.text)).toEqual([
+            'left one', 'left two', 'left three', 'right one', 'right two', 'right three',
+        ]);
+    });
+
+    it('joins the items of a line and drops footnote markers', () => {
+        const items = [
+            item('A claim', 50, 600, { width: 35 }),
+            item('1', 86, 604, { size: 6, width: 3 }),
+            item('with support.', 95, 600, { width: 65 }),
+        ];
+        expect(analyzePage(items, VIEW).lines.map(line => line.text)).toEqual(['A claim with support.']);
+    });
+
+    it('drops footnotes and page numbers', () => {
+        const body = ['Body text in the usual size, set', 'in lines that make up most of', 'the words on the page.'];
+        const items = [
+            ...bodyLines(body),
+            item('1 A footnote in small print', 50, 200, { size: 7 }),
+            item('that runs on.', 50, 192, { size: 7 }),
+            item('- 12 -', 290, 40),
+        ];
+        expect(analyzePage(items, VIEW).lines.map(line => line.text)).toEqual(body);
+    });
+
+    it('marks paragraph starts at larger gaps and indents', () => {
+        const items = [
+            item('First paragraph', 50, 600),
+            item('goes on.', 50, 588),
+            item('Second after a gap', 50, 560),
+            item('goes on', 50, 548),
+            item('Third indented', 70, 536),
+        ];
+        const { lines } = analyzePage(items, VIEW);
+        expect(lines.map(line => line.paragraphStart)).toEqual([true, false, true, false, true]);
+    });
+});
+
+describe('createPageTextStream', () => {
+    /**
+     * Page with a running header, a page number and body text
+     */
+    const page = (number, body, header = 'The Journal of Tests') => analyzePage([
+        item(`${header} ${number}`, 50, 760),
+        ...bodyLines(body),
+        item(String(number), 290, 40),
+    ], VIEW);
+
+    it('drops headers repeated on neighbouring pages', () => {
+        const text = streamPages([
+            page(1, ['Page one text.']),
+            page(2, ['Page two text.']),
+            page(3, ['Page three text.']),
+        ]);
+        expect(text).toBe('Page one text.\n\nPage two text.\n\nPage three text.\n\n');
+    });
+
+    it('keeps a header seen on one page only', () => {
+        expect(streamPages([page(1, ['Only page.'])])).toContain('The Journal of Tests 1');
+    });
+
+    it('joins paragraphs and hyphenated words across lines and pages', () => {
+        const text = streamPages([
+            page(1, ['An exam-', 'ple of a paragraph that', 'contin-']),
+            page(2, ['ues on the next page', 'and ends here.']),
+        ]);
+        expect(text).toBe('An example of a paragraph that continues on the next page and ends here.\n\n');
+    });
+
+    it('keeps the hyphen of compounds split across lines and pages', () => {
+        const text = streamPages([
+            page(1, ['A self-', 'aware and cloud-', 'based tool with state-of-the-art', 'parts that are state-']),
+            page(2, ['of-the-art.']),
+        ]);
+        expect(text).toBe('A self-aware and cloud-based tool with state-of-the-art parts that are state-of-the-art.\n\n');
+    });
+
+    it('releases pages once their neighbours are known', () => {
+        const stream = createPageTextStream();
+        expect(stream.add({ text: 'one ' })).toEqual([]);
+        expect(stream.add({ text: 'two ' })).toEqual([]);
+        expect(stream.add({ text: 'three ' })).toEqual(['one ']);
+        expect(stream.end()).toEqual(['two ', 'three ']);
+    });
+});
+
+describe('rejoinHyphenation', () => {
+    it('joins words broken across lines', () => {
+        expect(rejoinHyphenation('an exam-\nple and a soft­\n  ware')).toBe('an example and a software');
+    });
+
+    it('keeps the hyphen of compounds', () => {
+        expect(rejoinHyphenation('a self-\naware, cloud-\nbased app')).toBe('a self-aware, cloud-based app');
+        expect(rejoinHyphenation('an up-to-date copy, kept up-\nto-date')).toBe('an up-to-date copy, kept up-to-date');
+    });
+
+    it('leaves hyphens before capitals and at paragraph ends', () => {
+        expect(rejoinHyphenation('pre-\nWar and more-\n\nnext')).toBe('pre-\nWar and more-\n\nnext');
+    });
+});
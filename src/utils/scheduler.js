@@ -0,0 +1,194 @@
+/**
+ * Playback Scheduler
+ * 
+ * Drives frame-by-frame playback from a monotonic clock instead of chained
+ * timeouts. Each deadline is computed from the previous deadline rather than
+ * from when the timer happened to fire, so render time and timer clamping
+ * are made up on the next frame instead of adding up over a long read.
+ * Independent of React: the clock and frame functions can be swapped for
+ * fakes in tests.
+ * 
+ * Usage:
+ *   const scheduler = createScheduler({ onFrameEnd: () => getNextFrame() });
+ *   scheduler.start({ duration: 200, words: 1 });
+ *   scheduler.updateDuration(150);  // speed changed mid-word
+ *   scheduler.getStats();           // { measuredWpm, targetWpm, ... }
+ */
+
+// Lateness after which the schedule restarts from now instead of catching
+// up, e.g. when the tab was in the background
+const MAX_LAG = 1000;
+
+// Poll interval where requestAnimationFrame is unavailable
+const FALLBACK_FRAME = 4;
+
+/**
+ * Frame functions of the environment: animation frames in the browser,
+ * short timeouts elsewhere
+ */
+const getDefaultTimers = () => {
+    const now = () => performance.now();
+
+    if (typeof requestAnimationFrame === 'function') {
+        return {
+            now,
+            requestFrame: (callback) => requestAnimationFrame(callback),
+            cancelFrame: (id) => cancelAnimationFrame(id),
+        };
+    }
+
+    return {
+        now,
+        requestFrame: (callback) => setTimeout(callback, FALLBACK_FRAME),
+        cancelFrame: (id) => clearTimeout(id),
+    };
+};
+
+/**
+ * @typedef {Object} Frame
+ * @property {number} duration - How long the frame stays up, in milliseconds
+ * @property {number} [words=1] - Words shown in the frame, for the statistics
+ */
+
+/**
+ * Create a playback scheduler
+ * 
+ * @param {Object} options
+ * @param {Function} options.onFrameEnd - Called when a frame's time is up;
+ *   returns the next Frame, or null to stop
+ * @param {Function} [options.now] - Monotonic clock in milliseconds
+ * @param {Function} [options.requestFrame] - Schedules a callback, returns a handle
+ * @param {Function} [options.cancelFrame] - Cancels a handle from requestFrame
+ * @returns {Object} Scheduler with start, resume, stop, updateDuration,
+ *   isRunning and getStats
+ */
+export const createScheduler = ({ onFrameEnd, ...timers }) => {
+    const { now, requestFrame, cancelFrame } = { ...getDefaultTimers(), ...timers };
+
+    // Frame on screen: when it started and when it is due to end
+    let frame = null;
+    let handle = null;
+
+    // Completed frames since start, for measured vs. target speed
+    let stats = { words: 0, scheduledTime: 0, startTime: 0, lastTime: 0 };
+
+    const setFrame = (start, { duration, words = 1 }) => {
+        frame = { start, deadline: start + duration, words };
+    };
+
+    const tick = () => {
+        handle = null;
+        if (!frame) return;
+
+        const time = now();
+        if (time >= frame.deadline) {
+            stats.words += frame.words;
+            stats.scheduledTime += frame.deadline - frame.start;
+            stats.lastTime = time;
+
+            const lateness = time - frame.deadline;
+            const next = onFrameEnd();
+
+            // Stopped from the callback, or nothing left to show
+            if (!frame) return;
+            if (!next) {
+                frame = null;
+                return;
+            }
+
+            if (lateness > MAX_LAG) {
+                // Too far behind to catch up: leave the gap out of the statistics
+                stats.startTime += lateness;
+                setFrame(time, next);
+            } else {
+                // Anchor on the missed deadline so the next frame makes up the delay
+                setFrame(frame.deadline, next);
+            }
+        }
+
+        handle = requestFrame(tick);
+    };
+
+    /**
+     * Stop playback; the statistics stay readable
+     */
+    const stop = () => {
+        if (handle !== null) cancelFrame(handle);
+        handle = null;
+        frame = null;
+    };
+
+    /**
+     * Show a frame from now on, keeping the statistics
+     * @param {Frame} first - Frame on screen now
+     */
+    const resume = (first) => {
+        stop();
+        setFrame(now(), first);
+        handle = requestFrame(tick);
+    };
+
+    /**
+     * Start playback with fresh statistics
+     * @param {Frame} first - Frame on screen now
+     */
+    const start = (first) => {
+        const time = now();
+        stats = { words: 0, scheduledTime: 0, startTime: time, lastTime: time };
+        resume(first);
+    };
+
+    /**
+     * Change the current frame's duration, e.g. after a speed change
+     * The share of the frame already shown is kept, so a word half-way
+     * through stays half-way through at the new speed.
+     * 
+     * @param {number} duration - New duration of the current frame
+     */
+    const updateDuration = (duration) => {
+        if (!frame) return;
+
+        const time = now();
+        const length = frame.deadline - frame.start;
+        const shown = length > 0 ? Math.min(1, Math.max(0, (time - frame.start) / length)) : 1;
+
+        frame.start = time - shown * duration;
+        frame.deadline = frame.start + duration;
+    };
+
+    /**
+     * Whether a frame is on screen
+     * @returns {boolean}
+     */
+    const isRunning = () => frame !== null;
+
+    /**
+     * Speed statistics since the last start
+     * measuredWpm is what the reader actually saw, targetWpm what the frame
+     * durations asked for; they differ when frames end late.
+     * 
+     * @returns {{words: number, elapsed: number, measuredWpm: number, targetWpm: number}}
+     */
+    const getStats = () => {
+        const elapsed = stats.lastTime - stats.startTime;
+        return {
+            words: stats.words,
+            elapsed,
+            measuredWpm: elapsed > 0 ? (stats.words * 60000) / elapsed : 0,
+            targetWpm: stats.scheduledTime > 0 ? (stats.words * 60000) / stats.scheduledTime : 0,
+        };
+    };
+
+    return {
+        start,
+        resume,
+        stop,
+        updateDuration,
+        isRunning,
+        getStats,
+    };
+};
+
+export default {
+    createScheduler,
+};
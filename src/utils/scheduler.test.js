@@ -0,0 +1,151 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createScheduler } from './scheduler';
+
+/**
+ * Fake clock and frame functions; frames only run when time is advanced
+ */
+const createFakeTimers = () => {
+    let time = 0;
+    let nextId = 1;
+    const callbacks = new Map();
+
+    return {
+        now: () => time,
+        requestFrame: (callback) => {
+            callbacks.set(nextId, callback);
+            return nextId++;
+        },
+        cancelFrame: (id) => callbacks.delete(id),
+        advance: (ms) => {
+            time += ms;
+            const pending = [...callbacks.values()];
+            callbacks.clear();
+            pending.forEach(callback => callback());
+        },
+    };
+};
+
+/**
+ * Scheduler showing frames of a fixed duration until stopped
+ */
+const setup = (frame = { duration: 100, words: 1 }) => {
+    const timers = createFakeTimers();
+    const onFrameEnd = vi.fn(() => frame);
+    const scheduler = createScheduler({ onFrameEnd, ...timers });
+    return { timers, onFrameEnd, scheduler };
+};
+
+describe('createScheduler', () => {
+    it('ends a frame once its duration is up', () => {
+        const { timers, onFrameEnd, scheduler } = setup();
+        scheduler.start({ duration: 100 });
+
+        timers.advance(99);
+        expect(onFrameEnd).not.toHaveBeenCalled();
+        timers.advance(1);
+        expect(onFrameEnd).toHaveBeenCalledTimes(1);
+    });
+
+    it('makes up a late frame on the next one', () => {
+        const { timers, onFrameEnd, scheduler } = setup();
+        scheduler.start({ duration: 100 });
+
+        // Ends 30ms late; the next deadline stays at 200, not 230
+        timers.advance(130);
+        expect(onFrameEnd).toHaveBeenCalledTimes(1);
+        timers.advance(69);
+        expect(onFrameEnd).toHaveBeenCalledTimes(1);
+        timers.advance(1);
+        expect(onFrameEnd).toHaveBeenCalledTimes(2);
+    });
+
+    it('restarts from now when too far behind to catch up', () => {
+        const { timers, onFrameEnd, scheduler } = setup();
+        scheduler.start({ duration: 100 });
+
+        // 1500ms late, e.g. a background tab: the next frame runs a full 100ms
+        timers.advance(1600);
+        expect(onFrameEnd).toHaveBeenCalledTimes(1);
+        timers.advance(99);
+        expect(onFrameEnd).toHaveBeenCalledTimes(1);
+        timers.advance(1);
+        expect(onFrameEnd).toHaveBeenCalledTimes(2);
+
+        // The gap is left out of the measured speed
+        expect(scheduler.getStats()).toMatchObject({ words: 2, elapsed: 200, measuredWpm: 600, targetWpm: 600 });
+    });
+
+    it('keeps the share of the frame shown when the duration changes', () => {
+        const { timers, onFrameEnd, scheduler } = setup();
+        scheduler.start({ duration: 200 });
+
+        // Half-way through, the speed doubles: half of the new 100ms is left
+        timers.advance(100);
+        scheduler.updateDuration(100);
+        timers.advance(49);
+        expect(onFrameEnd).not.toHaveBeenCalled();
+        timers.advance(1);
+        expect(onFrameEnd).toHaveBeenCalledTimes(1);
+    });
+
+    it('ignores duration changes while stopped', () => {
+        const { scheduler } = setup();
+        scheduler.updateDuration(100);
+        expect(scheduler.isRunning()).toBe(false);
+    });
+
+    it('reports the measured and target speed', () => {
+        const { timers, scheduler } = setup({ duration: 100, words: 2 });
+        scheduler.start({ duration: 100, words: 2 });
+
+        // Three frames of two words, the last ending 20ms late
+        timers.advance(100);
+        timers.advance(100);
+        timers.advance(120);
+
+        expect(scheduler.getStats()).toEqual({
+            words: 6,
+            elapsed: 320,
+            measuredWpm: (6 * 60000) / 320,
+            targetWpm: (6 * 60000) / 300,
+        });
+    });
+
+    it('starts the statistics over on start but not on resume', () => {
+        const { timers, scheduler } = setup();
+        scheduler.start({ duration: 100 });
+        timers.advance(100);
+
+        scheduler.resume({ duration: 100 });
+        timers.advance(100);
+        expect(scheduler.getStats().words).toBe(2);
+
+        scheduler.start({ duration: 100 });
+        expect(scheduler.getStats()).toEqual({ words: 0, elapsed: 0, measuredWpm: 0, targetWpm: 0 });
+    });
+
+    it('stops when there is no next frame', () => {
+        const { timers, onFrameEnd, scheduler } = setup();
+        onFrameEnd.mockReturnValueOnce(null);
+        scheduler.start({ duration: 100 });
+
+        timers.advance(100);
+        expect(scheduler.isRunning()).toBe(false);
+        timers.advance(100);
+        expect(onFrameEnd).toHaveBeenCalledTimes(1);
+    });
+
+    it('stops when stopped from the frame callback', () => {
+        const { timers, onFrameEnd, scheduler } = setup();
+        onFrameEnd.mockImplementationOnce(() => {
+            scheduler.stop();
+            return { duration: 100 };
+        });
+        scheduler.start({ duration: 100 });
+
+        timers.advance(100);
+        expect(scheduler.isRunning()).toBe(false);
+        timers.advance(100);
+        expect(onFrameEnd).toHaveBeenCalledTimes(1);
+    });
+});
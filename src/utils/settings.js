@@ -0,0 +1,204 @@
+/**
+ * Settings Utility
+ * 
+ * Persists reader preferences in localStorage under a versioned schema.
+ * Stored settings are migrated forward when the schema version changes and
+ * validated against SETTINGS_SCHEMA, so corrupt or foreign values fall back
+ * to defaults instead of breaking the app.
+ * 
+ * Usage:
+ *   import { loadSettings, saveSettings } from './utils/settings';
+ *   const settings = loadSettings();
+ *   saveSettings({ ...settings, wpm: 450 });
+ */
+
+import { PIVOT_STRATEGIES } from './tokenizer';
+import { FONT_FAMILIES } from './typography';
+import logger from './logger';
+
+export const STORAGE_KEY = 'warp-settings';
+export const SETTINGS_VERSION = 1;
+
+/**
+ * Schema for every persisted preference
+ * type: expected typeof, min/max: numeric clamp, integer: round to whole
+ * numbers, values: allowed options, pattern: required string format
+ */
+export const SETTINGS_SCHEMA = {
+    wpm: { type: 'number', default: 300, min: 100, max: 1000 },
+    theme: { type: 'string', default: 'default' },
+    variableTiming: { type: 'boolean', default: true },
+    ocr: { type: 'boolean', default: true },
+    chunkSize: { type: 'number', default: 1, min: 1, max: 4, integer: true },
+    // Words to warm up over after play, 0 starts at full speed
+    rampWords: { type: 'number', default: 0, min: 0, max: 500, integer: true },
+    // Paragraphs between comprehension checkpoints, 0 for none
+    checkpointEvery: { type: 'number', default: 0, min: 0, max: 50, integer: true },
+    checkpointChapters: { type: 'boolean', default: false },
+    // Read the text aloud; the voice sets the pace instead of the WPM
+    narration: { type: 'boolean', default: false },
+    // Voice id, empty for the system default
+    narrationVoice: { type: 'string', default: '' },
+    narrationRate: { type: 'number', default: 1, min: 0.5, max: 3 },
+    narrationPitch: { type: 'number', default: 1, min: 0, max: 2 },
+    pivotStrategy: { type: 'string', default: 'table', values: PIVOT_STRATEGIES },
+    fontFamily: { type: 'string', default: 'mono', values: Object.keys(FONT_FAMILIES) },
+    fontSize: { type: 'number', default: 3.5, min: 2, max: 6 },
+    letterSpacing: { type: 'number', default: -0.05, min: -0.1, max: 0.3 },
+    // Empty means the theme's pivot colour
+    pivotColor: { type: 'string', default: '', pattern: /^(#[0-9a-f]{6})?$/i },
+    showMarkers: { type: 'boolean', default: true },
+};
+
+/**
+ * Default values for all settings
+ */
+export const DEFAULT_SETTINGS = Object.fromEntries(
+    Object.entries(SETTINGS_SCHEMA).map(([key, rule]) => [key, rule.default])
+);
+
+/**
+ * Migrations keyed by the version they upgrade TO
+ * Each receives the settings object of the previous version. Version 1 is
+ * the first stored schema, so there is nothing to migrate yet.
+ */
+const MIGRATIONS = {};
+
+/**
+ * Validate a single value against its schema rule
+ * 
+ * @param {Object} rule - Entry from SETTINGS_SCHEMA
+ * @param {any} value - Candidate value
+ * @returns {any} The value (clamped if numeric) or the rule default
+ */
+const validateValue = (rule, value) => {
+    if (typeof value !== rule.type) return rule.default;
+    if (rule.type === 'number') {
+        if (!Number.isFinite(value)) return rule.default;
+        const number = rule.integer ? Math.round(value) : value;
+        return Math.min(rule.max ?? number, Math.max(rule.min ?? number, number));
+    }
+    if (rule.values && !rule.values.includes(value)) return rule.default;
+    if (rule.pattern && !rule.pattern.test(value)) return rule.default;
+    return value;
+};
+
+/**
+ * Fill in defaults and drop unknown or invalid values
+ * 
+ * @param {Object} raw - Possibly partial or invalid settings
+ * @returns {Object} Complete, valid settings
+ */
+export const normalizeSettings = (raw = {}) => {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    return Object.fromEntries(
+        Object.entries(SETTINGS_SCHEMA).map(([key, rule]) => [key, validateValue(rule, source[key])])
+    );
+};
+
+/**
+ * Upgrade a stored payload to the current schema version
+ * 
+ * @param {Object} payload - { version, settings } as written by saveSettings
+ * @returns {Object} Complete, valid settings for SETTINGS_VERSION, the
+ *   defaults if the payload holds no settings
+ * @throws {Error} If the payload comes from an unknown version
+ */
+export const migrateSettings = (payload) => {
+    if (!payload || typeof payload.version !== 'number' || !payload.settings) {
+        return { ...DEFAULT_SETTINGS };
+    }
+
+    let { version, settings } = payload;
+    if (version > SETTINGS_VERSION) {
+        throw new Error(`Settings version ${version} is newer than supported (${SETTINGS_VERSION})`);
+    }
+    if (version < 1) {
+        throw new Error(`Unknown settings version ${version}`);
+    }
+
+    while (version < SETTINGS_VERSION) {
+        version++;
+        settings = MIGRATIONS[version](settings);
+        logger.log('Settings migrated to version', version);
+    }
+
+    return normalizeSettings(settings);
+};
+
+/**
+ * Load settings from localStorage
+ * Falls back to defaults if storage is unavailable or the data is unreadable.
+ * 
+ * @returns {Object} Complete, valid settings
+ */
+export const loadSettings = () => {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (!stored) return { ...DEFAULT_SETTINGS };
+        return migrateSettings(JSON.parse(stored));
+    } catch (err) {
+        logger.warn('Settings load failed, using defaults:', err.message);
+        return { ...DEFAULT_SETTINGS };
+    }
+};
+
+/**
+ * Save settings to localStorage
+ * @param {Object} settings - Settings to persist
+ */
+export const saveSettings = (settings) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({
+            version: SETTINGS_VERSION,
+            settings: normalizeSettings(settings),
+        }));
+    } catch (err) {
+        logger.warn('Settings save failed:', err.message);
+    }
+};
+
+/**
+ * Serialize settings for sharing
+ * @param {Object} settings - Settings to export
+ * @returns {string} Pretty-printed JSON document
+ */
+export const exportSettings = (settings) => {
+    return JSON.stringify({
+        app: 'warp-reader',
+        version: SETTINGS_VERSION,
+        settings: normalizeSettings(settings),
+    }, null, 2);
+};
+
+/**
+ * Parse and validate an exported settings document
+ * 
+ * @param {string} json - JSON produced by exportSettings
+ * @returns {Object} Complete, valid settings
+ * @throws {Error} If the JSON is malformed or not a settings export
+ */
+export const importSettings = (json) => {
+    let payload;
+    try {
+        payload = JSON.parse(json);
+    } catch {
+        throw new Error('Settings file is not valid JSON');
+    }
+
+    if (!payload || typeof payload !== 'object' || typeof payload.version !== 'number'
+        || !payload.settings || typeof payload.settings !== 'object') {
+        throw new Error('File does not contain Warp settings');
+    }
+
+    return migrateSettings(payload);
+};
+
+export default {
+    loadSettings,
+    saveSettings,
+    exportSettings,
+    importSettings,
+    migrateSettings,
+    normalizeSettings,
+};
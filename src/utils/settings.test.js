@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    STORAGE_KEY,
+    SETTINGS_VERSION,
+    SETTINGS_SCHEMA,
+    DEFAULT_SETTINGS,
+    normalizeSettings,
+    migrateSettings,
+    loadSettings,
+    saveSettings,
+    exportSettings,
+    importSettings,
+} from './settings';
+
+/**
+ * In-memory stand-in for localStorage
+ */
+const createStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+    };
+};
+
+describe('normalizeSettings', () => {
+    it('uses the schema defaults for missing settings', () => {
+        Object.entries(SETTINGS_SCHEMA).forEach(([key, rule]) => expect(DEFAULT_SETTINGS[key]).toBe(rule.default));
+        expect(normalizeSettings()).toEqual(DEFAULT_SETTINGS);
+        expect(normalizeSettings(null)).toEqual(DEFAULT_SETTINGS);
+        expect(normalizeSettings('fast')).toEqual(DEFAULT_SETTINGS);
+    });
+
+    it('keeps valid values and drops unknown keys', () => {
+        const settings = normalizeSettings({ wpm: 450, theme: 'paper', variableTiming: false, unknown: 1 });
+        expect(settings).toEqual({ ...DEFAULT_SETTINGS, wpm: 450, theme: 'paper', variableTiming: false });
+    });
+
+    it('replaces values of the wrong type with the default', () => {
+        const settings = normalizeSettings({ wpm: '450', theme: 3, variableTiming: 'no' });
+        expect(settings).toEqual(DEFAULT_SETTINGS);
+    });
+
+    it('clamps numbers to their range and rejects non-finite ones', () => {
+        expect(normalizeSettings({ wpm: 20 }).wpm).toBe(SETTINGS_SCHEMA.wpm.min);
+        expect(normalizeSettings({ wpm: 5000 }).wpm).toBe(SETTINGS_SCHEMA.wpm.max);
+        expect(normalizeSettings({ wpm: NaN }).wpm).toBe(SETTINGS_SCHEMA.wpm.default);
+        expect(normalizeSettings({ wpm: Infinity }).wpm).toBe(SETTINGS_SCHEMA.wpm.default);
+    });
+});
+
+describe('migrateSettings', () => {
+    it('normalizes settings of the current version', () => {
+        const settings = migrateSettings({ version: SETTINGS_VERSION, settings: { wpm: 5000 } });
+        expect(settings).toEqual({ ...DEFAULT_SETTINGS, wpm: SETTINGS_SCHEMA.wpm.max });
+    });
+
+    it('uses the defaults for payloads without stored settings', () => {
+        expect(migrateSettings(null)).toEqual(DEFAULT_SETTINGS);
+        expect(migrateSettings({ wpm: 450 })).toEqual(DEFAULT_SETTINGS);
+        expect(migrateSettings({ version: SETTINGS_VERSION })).toEqual(DEFAULT_SETTINGS);
+    });
+
+    it('rejects unknown versions', () => {
+        expect(() => migrateSettings({ version: SETTINGS_VERSION + 1, settings: {} })).toThrow(/newer/);
+        expect(() => migrateSettings({ version: 0, settings: {} })).toThrow(/Unknown settings version/);
+    });
+});
+
+describe('loadSettings and saveSettings', () => {
+    beforeEach(() => {
+        vi.stubGlobal('localStorage', createStorage());
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('loads the defaults when nothing is stored', () => {
+        expect(loadSettings()).toEqual(DEFAULT_SETTINGS);
+    });
+
+    it('loads what was saved', () => {
+        saveSettings({ ...DEFAULT_SETTINGS, wpm: 520 });
+        expect(JSON.parse(localStorage.getItem(STORAGE_KEY)).version).toBe(SETTINGS_VERSION);
+        expect(loadSettings()).toEqual({ ...DEFAULT_SETTINGS, wpm: 520 });
+    });
+
+    it('loads the defaults when the stored data is unreadable', () => {
+        localStorage.setItem(STORAGE_KEY, '{broken');
+        expect(loadSettings()).toEqual(DEFAULT_SETTINGS);
+
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SETTINGS_VERSION + 1, settings: {} }));
+        expect(loadSettings()).toEqual(DEFAULT_SETTINGS);
+    });
+
+    it('loads the defaults when storage is unavailable', () => {
+        vi.stubGlobal('localStorage', {
+            getItem: () => {
+                throw new Error('denied');
+            },
+        });
+        expect(loadSettings()).toEqual(DEFAULT_SETTINGS);
+    });
+});
+
+describe('exportSettings and importSettings', () => {
+    it('imports what was exported', () => {
+        const settings = { ...DEFAULT_SETTINGS, wpm: 640, variableTiming: false };
+        const json = exportSettings(settings);
+
+        expect(JSON.parse(json)).toMatchObject({ app: 'warp-reader', version: SETTINGS_VERSION });
+        expect(importSettings(json)).toEqual(settings);
+    });
+
+    it('validates imported values', () => {
+        const json = JSON.stringify({ version: SETTINGS_VERSION, settings: { wpm: 20, theme: false } });
+        expect(importSettings(json)).toEqual({ ...DEFAULT_SETTINGS, wpm: SETTINGS_SCHEMA.wpm.min });
+    });
+
+    it('rejects files that are not settings exports', () => {
+        expect(() => importSettings('not json')).toThrow('Settings file is not valid JSON');
+        expect(() => importSettings('null')).toThrow('File does not contain Warp settings');
+        expect(() => importSettings(JSON.stringify({ version: SETTINGS_VERSION }))).toThrow('File does not contain Warp settings');
+        expect(() => importSettings(JSON.stringify({ settings: { wpm: 400 } }))).toThrow('File does not contain Warp settings');
+        expect(() => importSettings(JSON.stringify({ version: SETTINGS_VERSION + 1, settings: {} }))).toThrow(/newer/);
+    });
+});
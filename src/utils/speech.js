@@ -0,0 +1,190 @@
+/**
+ * Speech Utility
+ * 
+ * Narration through the Web Speech API. The browser's speechSynthesis is
+ * wrapped in a small engine interface (speak, cancel, voices) so the reader
+ * never touches it directly and a fake engine can be swapped in for tests.
+ * Text is spoken a sentence at a time; word boundary events report character
+ * offsets, which are mapped back to token indices to move the display along
+ * with the voice.
+ * 
+ * Usage:
+ *   import { speechEngine, findNarrationEnd, buildNarration, findTokenAtChar } from './utils/speech';
+ *   const narration = buildNarration(tokens, start, findNarrationEnd(tokens, start));
+ *   speechEngine.speak({ text: narration.text, onBoundary: (char) => show(findTokenAtChar(narration, char)) });
+ */
+
+import logger from './logger';
+
+// Longest utterance in words; some voices stop speaking after ~15 seconds
+const MAX_UTTERANCE_WORDS = 40;
+
+// Errors reported for utterances that were cancelled on purpose
+const CANCEL_ERRORS = ['interrupted', 'canceled'];
+
+/**
+ * @typedef {Object} Voice
+ * @property {string} id - Voice URI, stored in the settings
+ * @property {string} name - Display name
+ * @property {string} lang - BCP 47 language tag
+ * @property {boolean} isDefault - Whether the system uses it by default
+ */
+
+/**
+ * @typedef {Object} SpeechEngine
+ * @property {boolean} isSupported - Whether speech is available
+ * @property {Function} getVoices - Returns the installed Voices
+ * @property {Function} onVoicesChanged - Subscribes to voice list changes, returns an unsubscribe function
+ * @property {Function} speak - Speaks an utterance ({ text, voice, rate, pitch, onBoundary, onEnd, onError }),
+ *   replacing any utterance still being spoken
+ * @property {Function} cancel - Stops speaking
+ */
+
+/**
+ * Create a speech engine backed by the Web Speech API
+ * 
+ * @param {Object} [api] - Speech API of the environment, the browser's by default
+ * @param {SpeechSynthesis} [api.synth] - Speech synthesis controller
+ * @param {Function} [api.Utterance] - SpeechSynthesisUtterance constructor
+ * @returns {SpeechEngine} Engine, unsupported where the API is missing
+ */
+export const createSpeechEngine = ({
+    synth = globalThis.speechSynthesis,
+    Utterance = globalThis.SpeechSynthesisUtterance,
+} = {}) => {
+    const isSupported = Boolean(synth && Utterance);
+
+    // Utterance being spoken; some browsers drop its events once it is
+    // garbage collected, so a reference is kept until it ends
+    let current = null;
+
+    const getVoices = () => (isSupported ? synth.getVoices() : []).map(voice => ({
+        id: voice.voiceURI,
+        name: voice.name,
+        lang: voice.lang,
+        isDefault: voice.default,
+    }));
+
+    const onVoicesChanged = (callback) => {
+        if (!isSupported) return () => {};
+        synth.addEventListener('voiceschanged', callback);
+        return () => synth.removeEventListener('voiceschanged', callback);
+    };
+
+    const cancel = () => {
+        current = null;
+        if (isSupported) synth.cancel();
+    };
+
+    const speak = ({ text, voice = '', rate = 1, pitch = 1, onBoundary, onEnd, onError }) => {
+        if (!isSupported) {
+            onError?.('not-supported');
+            return;
+        }
+        cancel();
+
+        const utterance = new Utterance(text);
+        const selected = voice && synth.getVoices().find(v => v.voiceURI === voice);
+        if (selected) {
+            utterance.voice = selected;
+            utterance.lang = selected.lang;
+        }
+        utterance.rate = rate;
+        utterance.pitch = pitch;
+
+        // Only word boundaries move the display (some voices omit the name)
+        utterance.onboundary = (e) => {
+            if (current === utterance && (!e.name || e.name === 'word')) onBoundary?.(e.charIndex);
+        };
+        utterance.onend = () => {
+            if (current !== utterance) return;
+            current = null;
+            onEnd?.();
+        };
+        utterance.onerror = (e) => {
+            if (current !== utterance || CANCEL_ERRORS.includes(e.error)) return;
+            current = null;
+            logger.warn('Speech failed:', e.error);
+            onError?.(e.error);
+        };
+
+        current = utterance;
+        synth.speak(utterance);
+    };
+
+    return {
+        isSupported,
+        getVoices,
+        onVoicesChanged,
+        speak,
+        cancel,
+    };
+};
+
+/**
+ * Engine for the browser this runs in
+ */
+export const speechEngine = createSpeechEngine();
+
+/**
+ * Find where the utterance starting at a token should end
+ * Utterances run to the end of the sentence, split if it is very long.
+ * 
+ * @param {Token[]} tokens - Token sequence
+ * @param {number} start - First token of the utterance
+ * @returns {number} Token after the utterance
+ */
+export const findNarrationEnd = (tokens, start) => {
+    const limit = Math.min(tokens.length, start + MAX_UTTERANCE_WORDS);
+    let end = start + 1;
+    while (end < limit && tokens[end].sentence === tokens[start].sentence) end++;
+    return end;
+};
+
+/**
+ * Build the text of an utterance and where each token starts in it
+ * 
+ * @param {Token[]} tokens - Token sequence
+ * @param {number} start - First token
+ * @param {number} end - Token after the last
+ * @returns {{text: string, offsets: number[], start: number, end: number}} Narration
+ */
+export const buildNarration = (tokens, start, end) => {
+    const offsets = [];
+    let text = '';
+    for (let i = start; i < end; i++) {
+        if (i > start) text += ' ';
+        offsets.push(text.length);
+        text += tokens[i].text;
+    }
+    return { text, offsets, start, end };
+};
+
+/**
+ * Token being spoken at a character offset of an utterance
+ * 
+ * @param {{offsets: number[], start: number}} narration - From buildNarration
+ * @param {number} charIndex - Offset reported by a boundary event
+ * @returns {number} Token index
+ */
+export const findTokenAtChar = ({ offsets, start }, charIndex) => {
+    let low = 0;
+    let high = offsets.length - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (offsets[mid] <= charIndex) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return start + low;
+};
+
+export default {
+    createSpeechEngine,
+    speechEngine,
+    findNarrationEnd,
+    buildNarration,
+    findTokenAtChar,
+};
@@ -0,0 +1,153 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createSpeechEngine, buildNarration, findTokenAtChar } from './speech';
+import { tokensFromWords } from './tokenizer';
+
+const VOICES = [
+    { voiceURI: 'en-gb', name: 'British', lang: 'en-GB', default: false },
+    { voiceURI: 'en-us', name: 'American', lang: 'en-US', default: true },
+];
+
+/**
+ * Stub of the Web Speech API recording what is spoken
+ */
+const createStubApi = () => {
+    const listeners = new Set();
+    const synth = {
+        spoken: [],
+        getVoices: () => VOICES,
+        speak: vi.fn((utterance) => synth.spoken.push(utterance)),
+        cancel: vi.fn(),
+        addEventListener: (type, callback) => listeners.add(callback),
+        removeEventListener: (type, callback) => listeners.delete(callback),
+        changeVoices: () => listeners.forEach(callback => callback()),
+    };
+
+    class Utterance {
+        constructor(text) {
+            this.text = text;
+        }
+    }
+
+    return { synth, Utterance };
+};
+
+describe('createSpeechEngine', () => {
+    it('is unsupported without the speech API', () => {
+        const engine = createSpeechEngine({ synth: null, Utterance: null });
+        const onError = vi.fn();
+
+        expect(engine.isSupported).toBe(false);
+        expect(engine.getVoices()).toEqual([]);
+        engine.speak({ text: 'hello', onError });
+        expect(onError).toHaveBeenCalledWith('not-supported');
+    });
+
+    it('lists the voices', () => {
+        const engine = createSpeechEngine(createStubApi());
+        expect(engine.getVoices()).toEqual([
+            { id: 'en-gb', name: 'British', lang: 'en-GB', isDefault: false },
+            { id: 'en-us', name: 'American', lang: 'en-US', isDefault: true },
+        ]);
+    });
+
+    it('reports voice changes until unsubscribed', () => {
+        const api = createStubApi();
+        const engine = createSpeechEngine(api);
+        const onChange = vi.fn();
+
+        const unsubscribe = engine.onVoicesChanged(onChange);
+        api.synth.changeVoices();
+        unsubscribe();
+        api.synth.changeVoices();
+        expect(onChange).toHaveBeenCalledTimes(1);
+    });
+
+    it('speaks with the chosen voice, rate and pitch', () => {
+        const api = createStubApi();
+        const engine = createSpeechEngine(api);
+        engine.speak({ text: 'hello there', voice: 'en-gb', rate: 1.5, pitch: 0.8 });
+
+        const [utterance] = api.synth.spoken;
+        expect(utterance.text).toBe('hello there');
+        expect(utterance.voice).toBe(VOICES[0]);
+        expect(utterance.lang).toBe('en-GB');
+        expect(utterance.rate).toBe(1.5);
+        expect(utterance.pitch).toBe(0.8);
+    });
+
+    it('keeps the system voice for an unknown voice id', () => {
+        const api = createStubApi();
+        createSpeechEngine(api).speak({ text: 'hello', voice: 'missing' });
+        expect(api.synth.spoken[0].voice).toBeUndefined();
+    });
+
+    it('reports word boundaries and the end', () => {
+        const api = createStubApi();
+        const onBoundary = vi.fn();
+        const onEnd = vi.fn();
+        createSpeechEngine(api).speak({ text: 'hello there', onBoundary, onEnd });
+
+        const [utterance] = api.synth.spoken;
+        utterance.onboundary({ name: 'word', charIndex: 6 });
+        utterance.onboundary({ name: 'sentence', charIndex: 0 });
+        utterance.onboundary({ charIndex: 0 });
+        utterance.onend();
+
+        expect(onBoundary.mock.calls).toEqual([[6], [0]]);
+        expect(onEnd).toHaveBeenCalledTimes(1);
+    });
+
+    it('ignores the events of a replaced utterance', () => {
+        const api = createStubApi();
+        const engine = createSpeechEngine(api);
+        const first = { onBoundary: vi.fn(), onEnd: vi.fn(), onError: vi.fn() };
+        engine.speak({ text: 'first', ...first });
+        engine.speak({ text: 'second' });
+
+        const [replaced] = api.synth.spoken;
+        replaced.onboundary({ name: 'word', charIndex: 0 });
+        replaced.onerror({ error: 'synthesis-failed' });
+        replaced.onend();
+
+        expect(api.synth.cancel).toHaveBeenCalledTimes(2);
+        expect(first.onBoundary).not.toHaveBeenCalled();
+        expect(first.onError).not.toHaveBeenCalled();
+        expect(first.onEnd).not.toHaveBeenCalled();
+    });
+
+    it('reports errors, except for cancelled utterances', () => {
+        const api = createStubApi();
+        const engine = createSpeechEngine(api);
+        const onError = vi.fn();
+
+        engine.speak({ text: 'hello', onError });
+        api.synth.spoken[0].onerror({ error: 'interrupted' });
+        expect(onError).not.toHaveBeenCalled();
+
+        api.synth.spoken[0].onerror({ error: 'synthesis-failed' });
+        expect(onError).toHaveBeenCalledWith('synthesis-failed');
+    });
+
+    it('stops reporting events once cancelled', () => {
+        const api = createStubApi();
+        const engine = createSpeechEngine(api);
+        const onEnd = vi.fn();
+
+        engine.speak({ text: 'hello', onEnd });
+        engine.cancel();
+        api.synth.spoken[0].onend();
+        expect(onEnd).not.toHaveBeenCalled();
+    });
+});
+
+describe('narration offsets', () => {
+    it('maps boundary offsets back to tokens', () => {
+        const tokens = tokensFromWords(['one', 'two', 'three.', 'four']);
+        const narration = buildNarration(tokens, 1, 3);
+
+        expect(narration.text).toBe('two three.');
+        expect(findTokenAtChar(narration, 0)).toBe(1);
+        expect(findTokenAtChar(narration, 4)).toBe(2);
+        expect(findTokenAtChar(narration, 9)).toBe(2);
+    });
+});
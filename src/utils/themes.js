@@ -0,0 +1,364 @@
+/**
+ * Themes Utility
+ * 
+ * Registry of colour themes. A theme is plain data: a name, a header icon
+ * and a value for every CSS variable in THEME_VARIABLES. Built-in themes
+ * ship with the app; custom themes made in the theme editor are stored in
+ * localStorage and can be shared as JSON files. The active theme is applied
+ * as inline custom properties on the root element. The "auto" choice follows
+ * the system colour scheme and contrast preference.
+ * 
+ * Usage:
+ *   import { BUILT_IN_THEMES, applyTheme, importTheme } from './utils/themes';
+ *   applyTheme(BUILT_IN_THEMES[0]);
+ *   const theme = importTheme(jsonText);
+ */
+
+import logger from './logger';
+
+export const THEMES_STORAGE_KEY = 'warp-themes';
+
+// Version of the exported theme file format
+export const THEME_FORMAT_VERSION = 1;
+
+/**
+ * Every CSS variable a theme defines, in editor order
+ * type 'color' values are #rrggbb hex, 'text' values are any CSS value.
+ */
+export const THEME_VARIABLES = [
+    { name: '--primary', label: 'Primary', type: 'color' },
+    { name: '--accent', label: 'Accent', type: 'color' },
+    { name: '--bg-dark', label: 'Background', type: 'color' },
+    { name: '--panel-bg', label: 'Panels', type: 'color' },
+    { name: '--btn-inactive', label: 'Buttons', type: 'color' },
+    { name: '--text-main', label: 'Text', type: 'color' },
+    { name: '--text-dim', label: 'Dim text', type: 'color' },
+    { name: '--slogan-color', label: 'Slogan', type: 'color' },
+    { name: '--finish-glow', label: 'Finish glow', type: 'color' },
+    { name: '--ready-text', label: 'Ready button text', type: 'color' },
+    { name: '--ready-bg', label: 'Ready button fill', type: 'text' },
+    { name: '--ready-border', label: 'Ready button border', type: 'text' },
+    { name: '--version-border', label: 'Badge border', type: 'text' },
+    { name: '--pivot-shadow', label: 'Pivot glow', type: 'text' },
+    { name: '--pivot-weight', label: 'Pivot weight', type: 'text' },
+    { name: '--marker-opacity', label: 'Marker opacity', type: 'text' },
+    { name: '--ambience-opacity', label: 'Background glow', type: 'text' },
+];
+
+// A colour variable value
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Longest accepted value of a text variable
+const MAX_VALUE_LENGTH = 120;
+
+/**
+ * @typedef {Object} Theme
+ * @property {string} id - Unique id ('default', 'cyber', 'mono' or 'custom-...')
+ * @property {string} name - Display name
+ * @property {string} icon - Font Awesome icon class for the header button
+ * @property {boolean} [builtIn] - Shipped with the app, cannot be changed
+ * @property {boolean} [highContrast] - Also raise the contrast of fixed greys and borders
+ * @property {Object<string, string>} variables - CSS variable values
+ */
+
+/**
+ * Themes shipped with the app; the first one is the default
+ * @type {Theme[]}
+ */
+export const BUILT_IN_THEMES = [
+    {
+        // Vapor - Acid Lime/Red
+        id: 'default',
+        name: 'Vapor',
+        icon: 'fa-bolt',
+        builtIn: true,
+        variables: {
+            '--primary': '#ccff00',
+            '--accent': '#ff003c',
+            '--bg-dark': '#050505',
+            '--panel-bg': '#111111',
+            '--btn-inactive': '#1a1a1a',
+            '--text-main': '#f1f5f9',
+            '--text-dim': '#94a3b8',
+            '--slogan-color': '#94a3b8',
+            '--finish-glow': '#ffffff',
+            '--ready-text': '#ccff00',
+            '--ready-bg': 'rgba(204, 255, 0, 0.05)',
+            '--ready-border': 'rgba(204, 255, 0, 0.4)',
+            '--version-border': 'rgba(255, 255, 255, 0.1)',
+            '--pivot-shadow': '0 0 15px rgba(255, 0, 60, 0.4)',
+            '--pivot-weight': '700',
+            '--marker-opacity': '0.4',
+            '--ambience-opacity': '0.3',
+        },
+    },
+    {
+        // Cyber Blue - Cyan/Magenta
+        id: 'cyber',
+        name: 'Cyber Blue',
+        icon: 'fa-microchip',
+        builtIn: true,
+        variables: {
+            '--primary': '#00f2ff',
+            '--accent': '#ff00e1',
+            '--bg-dark': '#020617',
+            '--panel-bg': '#0f172a',
+            '--btn-inactive': '#1e293b',
+            '--text-main': '#f8fafc',
+            '--text-dim': '#94e2ff',
+            '--slogan-color': '#94e2ff',
+            '--finish-glow': '#ffffff',
+            '--ready-text': '#00f2ff',
+            '--ready-bg': 'rgba(0, 242, 255, 0.05)',
+            '--ready-border': 'rgba(0, 242, 255, 0.4)',
+            '--version-border': 'rgba(0, 242, 255, 0.2)',
+            '--pivot-shadow': '0 0 15px rgba(0, 242, 255, 0.5)',
+            '--pivot-weight': '700',
+            '--marker-opacity': '0.4',
+            '--ambience-opacity': '0.3',
+        },
+    },
+    {
+        // Monochrome - Black/White, no background glow
+        id: 'mono',
+        name: 'Monochrome',
+        icon: 'fa-layer-group',
+        builtIn: true,
+        variables: {
+            '--primary': '#000000',
+            '--accent': '#000000',
+            '--bg-dark': '#f5f5f5',
+            '--panel-bg': '#ffffff',
+            '--btn-inactive': '#e5e5e5',
+            '--text-main': '#171717',
+            '--text-dim': '#737373',
+            '--slogan-color': '#737373',
+            '--finish-glow': '#a3a3a3',
+            '--ready-text': '#ffffff',
+            '--ready-bg': '#000000',
+            '--ready-border': '#000000',
+            '--version-border': 'rgba(0, 0, 0, 0.1)',
+            '--pivot-shadow': 'none',
+            '--pivot-weight': '900',
+            '--marker-opacity': '0.8',
+            '--ambience-opacity': '0',
+        },
+    },
+    {
+        // High Contrast - WCAG AAA (7:1) text and controls on black
+        id: 'contrast',
+        name: 'High Contrast',
+        icon: 'fa-eye',
+        builtIn: true,
+        highContrast: true,
+        variables: {
+            '--primary': '#00ffff',
+            '--accent': '#ffff00',
+            '--bg-dark': '#000000',
+            '--panel-bg': '#000000',
+            '--btn-inactive': '#1f1f1f',
+            '--text-main': '#ffffff',
+            '--text-dim': '#d4d4d4',
+            '--slogan-color': '#ffffff',
+            '--finish-glow': '#ffffff',
+            '--ready-text': '#000000',
+            '--ready-bg': '#ffff00',
+            '--ready-border': '#ffff00',
+            '--version-border': '#ffffff',
+            '--pivot-shadow': 'none',
+            '--pivot-weight': '900',
+            '--marker-opacity': '1',
+            '--ambience-opacity': '0',
+        },
+    },
+];
+
+/**
+ * Pseudo theme that follows the system preferences, see resolveAutoThemeId
+ * It has no variables of its own and is offered next to the real themes.
+ */
+export const AUTO_THEME = { id: 'auto', name: 'Auto (system)', icon: 'fa-circle-half-stroke' };
+
+/**
+ * Pick the built-in theme the auto theme stands for
+ * 
+ * @param {Object} preferences
+ * @param {boolean} preferences.prefersDark - prefers-color-scheme: dark
+ * @param {boolean} preferences.prefersContrast - prefers-contrast: more
+ * @returns {string} Theme id
+ */
+export const resolveAutoThemeId = ({ prefersDark, prefersContrast }) => {
+    if (prefersContrast) return 'contrast';
+    return prefersDark ? 'default' : 'mono';
+};
+
+/**
+ * Find a theme by id
+ * 
+ * @param {Theme[]} themes - Available themes
+ * @param {string} id - Theme id
+ * @returns {Theme} The theme, or the first (default) theme if it is unknown
+ */
+export const getTheme = (themes, id) => themes.find(theme => theme.id === id) || themes[0];
+
+/**
+ * Create an id for a new custom theme
+ * @returns {string} Unique id
+ */
+export const createThemeId = () => `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Validate theme variables, filling gaps from the default theme
+ * 
+ * @param {Object} raw - Possibly partial or invalid variable values
+ * @returns {Object<string, string>} A valid value for every THEME_VARIABLES entry
+ */
+export const normalizeVariables = (raw = {}) => {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const fallback = BUILT_IN_THEMES[0].variables;
+
+    return Object.fromEntries(THEME_VARIABLES.map(({ name, type }) => {
+        const value = typeof source[name] === 'string' ? source[name].trim() : '';
+        const valid = type === 'color'
+            ? HEX_COLOR.test(value)
+            : value.length > 0 && value.length <= MAX_VALUE_LENGTH && !/[;{}]/.test(value);
+        return [name, valid ? value : fallback[name]];
+    }));
+};
+
+/**
+ * Validate a custom theme
+ * 
+ * @param {Object} raw - Theme-like object
+ * @returns {Theme} Complete, valid custom theme
+ * @throws {Error} If the object has no variables
+ */
+export const normalizeTheme = (raw) => {
+    if (!raw || typeof raw !== 'object' || !raw.variables || typeof raw.variables !== 'object') {
+        throw new Error('File does not contain a Warp theme');
+    }
+
+    const name = typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim().slice(0, 40) : 'Custom theme';
+    return {
+        id: typeof raw.id === 'string' && raw.id.startsWith('custom-') ? raw.id : createThemeId(),
+        name,
+        icon: 'fa-palette',
+        highContrast: raw.highContrast === true,
+        variables: normalizeVariables(raw.variables),
+    };
+};
+
+/**
+ * Load custom themes from localStorage
+ * Invalid entries are dropped; storage errors give an empty list.
+ * 
+ * @returns {Theme[]} Custom themes
+ */
+export const loadCustomThemes = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(THEMES_STORAGE_KEY) || '[]');
+        if (!Array.isArray(stored)) return [];
+
+        return stored.flatMap((raw) => {
+            try {
+                return [normalizeTheme(raw)];
+            } catch {
+                return [];
+            }
+        });
+    } catch (err) {
+        logger.warn('Custom themes load failed:', err.message);
+        return [];
+    }
+};
+
+/**
+ * Save custom themes to localStorage
+ * @param {Theme[]} themes - Custom themes to persist
+ */
+export const saveCustomThemes = (themes) => {
+    try {
+        localStorage.setItem(THEMES_STORAGE_KEY, JSON.stringify(
+            themes.map(({ id, name, highContrast, variables }) => ({ id, name, highContrast, variables }))
+        ));
+    } catch (err) {
+        logger.warn('Custom themes save failed:', err.message);
+    }
+};
+
+/**
+ * Serialize a theme for sharing
+ * @param {{name: string, highContrast?: boolean, variables: Object}} theme - Theme to export
+ * @returns {string} Pretty-printed JSON document
+ */
+export const exportTheme = (theme) => {
+    return JSON.stringify({
+        app: 'warp-reader',
+        type: 'theme',
+        version: THEME_FORMAT_VERSION,
+        theme: {
+            name: theme.name,
+            highContrast: theme.highContrast === true,
+            variables: normalizeVariables(theme.variables),
+        },
+    }, null, 2);
+};
+
+/**
+ * Parse and validate an exported theme document
+ * The theme always gets a new id, so importing never overwrites a theme.
+ * 
+ * @param {string} json - JSON produced by exportTheme
+ * @returns {Theme} New custom theme
+ * @throws {Error} If the JSON is malformed or not a theme export
+ */
+export const importTheme = (json) => {
+    let payload;
+    try {
+        payload = JSON.parse(json);
+    } catch {
+        throw new Error('Theme file is not valid JSON');
+    }
+
+    if (!payload || typeof payload !== 'object' || payload.type !== 'theme') {
+        throw new Error('File does not contain a Warp theme');
+    }
+    if (typeof payload.version === 'number' && payload.version > THEME_FORMAT_VERSION) {
+        throw new Error(`Theme version ${payload.version} is newer than supported (${THEME_FORMAT_VERSION})`);
+    }
+
+    return { ...normalizeTheme(payload.theme), id: createThemeId() };
+};
+
+/**
+ * Apply a theme's variables to the page
+ * 
+ * @param {Theme} theme - Theme to apply
+ * @param {HTMLElement} [root=document.documentElement] - Element receiving the variables
+ */
+export const applyTheme = (theme, root = document.documentElement) => {
+    const variables = normalizeVariables(theme.variables);
+    THEME_VARIABLES.forEach(({ name }) => {
+        root.style.setProperty(name, variables[name]);
+    });
+
+    if (theme.highContrast) {
+        root.dataset.contrast = 'high';
+    } else {
+        delete root.dataset.contrast;
+    }
+};
+
+export default {
+    BUILT_IN_THEMES,
+    AUTO_THEME,
+    THEME_VARIABLES,
+    getTheme,
+    resolveAutoThemeId,
+    normalizeTheme,
+    loadCustomThemes,
+    saveCustomThemes,
+    exportTheme,
+    importTheme,
+    applyTheme,
+};
@@ -1,27 +1,141 @@
 /**
  * Tokenizer Utility
  * 
- * Processes raw text input and converts it into an array of clean tokens (words).
+ * Processes raw text input and converts it into an array of structured tokens
+ * (word text plus paragraph/sentence indices and source offsets).
  * Handles control characters, whitespace normalization, and filtering.
+ * Also provides the per-word timing model used during playback.
  * 
  * Usage:
  *   import { cleanAndTokenize } from './utils/tokenizer';
- *   const words = cleanAndTokenize(rawText);
+ *   const tokens = cleanAndTokenize(rawText);
+ *   tokens[0].text; // "Hello"
  */
 
 import logger from './logger';
 
+// Matches a run of non-whitespace characters (a candidate word)
+const WORD_PATTERN = /\S+/g;
+
+// Non-printable control characters (0x00-0x1F, 0x7F-0x9F)
+const CONTROL_CHARS = /[\x00-\x1F\x7F-\x9F]/g;
+
+// A blank line between two words marks a paragraph break
+const PARAGRAPH_BREAK = /\n[^\S\n]*\n/;
+
+// Words ending in these characters (ignoring closing quotes/brackets) end a sentence
+const SENTENCE_END = /[.!?\u2026]["'\u2019\u201D)\]]*$/;
+
+/**
+ * @typedef {Object} Token
+ * @property {string} text - Cleaned word text
+ * @property {number} paragraph - Zero-based paragraph index
+ * @property {number} sentence - Zero-based sentence index across the whole text
+ * @property {number} start - Offset of the first character in the source text
+ * @property {number} end - Offset just past the last character in the source text
+ */
+
+/**
+ * Create an incremental tokenizer for text that arrives in chunks
+ * 
+ * Produces exactly the tokens cleanAndTokenize would for the concatenated
+ * chunks, so documents can be read while they are still being extracted.
+ * A word touching the end of the received text is held back until the next
+ * chunk (or end()) shows whether it continues.
+ * 
+ * @returns {{push: Function, end: Function, getText: Function}}
+ *   push(chunk) and end() return the tokens completed by that call,
+ *   getText() returns the raw text received so far
+ */
+export const createTokenStream = () => {
+    let raw = '';
+    let source = '';
+    let paragraph = 0;
+    let sentence = 0;
+    let lastEnd = 0;
+    let sentenceOpen = false;
+    let hasTokens = false;
+
+    // Offset where the next word search starts
+    let scanned = 0;
+
+    /**
+     * Tokenize the complete words after the scan position
+     * @param {boolean} final - Whether the text is complete
+     * @returns {Token[]} New tokens
+     */
+    const scan = (final) => {
+        const tokens = [];
+        const pattern = new RegExp(WORD_PATTERN.source, 'g');
+        pattern.lastIndex = scanned;
+
+        let match;
+        while ((match = pattern.exec(source)) !== null) {
+            const start = match.index;
+            const end = start + match[0].length;
+
+            // The word may continue in the next chunk
+            if (!final && end === source.length) break;
+            scanned = end;
+
+            // Strip control characters, skip empty results
+            const text = match[0].replace(CONTROL_CHARS, '');
+            if (text.length === 0) continue;
+
+            // Paragraph and sentence boundaries
+            if (hasTokens) {
+                if (PARAGRAPH_BREAK.test(source.slice(lastEnd, start))) {
+                    // A new paragraph always starts a new sentence
+                    paragraph++;
+                    sentence++;
+                } else if (!sentenceOpen) {
+                    sentence++;
+                }
+            }
+
+            tokens.push({ text, paragraph, sentence, start, end });
+            sentenceOpen = !SENTENCE_END.test(text);
+            lastEnd = end;
+            hasTokens = true;
+        }
+
+        return tokens;
+    };
+
+    return {
+        push: (chunk) => {
+            if (!chunk) return [];
+
+            // A CRLF split across chunks: the CR already became a newline
+            if (raw.endsWith('\r') && chunk.startsWith('\n')) {
+                source = source.slice(0, -1) + ' ';
+            }
+
+            // Treat CR and CRLF as newlines without shifting offsets
+            raw += chunk;
+            source += chunk.replace(/\r\n?/g, (match) => match.length === 2 ? ' \n' : '\n');
+            return scan(false);
+        },
+        end: () => scan(true),
+        getText: () => raw,
+    };
+};
+
 /**
- * Clean raw text and split into individual word tokens
+ * Clean raw text and split into structured word tokens
  * 
  * Steps:
- * 1. Remove non-printable control characters (0x00-0x1F, 0x7F-0x9F)
- * 2. Trim whitespace from start and end
- * 3. Split on any whitespace (spaces, tabs, newlines)
- * 4. Filter out empty strings
+ * 1. Normalise line endings so paragraph breaks can be detected
+ * 2. Find each run of non-whitespace characters and record its offsets
+ * 3. Remove non-printable control characters from the word text
+ * 4. Filter out words that were only control characters
+ * 5. Assign paragraph (blank line separated) and sentence indices
+ * 
+ * Offsets refer to the original raw string, so tokens can be highlighted
+ * back in the source text.
  * 
  * @param {string} raw - Raw input text to tokenize
- * @returns {string[]} Array of cleaned word tokens
+ * @returns {Token[]} Array of structured word tokens
  */
 export const cleanAndTokenize = (raw) => {
     if (!raw) return [];
@@ -30,21 +144,146 @@ export const cleanAndTokenize = (raw) => {
         logger.log('Original Text length:', raw.length);
     });
 
-    // Step 1: Remove non-printable control characters
-    let text = raw.replace(/[\x00-\x1F\x7F-\x9F]/g, '');
+    const stream = createTokenStream();
+    const tokens = [...stream.push(raw), ...stream.end()];
+
+    logger.group('Tokenization Result', () => {
+        logger.log('Tokens generated:', tokens.length);
+        logger.log('Paragraphs:', tokens.length ? tokens[tokens.length - 1].paragraph + 1 : 0);
+        logger.log('Sample tokens:', tokens.slice(0, 20).map(t => t.text));
+    });
 
-    // Step 2 & 3: Trim and split by whitespace
-    const tokens = text.trim().split(/\s+/);
+    return tokens;
+};
 
-    // Step 4: Filter empty strings
-    const filtered = tokens.filter(t => t.length > 0);
+/**
+ * Create plain tokens from a list of words with no source text
+ * Each word is placed in a single paragraph; sentences follow punctuation.
+ * 
+ * @param {string[]} words - Words to convert
+ * @returns {Token[]} Array of structured word tokens
+ */
+export const tokensFromWords = (words) => {
+    let sentence = 0;
+    let offset = 0;
 
-    logger.group('Tokenization Result', () => {
-        logger.log('Tokens generated:', filtered.length);
-        logger.log('Sample tokens:', filtered.slice(0, 20));
+    return words.map((text, i) => {
+        if (i > 0 && SENTENCE_END.test(words[i - 1])) sentence++;
+        const token = { text, paragraph: 0, sentence, start: offset, end: offset + text.length };
+        offset = token.end + 1;
+        return token;
     });
+};
+
+/**
+ * Find the first token index of the segment (sentence or paragraph) containing index
+ * 
+ * @param {Token[]} tokens - Token sequence
+ * @param {number} index - Current token index
+ * @param {'sentence'|'paragraph'} unit - Segment type to search by
+ * @returns {number} Index of the first token in the segment
+ */
+export const findSegmentStart = (tokens, index, unit) => {
+    if (tokens.length === 0) return 0;
+
+    const segment = tokens[index][unit];
+    let i = index;
+    while (i > 0 && tokens[i - 1][unit] === segment) i--;
+    return i;
+};
+
+/**
+ * Find the index to rewind to for a sentence or paragraph skip
+ * Goes to the start of the current segment, or to the start of the previous
+ * segment when already at the beginning of one.
+ * 
+ * @param {Token[]} tokens - Token sequence
+ * @param {number} index - Current token index
+ * @param {'sentence'|'paragraph'} unit - Segment type to skip by
+ * @returns {number} Target token index
+ */
+export const findPreviousSegment = (tokens, index, unit) => {
+    const start = findSegmentStart(tokens, index, unit);
+    if (start < index || start === 0) return start;
+    return findSegmentStart(tokens, start - 1, unit);
+};
+
+/**
+ * Find the first token index of the segment after the one containing index
+ * 
+ * @param {Token[]} tokens - Token sequence
+ * @param {number} index - Current token index
+ * @param {'sentence'|'paragraph'} unit - Segment type to skip by
+ * @returns {number} Target token index, or index itself if already in the last segment
+ */
+export const findNextSegment = (tokens, index, unit) => {
+    if (tokens.length === 0) return 0;
+
+    const segment = tokens[index][unit];
+    let i = index;
+    while (i < tokens.length && tokens[i][unit] === segment) i++;
+    return i < tokens.length ? i : index;
+};
+
+/**
+ * Find the first token starting at or after a character offset
+ * 
+ * @param {Token[]} tokens - Token sequence (ordered by offset)
+ * @param {number} offset - Character offset into the source text
+ * @returns {number} Token index, clamped to the last token
+ */
+export const findTokenAtOffset = (tokens, offset) => {
+    let low = 0;
+    let high = tokens.length - 1;
+
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (tokens[mid].start < offset) low = mid + 1;
+        else high = mid;
+    }
+
+    return Math.max(0, low);
+};
+
+/**
+ * @typedef {Object} Chapter
+ * @property {string} title - Section title
+ * @property {number} level - Nesting depth, 1 for top-level sections
+ * @property {number} index - Index of the first token in the section
+ */
+
+/**
+ * Map a character-offset outline from the file processor onto token indices
+ * 
+ * @param {Array<{title: string, level: number, offset: number}>} outline - Outline entries
+ * @param {Token[]} tokens - Tokens produced from the same text
+ * @returns {Chapter[]} Chapters in reading order
+ */
+export const mapOutlineToTokens = (outline, tokens) => {
+    if (!outline || tokens.length === 0) return [];
 
-    return filtered;
+    return outline
+        .map(entry => ({
+            title: entry.title,
+            level: entry.level || 1,
+            index: findTokenAtOffset(tokens, entry.offset),
+        }))
+        .sort((a, b) => a.index - b.index);
+};
+
+/**
+ * Find the chapter containing a token
+ * 
+ * @param {Chapter[]} chapters - Chapters in reading order
+ * @param {number} index - Token index
+ * @returns {number} Index into chapters, or -1 if before the first chapter
+ */
+export const findChapterAt = (chapters, index) => {
+    let current = -1;
+    for (let i = 0; i < chapters.length && chapters[i].index <= index; i++) {
+        current = i;
+    }
+    return current;
 };
 
 /**
@@ -56,24 +295,310 @@ export const calculateInterval = (wpm) => {
     return 60000 / wpm;
 };
 
+// Duration multipliers applied on top of the base WPM interval
+const TIMING = {
+    SENTENCE_END: 2.2,    // . ! ?
+    CLAUSE_BREAK: 1.6,    // ; :
+    COMMA: 1.3,           // , and dashes
+    PARAGRAPH_END: 2.8,   // Last word before a paragraph break
+    NUMBER: 1.5,          // Digits take longer to parse
+    COMMON_WORD: 0.85,    // Short function words are recognised instantly
+    LONG_WORD_START: 8,   // Length at which long word scaling kicks in
+    LONG_WORD_STEP: 0.08, // Extra time per character beyond LONG_WORD_START
+    RARE_WORD: 1.15,      // Long words outside the common list
+    MAX: 4,
+};
+
+// High-frequency English words that can be flashed faster than average
+const COMMON_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'by',
+    'for', 'with', 'from', 'as', 'is', 'was', 'are', 'were', 'be', 'been', 'it',
+    'its', 'i', 'you', 'he', 'she', 'we', 'they', 'me', 'him', 'her', 'us',
+    'them', 'my', 'your', 'his', 'our', 'their', 'this', 'that', 'these',
+    'those', 'not', 'no', 'so', 'if', 'then', 'than', 'do', 'did', 'has',
+    'have', 'had', 'will', 'would', 'can', 'could', 'there', 'what', 'which',
+    'who', 'when', 'all', 'one', 'up', 'out', 'into', 'about', 'also', 'just',
+]);
+
+/**
+ * Check whether a word is one of the high-frequency function words
+ * @param {string} word - Word, punctuation is ignored
+ * @returns {boolean}
+ */
+export const isCommonWord = (word) => COMMON_WORDS.has(word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, ''));
+
+/**
+ * Calculate the display duration multiplier for a single word
+ * A multiplier of 1 means the word is shown for exactly the base WPM interval
+ * 
+ * Factors (multiplied together, capped at TIMING.MAX):
+ * - Trailing punctuation: sentence end, clause break, comma
+ * - Paragraph end: last word before a paragraph break
+ * - Numbers: any token containing a digit
+ * - Length: words longer than TIMING.LONG_WORD_START characters
+ * - Rarity: common function words are faster, long uncommon words slower
+ * 
+ * @param {string} word - The word to time
+ * @param {Object} [options]
+ * @param {boolean} [options.paragraphEnd=false] - Word closes a paragraph
+ * @returns {number} Duration multiplier relative to the base interval
+ */
+export const getWordMultiplier = (word, { paragraphEnd = false } = {}) => {
+    if (!word) return 1;
+
+    let multiplier = 1;
+
+    // Punctuation, ignoring closing quotes and brackets
+    const trailing = word.replace(/["'\u2019\u201D)\]]+$/, '').slice(-1);
+    if (paragraphEnd) {
+        multiplier *= TIMING.PARAGRAPH_END;
+    } else if (/[.!?\u2026]/.test(trailing)) {
+        multiplier *= TIMING.SENTENCE_END;
+    } else if (/[;:]/.test(trailing)) {
+        multiplier *= TIMING.CLAUSE_BREAK;
+    } else if (/[,\u2013\u2014-]/.test(trailing)) {
+        multiplier *= TIMING.COMMA;
+    }
+
+    // Numbers
+    if (/\d/.test(word)) {
+        multiplier *= TIMING.NUMBER;
+    }
+
+    // Length and rarity, measured on the bare word
+    const bare = word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+    if (COMMON_WORDS.has(bare)) {
+        multiplier *= TIMING.COMMON_WORD;
+    } else if (bare.length > TIMING.LONG_WORD_START) {
+        multiplier *= TIMING.RARE_WORD
+            + (bare.length - TIMING.LONG_WORD_START) * TIMING.LONG_WORD_STEP;
+    }
+
+    return Math.min(multiplier, TIMING.MAX);
+};
+
+/**
+ * Calculate the display duration multiplier for a token of a sequence
+ * Like getWordMultiplier, with the paragraph end taken from the next token.
+ * 
+ * @param {Token[]} tokens - Token sequence
+ * @param {number} index - Token to time
+ * @returns {number} Duration multiplier relative to the base interval
+ */
+export const getTokenMultiplier = (tokens, index) => {
+    const token = tokens[index];
+    const next = tokens[index + 1];
+    const paragraphEnd = next !== undefined && next.paragraph !== token.paragraph;
+    return getWordMultiplier(token.text, { paragraphEnd });
+};
+
+/**
+ * Calculate per-word display durations for a sequence of tokens
+ * Multipliers are normalised so the mean duration equals calculateInterval(wpm),
+ * keeping the overall reading rate at the chosen WPM.
+ * 
+ * @param {Token[]} tokens - Tokens to time
+ * @param {number} wpm - Target words per minute
+ * @returns {number[]} Duration in milliseconds for each token
+ */
+export const calculateWordDurations = (tokens, wpm) => {
+    if (!tokens || tokens.length === 0) return [];
+
+    const multipliers = tokens.map((token, i) => getTokenMultiplier(tokens, i));
+    const total = multipliers.reduce((sum, m) => sum + m, 0);
+    const scale = (calculateInterval(wpm) * tokens.length) / total;
+
+    return multipliers.map(m => m * scale);
+};
+
+/**
+ * Calculate the effective reading rate for a set of durations
+ * @param {number[]} durations - Per-word durations in milliseconds
+ * @returns {number} Words per minute (0 for an empty sequence)
+ */
+export const calculateEffectiveWpm = (durations) => {
+    const total = durations.reduce((sum, d) => sum + d, 0);
+    return total > 0 ? (durations.length * 60000) / total : 0;
+};
+
+// Share of the target speed that warm-up starts from
+const RAMP_START_RATIO = 0.5;
+
+/**
+ * Calculate the reading rate during warm-up
+ * Rises linearly from RAMP_START_RATIO of the target to the full target over
+ * the first rampWords words after playback starts.
+ * 
+ * @param {number} wpm - Target words per minute
+ * @param {number} wordsRead - Words shown since playback started
+ * @param {number} rampWords - Length of the warm-up in words (0 disables it)
+ * @returns {number} Words per minute to play at
+ */
+export const calculateRampWpm = (wpm, wordsRead, rampWords) => {
+    if (rampWords <= 0 || wordsRead >= rampWords) return wpm;
+    const progress = Math.max(0, wordsRead) / rampWords;
+    return wpm * (RAMP_START_RATIO + (1 - RAMP_START_RATIO) * progress);
+};
+
+/**
+ * Pivot strategies selectable in the settings
+ * - table: fixed positions by word length (the classic ORP table)
+ * - percentage: a fixed share of the way into the word
+ * - vowel: the table position, moved onto a nearby vowel
+ * - none: no highlighted letter
+ */
+export const PIVOT_STRATEGIES = ['table', 'percentage', 'vowel', 'none'];
+
+// Share of the text before the pivot for the percentage strategy and chunks
+const PIVOT_RATIO = 0.35;
+
+// Letters the vowel-aware strategy prefers as pivot
+const VOWEL = /[aeiouyà-æè-ïò-öø-üÿ]/i;
+
+/**
+ * Move a pivot onto a vowel next to it, preferring later letters
+ * @param {string} text - Word or chunk
+ * @param {number} index - Starting pivot index
+ * @returns {number} Index of a vowel within two letters, or index itself
+ */
+const snapToVowel = (text, index) => {
+    for (const offset of [0, 1, -1, 2, -2]) {
+        if (VOWEL.test(text[index + offset] || '')) return index + offset;
+    }
+    return index;
+};
+
 /**
  * Calculate the pivot index for a word (the letter to highlight)
- * Based on word length for optimal reading position
  * 
  * @param {string} word - The word to find pivot for
- * @returns {number} Index of the pivot character
+ * @param {string} [strategy='table'] - One of PIVOT_STRATEGIES
+ * @returns {number} Index of the pivot character, -1 for no pivot
  */
-export const getPivotIndex = (word) => {
+export const getPivotIndex = (word, strategy = 'table') => {
+    if (strategy === 'none') return -1;
+    if (strategy === 'percentage') return Math.floor(word.length * PIVOT_RATIO);
+
     const length = word.length;
-    if (length === 1) return 0;
-    if (length <= 5) return 1;
-    if (length <= 9) return 2;
-    if (length <= 13) return 3;
-    return 4;
+    let index = 4;
+    if (length === 1) index = 0;
+    else if (length <= 5) index = 1;
+    else if (length <= 9) index = 2;
+    else if (length <= 13) index = 3;
+
+    return strategy === 'vowel' ? snapToVowel(word, index) : index;
+};
+
+// Longest chunk shown in one frame, in characters, so it fits the display
+const CHUNK_MAX_CHARS = 22;
+
+// A word ending in punctuation closes its chunk
+const CHUNK_END = /[,;:.!?\u2026\u2013\u2014]["'\u2019\u201D)\]]*$/;
+
+// Words that usually open a new phrase; a chunk of two or more words breaks before them
+const PHRASE_STARTERS = new Set([
+    'and', 'or', 'but', 'nor', 'so', 'yet', 'because', 'although', 'though',
+    'while', 'whereas', 'if', 'unless', 'until', 'when', 'where', 'which',
+    'who', 'whom', 'whose', 'that', 'of', 'to', 'in', 'on', 'at', 'by', 'for',
+    'with', 'from', 'into', 'onto', 'about', 'after', 'before', 'between',
+    'through', 'during', 'without', 'under', 'over', 'against', 'than',
+]);
+
+// Words that lean on the word after them and should not end a chunk
+const LEADING_WORDS = new Set([
+    'a', 'an', 'the', 'my', 'your', 'his', 'its', 'our', 'their', 'this',
+    'these', 'those', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with',
+    'from', 'into', 'and', 'or', 'but', 'very', 'not', 'no',
+]);
+
+/**
+ * Lower-case a word and strip punctuation for the phrase word lists
+ * @param {string} word - Token text
+ * @returns {string} Bare word
+ */
+const bareWord = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+/**
+ * Find where the chunk starting at a token ends
+ * Greedily adds up to size words, but never crosses a sentence or paragraph,
+ * stops after punctuation, breaks before words that open a new phrase, keeps
+ * the chunk within CHUNK_MAX_CHARS, and does not end on an article or
+ * preposition that belongs with the next word.
+ * 
+ * @param {Token[]} tokens - Token sequence
+ * @param {number} index - First token of the chunk
+ * @param {number} size - Maximum words per chunk (1 for single words)
+ * @returns {number} Index just past the last token of the chunk
+ */
+export const findChunkEnd = (tokens, index, size) => {
+    if (index >= tokens.length) return tokens.length;
+    if (size <= 1) return index + 1;
+
+    const first = tokens[index];
+    let end = index + 1;
+    let length = first.text.length;
+
+    while (end - index < size && end < tokens.length) {
+        const prev = tokens[end - 1];
+        const next = tokens[end];
+
+        if (CHUNK_END.test(prev.text)) break;
+        if (next.sentence !== first.sentence || next.paragraph !== first.paragraph) break;
+        if (length + 1 + next.text.length > CHUNK_MAX_CHARS) break;
+        if (end - index >= 2 && PHRASE_STARTERS.has(bareWord(next.text)) && !LEADING_WORDS.has(bareWord(prev.text))) break;
+
+        length += 1 + next.text.length;
+        end++;
+    }
+
+    // Hand a dangling "the" or "of" over to the next chunk, unless the chunk
+    // is nothing but such words ("into the")
+    const leans = (token) => !CHUNK_END.test(token.text) && LEADING_WORDS.has(bareWord(token.text));
+    if (end < tokens.length) {
+        let kept = end;
+        while (kept - index > 1 && leans(tokens[kept - 1])) kept--;
+        if (!leans(tokens[kept - 1])) end = kept;
+    }
+
+    return end;
+};
+
+/**
+ * Calculate the pivot index for a chunk of words
+ * Single words use getPivotIndex; longer chunks put the pivot about a third
+ * of the way in, on a letter rather than a space.
+ * 
+ * @param {string} text - Chunk text, words separated by single spaces
+ * @param {string} [strategy='table'] - One of PIVOT_STRATEGIES
+ * @returns {number} Index of the pivot character, -1 for no pivot
+ */
+export const getChunkPivotIndex = (text, strategy = 'table') => {
+    if (strategy === 'none') return -1;
+    if (!text.includes(' ')) return getPivotIndex(text, strategy);
+
+    let index = Math.floor(text.length * PIVOT_RATIO);
+    while (text[index] === ' ') index++;
+    return strategy === 'vowel' ? snapToVowel(text, index) : index;
 };
 
 export default {
     cleanAndTokenize,
+    createTokenStream,
+    tokensFromWords,
+    findSegmentStart,
+    findPreviousSegment,
+    findNextSegment,
+    findTokenAtOffset,
+    mapOutlineToTokens,
+    findChapterAt,
     calculateInterval,
+    isCommonWord,
+    getWordMultiplier,
+    getTokenMultiplier,
+    calculateWordDurations,
+    calculateEffectiveWpm,
+    calculateRampWpm,
     getPivotIndex,
+    findChunkEnd,
+    getChunkPivotIndex,
 };
@@ -0,0 +1,288 @@
+import { describe, it, expect } from 'vitest';
+import {
+    createTokenStream,
+    cleanAndTokenize,
+    tokensFromWords,
+    findSegmentStart,
+    findPreviousSegment,
+    findNextSegment,
+    findTokenAtOffset,
+    mapOutlineToTokens,
+    findChapterAt,
+    calculateInterval,
+    getWordMultiplier,
+    calculateWordDurations,
+    calculateEffectiveWpm,
+    getPivotIndex,
+    findChunkEnd,
+    getChunkPivotIndex,
+} from './tokenizer';
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+describe('cleanAndTokenize', () => {
+    it('returns no tokens for empty text', () => {
+        expect(cleanAndTokenize('')).toEqual([]);
+        expect(cleanAndTokenize('  \n\t ')).toEqual([]);
+    });
+
+    it('records where each word is in the source text', () => {
+        const raw = '  Hello,\tbrave   new world';
+        const tokens = cleanAndTokenize(raw);
+
+        expect(tokens.map(token => token.text)).toEqual(['Hello,', 'brave', 'new', 'world']);
+        tokens.forEach(token => expect(raw.slice(token.start, token.end)).toBe(token.text));
+    });
+
+    it('numbers paragraphs at blank lines', () => {
+        const tokens = cleanAndTokenize('One line\nstill one.\n\nTwo here\n  \nThree');
+        expect(tokens.map(token => token.paragraph)).toEqual([0, 0, 0, 0, 1, 1, 2]);
+    });
+
+    it('numbers sentences across the whole text', () => {
+        const tokens = cleanAndTokenize('Is it? Yes. "Quoted end." Next\n\nNo stop\n\nhere');
+        expect(tokens.map(token => token.sentence)).toEqual([0, 0, 1, 2, 2, 3, 4, 4, 5]);
+    });
+
+    it('treats CRLF and CR line breaks as newlines without shifting offsets', () => {
+        const raw = 'First\r\n\r\nSecond\r\rThird';
+        const tokens = cleanAndTokenize(raw);
+
+        expect(tokens.map(token => token.paragraph)).toEqual([0, 1, 2]);
+        tokens.forEach(token => expect(raw.slice(token.start, token.end)).toBe(token.text));
+    });
+
+    it('strips control characters from words', () => {
+        const tokens = cleanAndTokenize('wo\u0007rd \u0000 next');
+        expect(tokens.map(token => token.text)).toEqual(['word', 'next']);
+        expect(tokens[0]).toMatchObject({ start: 0, end: 5 });
+    });
+});
+
+describe('createTokenStream', () => {
+    /**
+     * Tokens of a text pushed in the given chunks
+     */
+    const streamChunks = (chunks) => {
+        const stream = createTokenStream();
+        const tokens = chunks.flatMap(chunk => stream.push(chunk));
+        return { tokens: [...tokens, ...stream.end()], text: stream.getText() };
+    };
+
+    it('holds back a word that may continue in the next chunk', () => {
+        const stream = createTokenStream();
+        expect(stream.push('Hello wor').map(token => token.text)).toEqual(['Hello']);
+        expect(stream.push('ld again')).toEqual([{ text: 'world', paragraph: 0, sentence: 0, start: 6, end: 11 }]);
+        expect(stream.end().map(token => token.text)).toEqual(['again']);
+        expect(stream.getText()).toBe('Hello world again');
+    });
+
+    it('starts a new sentence with every paragraph', () => {
+        const { tokens } = streamChunks(['Done.\n\nNext one\n\nlast']);
+        expect(tokens.map(token => [token.paragraph, token.sentence])).toEqual([[0, 0], [1, 1], [1, 1], [2, 2]]);
+    });
+
+    it('tokenizes the same wherever the text is split', () => {
+        const text = 'One, two.\r\n\r\nThree\r\nfour!\r\rFive \u0007six';
+        const whole = cleanAndTokenize(text);
+
+        for (let i = 1; i < text.length; i++) {
+            const { tokens, text: received } = streamChunks([text.slice(0, i), text.slice(i)]);
+            expect(tokens).toEqual(whole);
+            expect(received).toBe(text);
+        }
+        expect(streamChunks([...text]).tokens).toEqual(whole);
+    });
+
+    it('keeps a paragraph break whose CRLF pair is split between chunks', () => {
+        const { tokens } = streamChunks(['First\r\n\r', '\nSecond']);
+        expect(tokens.map(token => token.paragraph)).toEqual([0, 1]);
+        expect(tokens[1]).toMatchObject({ start: 9, end: 15 });
+    });
+
+    it('ignores empty chunks', () => {
+        const stream = createTokenStream();
+        expect(stream.push('')).toEqual([]);
+        expect(stream.end()).toEqual([]);
+    });
+});
+
+describe('tokensFromWords', () => {
+    it('builds a single paragraph with sentences and offsets', () => {
+        expect(tokensFromWords(['Hi.', 'Me', 'too'])).toEqual([
+            { text: 'Hi.', paragraph: 0, sentence: 0, start: 0, end: 3 },
+            { text: 'Me', paragraph: 0, sentence: 1, start: 4, end: 6 },
+            { text: 'too', paragraph: 0, sentence: 1, start: 7, end: 10 },
+        ]);
+    });
+});
+
+describe('segment navigation', () => {
+    // Sentences start at 0, 3, 5 and 7; paragraphs at 0 and 5
+    const tokens = cleanAndTokenize('One two three. Four five.\n\nSix seven. Eight');
+
+    it('finds the start of the segment containing a token', () => {
+        expect(findSegmentStart(tokens, 4, 'sentence')).toBe(3);
+        expect(findSegmentStart(tokens, 4, 'paragraph')).toBe(0);
+        expect(findSegmentStart(tokens, 7, 'paragraph')).toBe(5);
+        expect(findSegmentStart([], 0, 'sentence')).toBe(0);
+    });
+
+    it('rewinds to the segment start, or the previous one when already there', () => {
+        expect(findPreviousSegment(tokens, 4, 'sentence')).toBe(3);
+        expect(findPreviousSegment(tokens, 3, 'sentence')).toBe(0);
+        expect(findPreviousSegment(tokens, 5, 'paragraph')).toBe(0);
+        expect(findPreviousSegment(tokens, 0, 'sentence')).toBe(0);
+    });
+
+    it('skips to the next segment, staying put in the last one', () => {
+        expect(findNextSegment(tokens, 0, 'sentence')).toBe(3);
+        expect(findNextSegment(tokens, 1, 'paragraph')).toBe(5);
+        expect(findNextSegment(tokens, 7, 'sentence')).toBe(7);
+        expect(findNextSegment(tokens, 6, 'paragraph')).toBe(6);
+    });
+});
+
+describe('chapters', () => {
+    const text = 'Intro words\n\nChapter One\ntext\n\nChapter Two';
+    const tokens = cleanAndTokenize(text);
+
+    it('finds the first token at or after an offset', () => {
+        expect(findTokenAtOffset(tokens, 0)).toBe(0);
+        expect(findTokenAtOffset(tokens, text.indexOf('One'))).toBe(3);
+        // Offsets between words go to the next word
+        expect(findTokenAtOffset(tokens, text.indexOf('One') - 1)).toBe(3);
+        expect(findTokenAtOffset(tokens, text.length + 10)).toBe(tokens.length - 1);
+    });
+
+    it('maps an outline onto token indices in reading order', () => {
+        const outline = [
+            { title: 'Two', level: 1, offset: text.indexOf('Chapter Two') },
+            { title: 'One', offset: text.indexOf('Chapter One') },
+        ];
+        expect(mapOutlineToTokens(outline, tokens)).toEqual([
+            { title: 'One', level: 1, index: 2 },
+            { title: 'Two', level: 1, index: 5 },
+        ]);
+        expect(mapOutlineToTokens(outline, [])).toEqual([]);
+        expect(mapOutlineToTokens(null, tokens)).toEqual([]);
+    });
+
+    it('finds the chapter containing a token', () => {
+        const chapters = [{ title: 'One', level: 1, index: 2 }, { title: 'Two', level: 1, index: 5 }];
+        expect(findChapterAt(chapters, 0)).toBe(-1);
+        expect(findChapterAt(chapters, 2)).toBe(0);
+        expect(findChapterAt(chapters, 4)).toBe(0);
+        expect(findChapterAt(chapters, 6)).toBe(1);
+        expect(findChapterAt([], 3)).toBe(-1);
+    });
+});
+
+describe('calculateWordDurations', () => {
+    it('returns no durations for no tokens', () => {
+        expect(calculateWordDurations([], 300)).toEqual([]);
+        expect(calculateWordDurations(null, 300)).toEqual([]);
+    });
+
+    it('averages out to the interval of the target WPM', () => {
+        const tokens = tokensFromWords(['The', 'extraordinary', 'result,', 'in', '2024,', 'was', 'clear.']);
+        const durations = calculateWordDurations(tokens, 300);
+
+        expect(durations).toHaveLength(tokens.length);
+        expect(sum(durations) / durations.length).toBeCloseTo(calculateInterval(300));
+    });
+
+    it('keeps the ratios of the word multipliers', () => {
+        const [common, plain, end] = calculateWordDurations(tokensFromWords(['the', 'word', 'ends.']), 250);
+
+        expect(plain / common).toBeCloseTo(1 / getWordMultiplier('the'));
+        expect(end / plain).toBeCloseTo(getWordMultiplier('ends.'));
+    });
+
+    it('gives the same duration to every plain word', () => {
+        const durations = calculateWordDurations(tokensFromWords(['plain', 'words', 'only']), 200);
+        durations.forEach(duration => expect(duration).toBeCloseTo(calculateInterval(200)));
+    });
+
+    it('holds the last word of a paragraph longest', () => {
+        const durations = calculateWordDurations(cleanAndTokenize('first ends\n\nsecond ends'), 300);
+
+        expect(durations[1] / durations[0]).toBeCloseTo(getWordMultiplier('ends', { paragraphEnd: true }));
+        // The final word has no paragraph after it
+        expect(durations[3]).toBeCloseTo(durations[0]);
+    });
+});
+
+describe('calculateEffectiveWpm', () => {
+    it('returns 0 for no durations', () => {
+        expect(calculateEffectiveWpm([])).toBe(0);
+    });
+
+    it('converts durations back to words per minute', () => {
+        expect(calculateEffectiveWpm([200, 200, 200])).toBe(300);
+        expect(calculateEffectiveWpm([100, 300])).toBe(300);
+    });
+
+    it('matches the target WPM of calculated durations', () => {
+        const tokens = tokensFromWords(['Speed', 'reading,', 'at', 'last:', 'simple', 'and', 'quick.']);
+        expect(calculateEffectiveWpm(calculateWordDurations(tokens, 450))).toBeCloseTo(450);
+    });
+});
+
+describe('findChunkEnd', () => {
+    /**
+     * Split a text into the chunks playback would show
+     */
+    const chunk = (text, size) => {
+        const tokens = cleanAndTokenize(text);
+        const chunks = [];
+        for (let i = 0; i < tokens.length; i = findChunkEnd(tokens, i, size)) {
+            chunks.push(tokens.slice(i, findChunkEnd(tokens, i, size)).map(token => token.text).join(' '));
+        }
+        return chunks;
+    };
+
+    it('shows single words at size 1', () => {
+        expect(chunk('one two, three.', 1)).toEqual(['one', 'two,', 'three.']);
+    });
+
+    it('stops after punctuation', () => {
+        expect(chunk('Well, the cat sat. Then it left', 4)).toEqual(['Well,', 'the cat sat.', 'Then it left']);
+    });
+
+    it('stops at the chunk size', () => {
+        expect(chunk('one two three four five six', 2)).toEqual(['one two', 'three four', 'five six']);
+    });
+
+    it('keeps chunks short enough to fit the display', () => {
+        expect(chunk('extraordinarily long words together', 4)).toEqual(['extraordinarily long', 'words together']);
+    });
+
+    it('never crosses a sentence or paragraph', () => {
+        expect(chunk('Stop here\n\nnew para', 4)).toEqual(['Stop here', 'new para']);
+    });
+
+    it('breaks before a new phrase and keeps leaning words with the next one', () => {
+        expect(chunk('the dog ran into the house', 4)).toEqual(['the dog ran', 'into the house']);
+        expect(chunk('jumped into the lake', 2)).toEqual(['jumped', 'into the', 'lake']);
+    });
+
+    it('ends at the end of the document', () => {
+        const tokens = cleanAndTokenize('go to the');
+        expect(findChunkEnd(tokens, 0, 4)).toBe(3);
+        expect(findChunkEnd(tokens, 2, 4)).toBe(3);
+        expect(findChunkEnd(tokens, 3, 4)).toBe(3);
+        expect(findChunkEnd([], 0, 2)).toBe(0);
+    });
+});
+
+describe('getChunkPivotIndex', () => {
+    it('uses the word pivot for single words', () => {
+        expect(getChunkPivotIndex('reading')).toBe(getPivotIndex('reading'));
+    });
+
+    it('puts the pivot a third into a chunk, on a letter', () => {
+        expect(getChunkPivotIndex('quick brown fox')).toBe(6);
+        expect(getChunkPivotIndex('the cat sat')).toBe(4);
+    });
+});
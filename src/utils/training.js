@@ -0,0 +1,238 @@
+/**
+ * Training Utility
+ * 
+ * Adaptive speed training. A drill is a fixed-length passage read in stages
+ * of rising speed around the learner's training WPM. Its outcome (how much
+ * was read, how often the reader jumped back, checkpoint accuracy) moves the
+ * training WPM up or down a step, and words per frame grow with the speed.
+ * Progress is stored locally so the level carries over between days.
+ * 
+ * Usage:
+ *   import { loadTraining, createDrill, evaluateDrill, applyDrillResult } from './utils/training';
+ *   const drill = createDrill(training, startIndex, tokens.length);
+ *   const outcome = evaluateDrill({ completion: 1, rewinds: 0, words: 300, accuracy: 1 });
+ */
+
+import { getDayKey } from './history';
+import logger from './logger';
+
+export const TRAINING_STORAGE_KEY = 'warp-training';
+
+// Words in a drill passage, and the fewest left in a document to start one
+export const DRILL_WORDS = 300;
+export const MIN_DRILL_WORDS = 100;
+
+// Training speeds, and how far one drill can move them
+const START_WPM = 250;
+const MIN_WPM = 150;
+const MAX_WPM = 1000;
+const WPM_STEP = 25;
+
+// Speeds of the drill stages relative to the training WPM
+const STAGE_OFFSETS = [-2, 0, 1];
+
+// Words per frame from these speeds on
+const CHUNK_STEPS = [
+    { wpm: 0, chunkSize: 1 },
+    { wpm: 550, chunkSize: 2 },
+    { wpm: 800, chunkSize: 3 },
+];
+
+// Thresholds for moving up or down; rewinds are counted per 100 words
+const PASS = { completion: 0.95, rewinds: 1, accuracy: 0.66 };
+const FAIL = { completion: 0.6, rewinds: 3, accuracy: 0.34 };
+
+// Results kept in the log
+const MAX_RESULTS = 500;
+
+/**
+ * @typedef {Object} DrillResult
+ * @property {number} at - Timestamp
+ * @property {string} day - Local day (YYYY-MM-DD)
+ * @property {number} wpm - Training WPM the drill was run at
+ * @property {'up'|'hold'|'down'} outcome - Effect on the training WPM
+ * @property {number} completion - Share of the passage read (0-1)
+ * @property {number} rewinds - Jumps backwards during the drill
+ * @property {number|null} accuracy - Share of checkpoint answers right, null if skipped
+ * @property {number} level - Level after the drill
+ */
+
+/**
+ * Level for a training speed, 1 at MIN_WPM and one more per step
+ * @param {number} wpm - Training WPM
+ * @returns {number} Level
+ */
+export const getLevel = (wpm) => Math.floor((wpm - MIN_WPM) / WPM_STEP) + 1;
+
+/**
+ * Words per frame for a training speed
+ * @param {number} wpm - Training WPM
+ * @returns {number} Chunk size
+ */
+export const getTrainingChunkSize = (wpm) => (
+    CHUNK_STEPS.filter(step => wpm >= step.wpm).pop().chunkSize
+);
+
+/**
+ * Load the training progress
+ * @returns {{wpm: number, results: DrillResult[]}} Progress, fresh if missing or corrupt
+ */
+export const loadTraining = () => {
+    try {
+        const raw = JSON.parse(localStorage.getItem(TRAINING_STORAGE_KEY) || 'null');
+        if (raw && Number.isFinite(raw.wpm) && Array.isArray(raw.results)) {
+            return { wpm: Math.min(MAX_WPM, Math.max(MIN_WPM, raw.wpm)), results: raw.results };
+        }
+    } catch (err) {
+        logger.warn('Stored training progress unreadable, starting over:', err.message);
+    }
+    return { wpm: START_WPM, results: [] };
+};
+
+/**
+ * Persist the training progress
+ * @param {{wpm: number, results: DrillResult[]}} training - Progress
+ */
+export const saveTraining = (training) => {
+    try {
+        localStorage.setItem(TRAINING_STORAGE_KEY, JSON.stringify({
+            wpm: training.wpm,
+            results: training.results.slice(-MAX_RESULTS),
+        }));
+    } catch (err) {
+        logger.warn('Training progress not saved:', err.message);
+    }
+};
+
+/**
+ * Plan a drill over the passage starting at a token index
+ * The passage is split into equal stages, each faster than the one before.
+ * 
+ * @param {{wpm: number}} training - Training progress
+ * @param {number} start - First token of the passage
+ * @param {number} totalWords - Tokens in the document
+ * @returns {{start: number, end: number, wpm: number, chunkSize: number, stages: {from: number, wpm: number}[]}} Drill
+ */
+export const createDrill = (training, start, totalWords) => {
+    const end = Math.min(totalWords, start + DRILL_WORDS);
+    const stageLength = (end - start) / STAGE_OFFSETS.length;
+
+    return {
+        start,
+        end,
+        wpm: training.wpm,
+        chunkSize: getTrainingChunkSize(training.wpm),
+        stages: STAGE_OFFSETS.map((offset, i) => ({
+            from: start + Math.round(i * stageLength),
+            wpm: Math.min(MAX_WPM, Math.max(MIN_WPM, training.wpm + offset * WPM_STEP)),
+        })),
+    };
+};
+
+/**
+ * Furthest token of a drill read through after the reader moved
+ * Only playback carrying on from the part already read extends it, so
+ * skipping ahead while paused does not count the skipped words as read.
+ * 
+ * @param {number} furthest - Furthest token read so far
+ * @param {number} previous - Token index before the move
+ * @param {number} index - Token index after the move
+ * @param {boolean} isPlaying - Whether playback made the move
+ * @returns {number} Furthest token read
+ */
+export const advanceDrillProgress = (furthest, previous, index, isPlaying) => (
+    isPlaying && previous <= furthest ? Math.max(furthest, index) : furthest
+);
+
+/**
+ * Share of a drill passage read
+ * @param {{start: number, end: number}} drill - Drill from createDrill
+ * @param {number} furthest - Furthest token read (see advanceDrillProgress)
+ * @returns {number} Completion (0-1)
+ */
+export const getDrillCompletion = (drill, furthest) => (
+    Math.min(1, Math.max(0, furthest - drill.start + 1) / (drill.end - drill.start))
+);
+
+/**
+ * Decide how a drill moves the training WPM
+ * 
+ * @param {Object} metrics
+ * @param {number} metrics.completion - Share of the passage read (0-1)
+ * @param {number} metrics.rewinds - Jumps backwards during the drill
+ * @param {number} metrics.words - Words in the passage
+ * @param {number|null} metrics.accuracy - Share of checkpoint answers right, null if skipped
+ * @returns {'up'|'hold'|'down'} Outcome
+ */
+export const evaluateDrill = ({ completion, rewinds, words, accuracy }) => {
+    const rewindRate = words > 0 ? (rewinds * 100) / words : 0;
+    const accuracyKnown = accuracy !== null && accuracy !== undefined;
+
+    if (completion < FAIL.completion || rewindRate > FAIL.rewinds || (accuracyKnown && accuracy < FAIL.accuracy)) {
+        return 'down';
+    }
+    if (completion >= PASS.completion && rewindRate <= PASS.rewinds && (!accuracyKnown || accuracy >= PASS.accuracy)) {
+        return 'up';
+    }
+    return 'hold';
+};
+
+/**
+ * Apply a drill's outcome to the training progress
+ * 
+ * @param {{wpm: number, results: DrillResult[]}} training - Progress before the drill
+ * @param {'up'|'hold'|'down'} outcome - From evaluateDrill
+ * @param {{completion: number, rewinds: number, accuracy: number|null}} metrics - Drill metrics
+ * @returns {{wpm: number, results: DrillResult[]}} Progress after the drill
+ */
+export const applyDrillResult = (training, outcome, { completion, rewinds, accuracy }) => {
+    const change = { up: WPM_STEP, hold: 0, down: -WPM_STEP }[outcome];
+    const wpm = Math.min(MAX_WPM, Math.max(MIN_WPM, training.wpm + change));
+    const at = Date.now();
+
+    return {
+        wpm,
+        results: [...training.results, {
+            at,
+            day: getDayKey(at),
+            wpm: training.wpm,
+            outcome,
+            completion: Math.round(completion * 100) / 100,
+            rewinds,
+            accuracy: accuracy === null ? null : Math.round(accuracy * 100) / 100,
+            level: getLevel(wpm),
+        }].slice(-MAX_RESULTS),
+    };
+};
+
+/**
+ * Level reached and drills done per day, oldest first
+ * @param {DrillResult[]} results - Drill log
+ * @returns {{day: string, drills: number, level: number}[]}
+ */
+export const getTrainingDays = (results) => {
+    const days = new Map();
+    results.forEach((result) => {
+        const entry = days.get(result.day) || { day: result.day, drills: 0, level: 0 };
+        entry.drills += 1;
+        entry.level = result.level;
+        days.set(result.day, entry);
+    });
+    return [...days.values()].sort((a, b) => (a.day < b.day ? -1 : 1));
+};
+
+export default {
+    TRAINING_STORAGE_KEY,
+    DRILL_WORDS,
+    MIN_DRILL_WORDS,
+    getLevel,
+    getTrainingChunkSize,
+    loadTraining,
+    saveTraining,
+    createDrill,
+    advanceDrillProgress,
+    getDrillCompletion,
+    evaluateDrill,
+    applyDrillResult,
+    getTrainingDays,
+};
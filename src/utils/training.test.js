@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import {
+    DRILL_WORDS,
+    getLevel,
+    getTrainingChunkSize,
+    createDrill,
+    advanceDrillProgress,
+    getDrillCompletion,
+    evaluateDrill,
+    applyDrillResult,
+} from './training';
+
+describe('createDrill', () => {
+    it('splits the passage into stages of rising speed', () => {
+        const drill = createDrill({ wpm: 300 }, 100, 5000);
+
+        expect(drill).toMatchObject({ start: 100, end: 100 + DRILL_WORDS, wpm: 300, chunkSize: 1 });
+        expect(drill.stages).toEqual([
+            { from: 100, wpm: 250 },
+            { from: 200, wpm: 300 },
+            { from: 300, wpm: 325 },
+        ]);
+    });
+
+    it('ends at the end of the document', () => {
+        expect(createDrill({ wpm: 300 }, 4900, 5000).end).toBe(5000);
+    });
+
+    it('shows more words per frame at higher speeds', () => {
+        expect(getTrainingChunkSize(300)).toBe(1);
+        expect(createDrill({ wpm: 600 }, 0, 5000).chunkSize).toBe(2);
+        expect(createDrill({ wpm: 900 }, 0, 5000).chunkSize).toBe(3);
+    });
+});
+
+describe('drill progress', () => {
+    const drill = createDrill({ wpm: 300 }, 100, 5000);
+
+    /**
+     * Furthest token after a sequence of [index, isPlaying] moves from the drill start
+     */
+    const replay = (moves) => {
+        let previous = drill.start;
+        return moves.reduce((furthest, [index, isPlaying]) => {
+            const next = advanceDrillProgress(furthest, previous, index, isPlaying);
+            previous = index;
+            return next;
+        }, drill.start);
+    };
+
+    it('counts words played through', () => {
+        const furthest = replay([[101, true], [102, true], [104, true]]);
+        expect(furthest).toBe(104);
+        expect(getDrillCompletion(drill, furthest)).toBeCloseTo(5 / DRILL_WORDS);
+    });
+
+    it('does not count jumping forward while paused as reading', () => {
+        const furthest = replay([[150, true], [390, false]]);
+        expect(furthest).toBe(150);
+        expect(getDrillCompletion(drill, furthest)).toBeCloseTo(51 / DRILL_WORDS);
+    });
+
+    it('does not count playing on after skipping ahead', () => {
+        expect(replay([[150, true], [300, false], [301, true], [399, true]])).toBe(150);
+    });
+
+    it('carries on once playback catches up after a jump back', () => {
+        expect(replay([[150, true], [120, false], [149, true], [151, true], [152, true]])).toBe(152);
+    });
+
+    it('caps completion at the whole passage', () => {
+        expect(getDrillCompletion(drill, drill.end - 1)).toBe(1);
+        expect(getDrillCompletion(drill, drill.end + 50)).toBe(1);
+    });
+});
+
+describe('evaluateDrill', () => {
+    it('moves up after a clean, understood read', () => {
+        expect(evaluateDrill({ completion: 1, rewinds: 2, words: 300, accuracy: 1 })).toBe('up');
+        expect(evaluateDrill({ completion: 1, rewinds: 0, words: 300, accuracy: null })).toBe('up');
+    });
+
+    it('moves down when too little was read, understood or read straight through', () => {
+        expect(evaluateDrill({ completion: 0.5, rewinds: 0, words: 300, accuracy: 1 })).toBe('down');
+        expect(evaluateDrill({ completion: 1, rewinds: 10, words: 300, accuracy: 1 })).toBe('down');
+        expect(evaluateDrill({ completion: 1, rewinds: 0, words: 300, accuracy: 0 })).toBe('down');
+    });
+
+    it('holds in between', () => {
+        expect(evaluateDrill({ completion: 0.8, rewinds: 0, words: 300, accuracy: 1 })).toBe('hold');
+        expect(evaluateDrill({ completion: 1, rewinds: 6, words: 300, accuracy: 1 })).toBe('hold');
+    });
+});
+
+describe('applyDrillResult', () => {
+    it('moves the training WPM a step and logs the drill', () => {
+        const training = applyDrillResult({ wpm: 300, results: [] }, 'up', { completion: 0.987, rewinds: 1, accuracy: 2 / 3 });
+
+        expect(training.wpm).toBe(325);
+        expect(training.results).toHaveLength(1);
+        expect(training.results[0]).toMatchObject({
+            wpm: 300,
+            outcome: 'up',
+            completion: 0.99,
+            rewinds: 1,
+            accuracy: 0.67,
+            level: getLevel(325),
+        });
+    });
+
+    it('keeps the training WPM within range', () => {
+        expect(applyDrillResult({ wpm: 150, results: [] }, 'down', { completion: 0, rewinds: 0, accuracy: null }).wpm).toBe(150);
+        expect(applyDrillResult({ wpm: 1000, results: [] }, 'up', { completion: 1, rewinds: 0, accuracy: null }).wpm).toBe(1000);
+    });
+});
@@ -0,0 +1,43 @@
+/**
+ * Typography Utility
+ * 
+ * Maps the reader typography settings to the CSS custom properties used by
+ * the word display. The properties are set inline on <body>, so they take
+ * precedence over the theme values only where the user changed something,
+ * and themes keep supplying everything else.
+ * 
+ * Usage:
+ *   import { getTypographyVariables } from './utils/typography';
+ *   Object.entries(getTypographyVariables(settings)).forEach(...);
+ */
+
+/**
+ * Font stacks for the word display, keyed by setting value
+ * All bundled fonts are loaded in main.jsx, the rest come from the system.
+ */
+export const FONT_FAMILIES = {
+    mono: "'Roboto Mono', monospace",
+    sans: "'Space Grotesk', sans-serif",
+    serif: "Georgia, 'Times New Roman', serif",
+    system: 'system-ui, sans-serif',
+};
+
+/**
+ * Build the CSS custom properties for the current typography settings
+ * A null value means the property should be removed so the theme applies.
+ * 
+ * @param {Object} settings - Reader settings
+ * @returns {Object<string, string|null>} Property name to value
+ */
+export const getTypographyVariables = (settings) => ({
+    '--rsvp-font-family': FONT_FAMILIES[settings.fontFamily] || null,
+    '--rsvp-font-size': `${settings.fontSize}rem`,
+    '--rsvp-letter-spacing': `${settings.letterSpacing}em`,
+    '--pivot-color': settings.pivotColor || null,
+    '--marker-opacity': settings.showMarkers ? null : '0',
+});
+
+export default {
+    FONT_FAMILIES,
+    getTypographyVariables,
+};
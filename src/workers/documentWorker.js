@@ -0,0 +1,211 @@
+/**
+ * Document Worker
+ * 
+ * Extracts and tokenizes documents off the main thread, streaming tokens
+ * back in batches so the reader can start before the whole book is done.
+ * Started and driven by utils/documentLoader.
+ * 
+ * Messages in:
+ *   { type: 'file', jobId, file, ocr }      - extract and tokenize a file
+ *   { type: 'text', jobId, text, outline }  - tokenize already extracted text
+ *   { type: 'stream', jobId }               - start tokenizing text extracted on the page
+ *   { type: 'append', jobId, text }         - next piece of a streamed text
+ *   { type: 'end', jobId, outline }         - streamed text complete
+ *   { type: 'cancel', jobId }               - stop a running job
+ * 
+ * Messages out:
+ *   { type: 'tokens', jobId, tokens }              - next batch of tokens
+ *   { type: 'progress', jobId, progress }          - 0-1 fraction
+ *   { type: 'done', jobId, text, chapters }        - job finished
+ *   { type: 'error', jobId, code, message }        - job failed or was cancelled
+ */
+
+import { processFile, FileImportError, IMPORT_ERROR } from '../utils/fileProcessor';
+import { createTokenStream, mapOutlineToTokens } from '../utils/tokenizer';
+import logger from '../utils/logger';
+
+// Minimum time between token batches (ms); the first batch is sent at once
+const BATCH_INTERVAL = 250;
+
+// Text is tokenized in slices of this many characters, so large pieces
+// still produce several batches
+const TEXT_SLICE_SIZE = 64 * 1024;
+
+// Ids of file and text jobs running, and of those cancelled while running
+const runningJobs = new Set();
+const cancelledJobs = new Set();
+
+// Token sinks of streamed jobs, by id
+const streams = new Map();
+
+/**
+ * Stop a job if it has been cancelled
+ * Called from the extraction callbacks, so the error unwinds the extractor.
+ * 
+ * @param {number} jobId - Job to check
+ * @throws {FileImportError} CANCELLED if the job was cancelled
+ */
+const checkCancelled = (jobId) => {
+    if (cancelledJobs.has(jobId)) {
+        throw new FileImportError(IMPORT_ERROR.CANCELLED, 'Import cancelled.');
+    }
+};
+
+/**
+ * Create a token sink that tokenizes text pieces and posts tokens in batches
+ * 
+ * @param {number} jobId - Job the tokens belong to
+ * @returns {{push: Function, finish: Function}} push(text) adds text,
+ *   finish(outline) flushes the rest and returns the full text, tokens and chapters
+ */
+const createTokenSink = (jobId) => {
+    const stream = createTokenStream();
+    const tokens = [];
+    let pending = [];
+    let lastPost = 0;
+
+    const post = () => {
+        if (pending.length === 0) return;
+        self.postMessage({ type: 'tokens', jobId, tokens: pending });
+        pending = [];
+        lastPost = Date.now();
+    };
+
+    const add = (batch) => {
+        for (const token of batch) {
+            tokens.push(token);
+            pending.push(token);
+        }
+        if (Date.now() - lastPost >= BATCH_INTERVAL) post();
+    };
+
+    return {
+        push: (text) => {
+            checkCancelled(jobId);
+            for (let offset = 0; offset < text.length; offset += TEXT_SLICE_SIZE) {
+                add(stream.push(text.slice(offset, offset + TEXT_SLICE_SIZE)));
+            }
+        },
+        finish: (outline) => {
+            add(stream.end());
+            post();
+            return {
+                text: stream.getText(),
+                tokens,
+                chapters: mapOutlineToTokens(outline, tokens),
+            };
+        },
+    };
+};
+
+/**
+ * Extract a file and stream its tokens
+ * @param {Object} message - 'file' message
+ */
+const runFileJob = async ({ jobId, file, ocr }) => {
+    const sink = createTokenSink(jobId);
+    const { outline } = await processFile(file, {
+        ocr,
+        onText: sink.push,
+        checkCancelled: () => checkCancelled(jobId),
+        onProgress: (progress) => {
+            checkCancelled(jobId);
+            self.postMessage({ type: 'progress', jobId, progress });
+        },
+    });
+    return sink.finish(outline);
+};
+
+/**
+ * Tokenize extracted text in slices, streaming the tokens
+ * @param {Object} message - 'text' message
+ */
+const runTextJob = async ({ jobId, text, outline = [] }) => {
+    const sink = createTokenSink(jobId);
+
+    for (let offset = 0; offset < text.length; offset += TEXT_SLICE_SIZE) {
+        sink.push(text.slice(offset, offset + TEXT_SLICE_SIZE));
+        self.postMessage({ type: 'progress', jobId, progress: Math.min(1, (offset + TEXT_SLICE_SIZE) / text.length) });
+
+        // Yield so cancel messages can arrive between slices
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    return sink.finish(outline);
+};
+
+/**
+ * Report a failed job to the page
+ * @param {number} jobId - Failed job
+ * @param {Error} error - Failure, reported as ENGINE_FAILED unless already typed
+ */
+const postError = (jobId, error) => {
+    const typed = error instanceof FileImportError
+        ? error
+        : new FileImportError(IMPORT_ERROR.ENGINE_FAILED, 'The document engine failed. Reload the page and try again.', error);
+    if (typed.code !== IMPORT_ERROR.CANCELLED) {
+        logger.error('Document worker: job', jobId, 'failed:', error);
+    }
+    self.postMessage({ type: 'error', jobId, code: typed.code, message: typed.message });
+};
+
+/**
+ * Handle a message of a streamed job, whose text is extracted on the page
+ * @param {Object} message - 'stream', 'append' or 'end' message
+ */
+const handleStreamMessage = ({ type, jobId, text, outline = [] }) => {
+    if (type === 'stream') {
+        streams.set(jobId, createTokenSink(jobId));
+        return;
+    }
+
+    // Cancelled or failed streams are dropped
+    const sink = streams.get(jobId);
+    if (!sink) return;
+
+    try {
+        if (type === 'append') {
+            sink.push(text);
+            return;
+        }
+
+        streams.delete(jobId);
+        const { text: fullText, chapters, tokens } = sink.finish(outline);
+        logger.log('Document worker: job', jobId, 'done,', tokens.length, 'tokens');
+        self.postMessage({ type: 'done', jobId, text: fullText, chapters });
+    } catch (error) {
+        streams.delete(jobId);
+        postError(jobId, error);
+    }
+};
+
+self.onmessage = async ({ data: message }) => {
+    if (message.type === 'cancel') {
+        // Only running jobs can still be stopped; finished or unknown ids are ignored
+        streams.delete(message.jobId);
+        if (runningJobs.has(message.jobId)) cancelledJobs.add(message.jobId);
+        return;
+    }
+
+    if (['stream', 'append', 'end'].includes(message.type)) {
+        handleStreamMessage(message);
+        return;
+    }
+
+    const { jobId } = message;
+    runningJobs.add(jobId);
+    try {
+        const { text, chapters, tokens } = message.type === 'file'
+            ? await runFileJob(message)
+            : await runTextJob(message);
+
+        checkCancelled(jobId);
+        logger.log('Document worker: job', jobId, 'done,', tokens.length, 'tokens');
+        self.postMessage({ type: 'done', jobId, text, chapters });
+    } catch (error) {
+        postError(jobId, error);
+    } finally {
+        runningJobs.delete(jobId);
+        cancelledJobs.delete(jobId);
+    }
+};
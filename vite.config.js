@@ -1,14 +1,82 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
+import { viteStaticCopy } from 'vite-plugin-static-copy'
 
 /**
  * Vite Configuration
  * 
  * Configures the Vite build tool for the Warp Reader React application.
- * Uses the React plugin for JSX transformation and Fast Refresh.
+ * Uses the React plugin for JSX transformation and Fast Refresh, and the
+ * PWA plugin to generate the web manifest and an app shell service worker.
+ * The OCR engine (Tesseract worker, WASM core and English language data) is
+ * copied to /ocr so text recognition never needs a CDN. It is not precached,
+ * as it is larger than the rest of the app together: the service worker
+ * caches it on first use instead (see utils/ocr.js).
+ * Set BASE_PATH (e.g. /warp/) to deploy under a sub-path; the manifest and
+ * the service worker's navigation fallback follow it.
  */
+const base = process.env.BASE_PATH || '/'
+
+// Requests for the OCR engine, below the base path
+const ocrUrlPattern = new RegExp(`${base.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}ocr/`)
+
 export default defineConfig({
-  plugins: [react()],
+  base,
+  plugins: [
+    react(),
+    viteStaticCopy({
+      targets: [
+        { src: 'node_modules/tesseract.js/dist/worker.min.js', dest: 'ocr' },
+        { src: 'node_modules/tesseract.js-core/tesseract-core-lstm.wasm.js', dest: 'ocr' },
+        { src: 'node_modules/tesseract.js-core/tesseract-core-simd-lstm.wasm.js', dest: 'ocr' },
+        { src: 'node_modules/@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz', dest: 'ocr' }
+      ]
+    }),
+    VitePWA({
+      // Show an in-app prompt instead of silently activating new versions
+      registerType: 'prompt',
+      includeAssets: ['icon.svg', 'icons/apple-touch-icon.png'],
+      manifest: {
+        name: 'warp - velocity reading',
+        short_name: 'warp',
+        description: 'A velocity speed reading application using the RSVP technique.',
+        theme_color: '#050505',
+        background_color: '#050505',
+        display: 'standalone',
+        start_url: base,
+        scope: base,
+        icons: [
+          { src: 'icons/icon-192.png', sizes: '192x192', type: 'image/png' },
+          { src: 'icons/icon-512.png', sizes: '512x512', type: 'image/png' },
+          { src: 'icons/icon-maskable-512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+          { src: 'icon.svg', sizes: 'any', type: 'image/svg+xml' }
+        ]
+      },
+      workbox: {
+        // App shell, bundled fonts/icons and the PDF.js worker
+        globPatterns: ['**/*.{js,css,html,svg,png,woff2}'],
+        globIgnores: ['ocr/**'],
+        maximumFileSizeToCacheInBytes: 5 * 1024 * 1024,
+        navigateFallback: `${base}index.html`,
+        // The OCR engine, once it has been used (cache name shared with utils/ocr.js)
+        runtimeCaching: [
+          {
+            urlPattern: ocrUrlPattern,
+            handler: 'CacheFirst',
+            options: {
+              cacheName: 'warp-ocr',
+              cacheableResponse: { statuses: [200] }
+            }
+          }
+        ]
+      }
+    })
+  ],
+  // The document worker lazy-loads the OCR engine, which needs code splitting
+  worker: {
+    format: 'es'
+  },
   server: {
     port: 5173,
     open: true